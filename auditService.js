@@ -0,0 +1,149 @@
+// Audit trail helpers: map a write request to the row it touches, diff snapshots and export CSV.
+
+export const AUDITED_METHODS = ['POST', 'PUT', 'PATCH', 'DELETE'];
+
+// Path prefixes that would only add noise to the trail: token plumbing and raw file transfers
+export const AUDIT_SKIPPED_PATHS = ['/refresh-token', '/verify-token', '/storage/local/'];
+
+// Columns that must never be copied into the audit trail
+const REDACTED_FIELDS = [
+    'password',
+    'password_hash',
+    'document_password',
+    'token_hash',
+    'key',
+    'key_hash',
+    'refresh_token_hash',
+    'login_code_hash',
+    'state_hash',
+    'code_verifier',
+    'client_secret_encrypted',
+    'two_factor_secret',
+    'two_factor_pending_secret',
+    'two_factor_recovery_codes',
+];
+
+// [route, table, body field holding the id (when the id isn't in the path)]
+const AUDIT_TARGETS = [
+    ['/documents/:id', 'documents'],
+    ['/documents/:id/add-comment', 'documents'],
+    ['/documents/:id/restore', 'documents'],
+    ['/documents/:id/permanent', 'documents'],
+    ['/documents/:id/ocr', 'documents'],
+    ['/save-draft/:id', 'documents'],
+    ['/submit-to-qa/:id', 'documents'],
+    ['/reject-document/:id', 'documents'],
+    ['/resubmit-document/:id', 'documents'],
+    ['/publish', 'documents', 'document_id'],
+    ['/mark-incomplete', 'documents', 'document_id'],
+    ['/reject-document', 'documents', 'document_id'],
+    ['/save-draft', 'documents', 'document_id'],
+    ['/post-assignee', 'documents', 'document_id'],
+    ['/share-document', 'documents', 'document_id'],
+    ['/users/:id', 'users'],
+    ['/clients/:id', 'clients'],
+    ['/companies/:id', 'companies'],
+    ['/plans/:id', 'plans'],
+    ['/client-plans/:id', 'client_plans'],
+    ['/notaries/:id', 'notaries'],
+    ['/document-tags/:id', 'document_tags'],
+    ['/document-tags/:id/migrate', 'document_tags'],
+    ['/update-document-tag/:id', 'document_tags'],
+    ['/delete-document-tag/:id', 'document_tags'],
+    ['/update-folder/:id', 'folders'],
+    ['/delete-folder/:id', 'folders'],
+    ['/invoices/:id/submit', 'invoices'],
+    ['/invoices/:id/other-invoices', 'invoices'],
+    ['/client-invoices/:id/other-invoices', 'client_invoices'],
+    ['/custom-invoice/:id', 'custom_invoices'],
+    ['/disputes/:id/resolve', 'disputes'],
+    ['/invitations/:id/resend', 'invitations'],
+    ['/invitations/:id/revoke', 'invitations'],
+    ['/api-keys/:id', 'api_keys'],
+    ['/api-keys/:id/rotate', 'api_keys'],
+    ['/saved-searches/:id', 'saved_searches'],
+].map(([route, entity, bodyField]) => ({
+    route,
+    entity,
+    bodyField,
+    regex: new RegExp(`^${route.replace(/:id/g, '([^/]+)')}/?$`),
+}));
+
+// Entity for create endpoints (no id yet); the new row is taken from the response
+const CREATE_TARGETS = {
+    '/documents': 'documents',
+    '/users': 'users',
+    '/clients': 'clients',
+    '/companies': 'companies',
+    '/plans': 'plans',
+    '/client-plans': 'client_plans',
+    '/notaries': 'notaries',
+    '/document-tags': 'document_tags',
+    '/create-document-tags': 'document_tags',
+    '/create-folder': 'folders',
+    '/disputes': 'disputes',
+    '/custom-invoice': 'custom_invoices',
+    '/api-keys': 'api_keys',
+    '/saved-searches': 'saved_searches',
+};
+
+// Resolve { entity, id } for a write request; id is null for creates and unknown routes
+export const matchAuditTarget = (path, body = {}) => {
+    for (const target of AUDIT_TARGETS) {
+        const match = path.match(target.regex);
+        if (!match) continue;
+
+        const id = target.bodyField ? body?.[target.bodyField] : decodeURIComponent(match[1]);
+        return { entity: target.entity, id: id != null ? String(id) : null };
+    }
+
+    const createEntity = CREATE_TARGETS[path.replace(/\/+$/, '')];
+    return createEntity ? { entity: createEntity, id: null } : null;
+};
+
+export const redactRecord = (record) => {
+    if (!record || typeof record !== 'object') return null;
+
+    const redacted = { ...record };
+    REDACTED_FIELDS.forEach(field => {
+        if (field in redacted) redacted[field] = '[redacted]';
+    });
+    return redacted;
+};
+
+// Field-level diff: { field: { before, after } } for every changed column.
+// Secrets are compared raw so a change still shows up, but only ever logged as [redacted].
+export const diffRecords = (before, after) => {
+    const previous = before || {};
+    const next = after || {};
+    const redactedBefore = redactRecord(before) || {};
+    const redactedAfter = redactRecord(after) || {};
+    const changes = {};
+
+    new Set([...Object.keys(previous), ...Object.keys(next)]).forEach(field => {
+        if (JSON.stringify(previous[field] ?? null) === JSON.stringify(next[field] ?? null)) return;
+        changes[field] = { before: redactedBefore[field] ?? null, after: redactedAfter[field] ?? null };
+    });
+
+    return changes;
+};
+
+// Pick the created row out of a handler's JSON response (object, array or { data })
+export const extractResponseRecord = (body) => {
+    const candidate = Array.isArray(body) ? body[0] : body?.data ?? body;
+    const record = Array.isArray(candidate) ? candidate[0] : candidate;
+    return record && typeof record === 'object' && record.id !== undefined ? record : null;
+};
+
+const csvCell = (value) => {
+    if (value === null || value === undefined) return '';
+    const text = typeof value === 'object' ? JSON.stringify(value) : String(value);
+    // Neutralise spreadsheet formulas and quote anything with separators
+    const safe = /^[=+\-@\t\r]/.test(text) ? `'${text}` : text;
+    return /[",\n\r]/.test(safe) ? `"${safe.replace(/"/g, '""')}"` : safe;
+};
+
+export const toCsv = (rows, columns) => [
+    columns.join(','),
+    ...rows.map(row => columns.map(column => csvCell(row[column])).join(',')),
+].join('\r\n');
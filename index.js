@@ -6,11 +6,86 @@ import { config } from 'dotenv';
 import jwt from 'jsonwebtoken'
 import cors from 'cors'
 import fs from 'fs'
+import crypto from 'crypto'
 
 config();
 
 import multer from 'multer';
-import { uploadFile, getPresignedUrl, getFile } from './s3Service.js';
+import {
+  storage,
+  buildFileKey,
+  uploadFile,
+  getPresignedUrl,
+  getPresignedUploadUrl,
+  getFile,
+  getFileMetadata,
+  deleteFile,
+  listFiles,
+  putFile,
+  createMultipartUpload,
+  getPresignedPartUrl,
+  listUploadedParts,
+  completeMultipartUpload,
+  abortMultipartUpload,
+  listIncompleteMultipartUploads
+} from './storageService.js';
+import { hashPassword, verifyPassword, needsRehash, omitPasswordFields } from './passwordService.js';
+import {
+  generateTotpSecret,
+  buildOtpauthUri,
+  verifyTotp,
+  generateRecoveryCodes,
+  hashRecoveryCode,
+  encryptTotpSecret,
+  decryptTotpSecret
+} from './totpService.js';
+import {
+  ROLES,
+  PERMISSIONS,
+  API_KEY_SCOPES,
+  resolvePermissionMatrix,
+  isRoleAllowed,
+  validatePermissionOverrides,
+  isApiKeyRouteAllowed,
+  validateApiKeyScopes,
+  isBlockedDuringImpersonation
+} from './permissions.js';
+import {
+  validateIssuerUrl,
+  discoverIssuer,
+  createPkcePair,
+  buildAuthorizationUrl,
+  exchangeAuthorizationCode,
+  verifyIdToken,
+  readClaim,
+  encryptClientSecret,
+  decryptClientSecret
+} from './oidcService.js';
+import {
+  AUDITED_METHODS,
+  AUDIT_SKIPPED_PATHS,
+  matchAuditTarget,
+  diffRecords,
+  extractResponseRecord,
+  toCsv
+} from './auditService.js';
+import { isPreviewable, previewKeysFor, renderPreviews } from './previewService.js';
+import {
+  OCR_DEFAULT_LANGUAGE,
+  isOcrSupported,
+  isValidOcrLanguage,
+  listInstalledLanguages,
+  recognizeDocument
+} from './ocrService.js';
+import { SEARCH_CONFIG, parseSearchQuery, formatHighlight, escapeHtml } from './searchService.js';
+import {
+  validateTagProperties,
+  validateDocumentProperties,
+  buildDocumentProperties,
+  applySchemaOperations,
+  migrateDocumentProperties,
+  parsePropertyFilters
+} from './tagSchemaService.js';
 
 const upload = multer({ storage: multer.memoryStorage() });
 
@@ -20,6 +95,7 @@ const supabase = createClient(
 );
 
 const app = express();
+app.set('trust proxy', 1); // Vercel's edge sets X-Forwarded-For, so req.ip is the real client
 app.use(express.json());
 app.use(cors({ origin: '*' }))
 const PORT = process.env.PORT || 3000;
@@ -27,6 +103,76 @@ const PORT = process.env.PORT || 3000;
 // 🌐 Health check
 app.get('/', (req, res) => res.send('Supabase CRUD API is running'));
 
+// 📜 Audit Trail Middleware: every write is recorded in audit_log once the response is sent.
+// Rows are only ever inserted; nothing in the API updates or deletes them.
+const fetchAuditSnapshot = async ({ entity, id }) => {
+  if (!entity || !id) return null;
+
+  const { data } = await supabase
+    .from(entity)
+    .select('*')
+    .eq('id', id)
+    .single();
+
+  return data || null;
+};
+
+// Called by the auth middlewares once the caller is verified, so anonymous or forged
+// requests never make the server read the target row
+const captureAuditSnapshot = async (req) => {
+  if (!req.audit?.target?.id || req.audit.before !== undefined) return;
+  req.audit.before = await fetchAuditSnapshot(req.audit.target);
+};
+
+const recordAuditTrail = (req, res, next) => {
+  if (!AUDITED_METHODS.includes(req.method) || AUDIT_SKIPPED_PATHS.some(skipped => req.path.startsWith(skipped))) return next();
+
+  const target = matchAuditTarget(req.path, req.body);
+  req.audit = { target };
+
+  let responseBody;
+  const sendJson = res.json.bind(res);
+  res.json = (body) => {
+    responseBody = body;
+    return sendJson(body);
+  };
+
+  res.on('finish', async () => {
+    try {
+      const before = req.audit.before ?? null;
+      const succeeded = res.statusCode < 400;
+      let after = null;
+      if (succeeded && target?.id) after = await fetchAuditSnapshot(target);
+      else if (succeeded && target) after = extractResponseRecord(responseBody);
+
+      const { error } = await supabase.from('audit_log').insert([{
+        actor_id: req.user?.userId || null,
+        actor_role: req.user?.role || null,
+        actor_name: req.user?.name || null,
+        api_key_id: req.user?.apiKeyId || null,
+        impersonator_id: req.user?.impersonator?.userId || null,
+        company_id: req.user?.companyId || after?.company_id || before?.company_id || null,
+        action: `${req.method} ${req.route?.path || req.path}`,
+        entity_type: target?.entity || null,
+        entity_id: target?.id || after?.id?.toString() || null,
+        changes: target && (before || after) ? diffRecords(before, after) : null,
+        status_code: res.statusCode,
+        ip_address: req.ip || null,
+        user_agent: req.headers['user-agent'] || null,
+        created_at: new Date().toISOString()
+      }]);
+
+      if (error) console.error('Failed to write audit log:', error);
+    } catch (err) {
+      console.error('Audit trail error:', err);
+    }
+  });
+
+  next();
+};
+
+app.use(recordAuditTrail);
+
 
 // ✅ Middleware to verify structure of required fields
 const verifyStructure = (requiredFields) => (req, res, next) => {
@@ -46,13 +192,446 @@ const authenticateToken = (req, res, next) => {
     return res.status(401).json({ error: 'Token missing from Authorization header.' });
   }
 
-  jwt.verify(token, process.env.JWT_SECRET, (err, decoded) => {
+  // Machine integrations send a company API key instead of a JWT
+  if (token.startsWith(API_KEY_PREFIX)) return authenticateApiKey(token, req, res, next);
+
+  jwt.verify(token, process.env.JWT_SECRET, async (err, decoded) => {
     if (err) return res.status(403).json({ error: 'Invalid or expired token.' });
+
+    // Access tokens are tied to a server-side session that can be revoked
+    if (!(await isSessionActive(decoded.sessionId))) {
+      return res.status(401).json({ error: 'Session has been revoked. Please log in again.' });
+    }
+
+    if (decoded.impersonator && isBlockedDuringImpersonation(req.method, req.route?.path)) {
+      return res.status(403).json({ error: 'This action is not available while impersonating an account.' });
+    }
+
     req.user = decoded; // Attach decoded payload to request
+    await captureAuditSnapshot(req);
     next();
   });
 };
 
+// -------------------------
+// 🔐 SESSIONS & REFRESH TOKENS
+// -------------------------
+const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || '15m';
+const REFRESH_TOKEN_TTL_DAYS = parseInt(process.env.REFRESH_TOKEN_TTL_DAYS) || 30;
+
+const hashRefreshSecret = (secret) => crypto.createHash('sha256').update(secret).digest('hex');
+
+const buildTokenClaims = (user) => ({
+  userId: user.id,
+  companyId: user.company_id || null,
+  role: user.role,
+  name: user.name,
+  requires_notary: user.requires_notary !== false,
+  ai_analysis_method: user.ai_analysis_method || 'full'
+});
+
+const signAccessToken = (claims, sessionId) => jwt.sign(
+  { ...claims, sessionId },
+  process.env.JWT_SECRET,
+  { expiresIn: ACCESS_TOKEN_TTL }
+);
+
+const isSessionActive = async (sessionId) => {
+  if (!sessionId) return false;
+
+  const { data: session, error } = await supabase
+    .from('user_sessions')
+    .select('id, revoked_at, expires_at')
+    .eq('id', sessionId)
+    .single();
+
+  if (error || !session || session.revoked_at) return false;
+  return new Date(session.expires_at) > new Date();
+};
+
+// Create a session row and return the access/refresh token pair for it.
+// Refresh tokens are `<sessionId>.<secret>`; only a hash of the secret is stored.
+const createSession = async (claims, req) => {
+  const secret = crypto.randomBytes(32).toString('base64url');
+  const expiresAt = new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000);
+
+  const { data: session, error } = await supabase
+    .from('user_sessions')
+    .insert([{
+      user_id: claims.userId,
+      account_type: claims.role === 'Client' ? 'client' : 'user',
+      company_id: claims.companyId,
+      refresh_token_hash: hashRefreshSecret(secret),
+      expires_at: expiresAt.toISOString(),
+      last_used_at: new Date().toISOString(),
+      user_agent: req.headers['user-agent'] || null,
+      ip_address: req.ip || null
+    }])
+    .select('id')
+    .single();
+
+  if (error || !session) throw new Error(error?.message || 'Failed to create session.');
+
+  return {
+    token: signAccessToken(claims, session.id),
+    refreshToken: `${session.id}.${secret}`
+  };
+};
+
+// Revoke every active session whose `column` equals `value` (e.g. user_id, company_id)
+const revokeSessions = async (column, value, reason, { exceptSessionId } = {}) => {
+  if (!value) return;
+
+  let query = supabase
+    .from('user_sessions')
+    .update({ revoked_at: new Date().toISOString(), revoked_reason: reason })
+    .eq(column, value)
+    .is('revoked_at', null);
+
+  if (exceptSessionId) query = query.neq('id', exceptSessionId);
+
+  const { error } = await query;
+  if (error) console.error(`Failed to revoke sessions for ${column} ${value}:`, error);
+};
+
+// Re-read an account and its company so refreshed tokens reflect the current status
+const loadAccountClaims = async (accountId, accountType) => {
+  const isClient = accountType === 'client';
+
+  const { data: account, error } = await supabase
+    .from(isClient ? 'clients' : 'users')
+    .select(isClient ? 'id, company_id, name, status' : 'id, company_id, name, role, status')
+    .eq('id', accountId)
+    .single();
+
+  if (error || !account) return { status: 401, error: 'Account no longer exists.' };
+  if (isClient) account.role = 'Client';
+
+  if (account.status && account.status.toLowerCase() !== 'active') {
+    return { status: 403, error: 'Your account is not active. Please contact your company admin.' };
+  }
+
+  if (account.role !== 'admin') {
+    const { data: company, error: companyError } = await supabase
+      .from('companies')
+      .select('status, requires_notary, ai_analysis_method')
+      .eq('id', account.company_id)
+      .single();
+
+    if (companyError || !company || company.status !== 'Active') {
+      return { status: 403, error: 'Company is not active. Please contact support.' };
+    }
+
+    account.requires_notary = company.requires_notary;
+    account.ai_analysis_method = company.ai_analysis_method || 'full';
+  }
+
+  return { claims: buildTokenClaims(account) };
+};
+
+// -------------------------
+// 🛡️ PERMISSIONS
+// -------------------------
+const loadPermissionMatrix = async (companyId) => {
+  if (!companyId) return resolvePermissionMatrix();
+
+  const { data: company } = await supabase
+    .from('companies')
+    .select('permission_overrides')
+    .eq('id', companyId)
+    .single();
+
+  return resolvePermissionMatrix(company?.permission_overrides || {});
+};
+
+// Effective action -> boolean map for a user: company matrix plus per-user grants (e.g. allow_to_publish)
+const resolveUserPermissions = async (user) => {
+  const matrix = await loadPermissionMatrix(user.companyId);
+  const userFlags = [...new Set(Object.values(PERMISSIONS).map(p => p.userFlag).filter(Boolean))];
+
+  let flagValues = {};
+  if (userFlags.length && user.role?.toLowerCase() !== 'client') {
+    const { data } = await supabase
+      .from('users')
+      .select(userFlags.join(', '))
+      .eq('id', user.userId)
+      .single();
+    flagValues = data || {};
+  }
+
+  const effective = {};
+  Object.entries(PERMISSIONS).forEach(([action, definition]) => {
+    effective[action] = isRoleAllowed(matrix, user.role, action)
+      || (Boolean(definition.userFlag) && flagValues[definition.userFlag] === true);
+  });
+
+  return effective;
+};
+
+// 🛡️ Permission Middleware (use after authenticateToken)
+const requirePermission = (action) => async (req, res, next) => {
+  // API keys were already limited to this route by their scopes in authenticateToken
+  if (req.user.apiKeyId) return next();
+
+  const permissions = await resolveUserPermissions(req.user);
+
+  if (!permissions[action]) {
+    return res.status(403).json({ error: `Your role is not allowed to ${PERMISSIONS[action].description}.` });
+  }
+
+  req.permissions = permissions;
+  next();
+};
+
+// 👑 Platform Admin Middleware (use after authenticateToken)
+const isPlatformAdmin = (user) => user?.role?.toLowerCase() === 'admin';
+
+const requirePlatformAdmin = (req, res, next) => {
+  if (!isPlatformAdmin(req.user)) {
+    return res.status(403).json({ error: 'Platform administrator access required.' });
+  }
+  next();
+};
+
+// Platform admins pass; everyone else needs the permission within their own company
+const requireAdminOrPermission = (action) => (req, res, next) =>
+  isPlatformAdmin(req.user) ? next() : requirePermission(action)(req, res, next);
+
+// Scheduled jobs authenticate with `Authorization: Bearer <CRON_SECRET>`; admins may trigger them manually
+const authenticateAdminOrCron = (req, res, next) => {
+  const authHeader = req.headers['authorization'];
+  const token = authHeader && authHeader.split(' ')[1];
+  const cronSecret = process.env.CRON_SECRET;
+
+  if (cronSecret && token) {
+    const presented = crypto.createHash('sha256').update(token).digest();
+    const expected = crypto.createHash('sha256').update(cronSecret).digest();
+    if (crypto.timingSafeEqual(presented, expected)) {
+      req.user = { userId: null, companyId: null, role: 'admin', name: 'Scheduler', cron: true };
+      return captureAuditSnapshot(req).then(() => next());
+    }
+  }
+
+  authenticateToken(req, res, () => requirePlatformAdmin(req, res, next));
+};
+
+// Restrict a query to the caller's company unless they are a platform admin
+const scopeToTenant = (query, user, column = 'company_id') =>
+  isPlatformAdmin(user) ? query : query.eq(column, user.companyId);
+
+// -------------------------
+// 🗝️ API KEYS
+// -------------------------
+// Keys look like `ak_<secret>`; only a sha256 of the full key is stored, plus a short prefix for display.
+const API_KEY_PREFIX = 'ak_';
+const API_KEY_ROLE = 'ApiKey';
+const API_KEY_LAST_USED_INTERVAL_MS = 60 * 1000;
+const API_KEY_FIELDS = 'id, company_id, name, scopes, key_prefix, created_by, created_at, expires_at, last_used_at, rotated_at, revoked_at';
+
+const hashApiKey = (key) => crypto.createHash('sha256').update(key).digest('hex');
+
+const generateApiKey = () => {
+  const key = `${API_KEY_PREFIX}${crypto.randomBytes(32).toString('base64url')}`;
+  return { key, key_hash: hashApiKey(key), key_prefix: key.slice(0, 11) };
+};
+
+// Resolve an API key into the same req.user shape a JWT produces
+const authenticateApiKey = async (token, req, res, next) => {
+  const { data: apiKey, error } = await supabase
+    .from('api_keys')
+    .select('*')
+    .eq('key_hash', hashApiKey(token))
+    .single();
+
+  if (error || !apiKey || apiKey.revoked_at) {
+    return res.status(401).json({ error: 'Invalid or revoked API key.' });
+  }
+  if (apiKey.expires_at && new Date(apiKey.expires_at) <= new Date()) {
+    return res.status(401).json({ error: 'API key has expired.' });
+  }
+
+  const { data: company } = await supabase
+    .from('companies')
+    .select('status, requires_notary, ai_analysis_method')
+    .eq('id', apiKey.company_id)
+    .single();
+
+  if (!company || company.status !== 'Active') {
+    return res.status(403).json({ error: 'Company is not active. Please contact support.' });
+  }
+
+  if (!isApiKeyRouteAllowed(apiKey.scopes, req.method, req.route?.path)) {
+    return res.status(403).json({ error: 'This API key is not allowed to access this endpoint.' });
+  }
+
+  // Only touch last_used_at once a minute so busy integrations don't write on every request
+  if (!apiKey.last_used_at || Date.now() - new Date(apiKey.last_used_at) > API_KEY_LAST_USED_INTERVAL_MS) {
+    await supabase
+      .from('api_keys')
+      .update({ last_used_at: new Date().toISOString() })
+      .eq('id', apiKey.id);
+  }
+
+  req.user = {
+    ...buildTokenClaims({
+      id: apiKey.created_by,
+      company_id: apiKey.company_id,
+      role: API_KEY_ROLE,
+      name: apiKey.name,
+      requires_notary: company.requires_notary,
+      ai_analysis_method: company.ai_analysis_method
+    }),
+    apiKeyId: apiKey.id,
+    scopes: apiKey.scopes
+  };
+  await captureAuditSnapshot(req);
+  next();
+};
+
+app.get('/api-keys/scopes', authenticateToken, requirePermission('api-keys:manage'), (req, res) => {
+  res.json(Object.entries(API_KEY_SCOPES).map(([scope, { description }]) => ({ scope, description })));
+});
+
+app.get('/api-keys', authenticateToken, requirePermission('api-keys:manage'), async (req, res) => {
+  const { data, error } = await supabase
+    .from('api_keys')
+    .select(API_KEY_FIELDS)
+    .eq('company_id', req.user.companyId)
+    .order('created_at', { ascending: false });
+
+  if (error) return res.status(400).json(error);
+  res.json(data);
+});
+
+// The plaintext key is only ever returned by create and rotate
+app.post('/api-keys', authenticateToken, requirePermission('api-keys:manage'), verifyStructure(['name', 'scopes']), async (req, res) => {
+  const { name, scopes, expires_at } = req.body;
+
+  const problems = validateApiKeyScopes(scopes);
+  if (problems.length) return res.status(400).json({ error: problems.join(' ') });
+
+  if (expires_at && !(new Date(expires_at) > new Date())) {
+    return res.status(400).json({ error: 'expires_at must be a future date.' });
+  }
+
+  const { key, key_hash, key_prefix } = generateApiKey();
+
+  const { data, error } = await supabase
+    .from('api_keys')
+    .insert([{
+      company_id: req.user.companyId,
+      name,
+      scopes: [...new Set(scopes)],
+      key_hash,
+      key_prefix,
+      created_by: req.user.userId,
+      expires_at: expires_at || null
+    }])
+    .select(API_KEY_FIELDS)
+    .single();
+
+  if (error) return res.status(400).json(error);
+  res.status(201).json({ ...data, key });
+});
+
+// Issue a new secret for an existing key; the old secret stops working immediately
+app.post('/api-keys/:id/rotate', authenticateToken, requirePermission('api-keys:manage'), async (req, res) => {
+  const { key, key_hash, key_prefix } = generateApiKey();
+
+  const { data, error } = await supabase
+    .from('api_keys')
+    .update({ key_hash, key_prefix, rotated_at: new Date().toISOString() })
+    .eq('id', req.params.id)
+    .eq('company_id', req.user.companyId)
+    .is('revoked_at', null)
+    .select(API_KEY_FIELDS);
+
+  if (error) return res.status(400).json(error);
+  if (!data.length) return res.status(404).json({ error: 'API key not found or already revoked.' });
+  res.json({ ...data[0], key });
+});
+
+app.delete('/api-keys/:id', authenticateToken, requirePermission('api-keys:manage'), async (req, res) => {
+  const { data, error } = await supabase
+    .from('api_keys')
+    .update({ revoked_at: new Date().toISOString(), revoked_by: req.user.userId })
+    .eq('id', req.params.id)
+    .eq('company_id', req.user.companyId)
+    .is('revoked_at', null)
+    .select(API_KEY_FIELDS);
+
+  if (error) return res.status(400).json(error);
+  if (!data.length) return res.status(404).json({ error: 'API key not found or already revoked.' });
+  res.json({ message: 'API key revoked.', apiKey: data[0] });
+});
+
+// -------------------------
+// 📜 AUDIT LOG
+// -------------------------
+const AUDIT_LOG_CSV_COLUMNS = [
+  'created_at', 'actor_id', 'actor_name', 'actor_role', 'api_key_id', 'impersonator_id', 'company_id', 'action',
+  'entity_type', 'entity_id', 'status_code', 'ip_address', 'user_agent', 'changes'
+];
+const AUDIT_LOG_EXPORT_LIMIT = 50000;
+const AUDIT_LOG_EXPORT_BATCH = 1000;
+
+// Shared filters for the list and CSV export; owners only ever see their own company
+const buildAuditLogQuery = (req, options) => {
+  const { company_id, actor_id, entity_type, entity_id, action, status, from, to } = req.query;
+
+  let query = scopeToTenant(supabase.from('audit_log').select('*', options), req.user);
+
+  if (company_id && isPlatformAdmin(req.user)) query = query.eq('company_id', company_id);
+  if (actor_id) query = query.eq('actor_id', actor_id);
+  if (req.query.impersonator_id) query = query.eq('impersonator_id', req.query.impersonator_id);
+  if (entity_type) query = query.eq('entity_type', entity_type);
+  if (entity_id) query = query.eq('entity_id', entity_id);
+  if (action) query = query.ilike('action', `%${action}%`);
+  if (status === 'failed') query = query.gte('status_code', 400);
+  if (status === 'succeeded') query = query.lt('status_code', 400);
+  if (from) query = query.gte('created_at', from);
+  if (to) query = query.lte('created_at', to);
+
+  return query.order('created_at', { ascending: false });
+};
+
+app.get('/audit-log', authenticateToken, requireAdminOrPermission('audit-log:view'), async (req, res) => {
+  const page = parseInt(req.query.page) || 1;
+  const limit = Math.min(parseInt(req.query.limit) || 50, 200);
+  const offset = (page - 1) * limit;
+
+  const { data, error, count } = await buildAuditLogQuery(req, { count: 'exact' })
+    .range(offset, offset + limit - 1);
+
+  if (error) return res.status(400).json(error);
+
+  res.json({
+    entries: data,
+    totalCount: count,
+    totalPages: Math.ceil(count / limit),
+    currentPage: page
+  });
+});
+
+app.get('/audit-log/export', authenticateToken, requireAdminOrPermission('audit-log:view'), async (req, res) => {
+  const rows = [];
+
+  // Page through in batches; Supabase caps a single select at 1000 rows
+  while (rows.length < AUDIT_LOG_EXPORT_LIMIT) {
+    const { data, error } = await buildAuditLogQuery(req)
+      .range(rows.length, rows.length + AUDIT_LOG_EXPORT_BATCH - 1);
+
+    if (error) return res.status(400).json(error);
+    rows.push(...data);
+    if (data.length < AUDIT_LOG_EXPORT_BATCH) break;
+  }
+
+  const filename = `audit-log-${new Date().toISOString().slice(0, 10)}.csv`;
+  res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+  res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+  res.send(toCsv(rows, AUDIT_LOG_CSV_COLUMNS));
+});
+
 // 🛠️ S3 URL Helper
 const processDocUrl = async (url) => {
   if (!url) return url;
@@ -65,224 +644,2005 @@ const processDocUrl = async (url) => {
   }
 };
 
-app.get('/presigned-url', authenticateToken, async (req, res) => {
-  const { fileKey } = req.query;
-  if (!fileKey) return res.status(400).json({ error: 'Missing fileKey' });
-
-  try {
-    const url = await getPresignedUrl(fileKey);
-    res.json({ url });
-  } catch (error) {
-    console.error('Presigned URL error:', error);
-    res.status(500).json({ error: 'Failed to generate presigned URL' });
+// -------------------------
+// 🖼️ DOCUMENT PREVIEWS
+// -------------------------
+// Thumbnails and page images are rendered after a document is created and stored under
+// previews/; documents carry preview_status, thumbnail_key, preview_keys and page_count.
+// Rendering runs one document at a time, like OCR, so upload bursts don't pile up renders.
+const PREVIEW_BATCH_SIZE = 25;
+let previewQueue = Promise.resolve();
+const queuedPreviewDocuments = new Set();
+
+const generateDocumentPreviews = async (document) => {
+  const fileKey = document.url;
+  const setPreviewFields = (fields) => supabase.from('documents').update(fields).eq('url', fileKey);
+
+  if (!fileKey || fileKey.startsWith('http') || !isPreviewable(fileKey)) {
+    await supabase.from('documents').update({ preview_status: 'unsupported' }).eq('id', document.id);
+    return { document_id: document.id, status: 'unsupported' };
   }
-});
 
-// ☁️ AWS S3 Upload Endpoints
-app.post('/upload', authenticateToken, upload.single('file'), async (req, res) => {
   try {
-    if (!req.file) {
-      return res.status(400).json({ error: 'No file uploaded' });
-    }
+    await setPreviewFields({ preview_status: 'processing', preview_error: null });
 
-    // Default folder to 'documents' if not provided
-    const folder = req.body.folder || 'documents';
-
-    console.log(`Uploading file ${req.file.originalname} to folder ${folder}`);
-    const fileKey = await uploadFile(req.file, folder);
+    const { body } = await getFile(fileKey);
+    const rendered = await renderPreviews(fileKey, body);
+    const keys = previewKeysFor(fileKey, rendered.pages.length);
 
-    // Generate a presigned URL so the frontend can use it immediately
-    const presignedUrl = await getPresignedUrl(fileKey);
+    await putFile(keys.thumbnail, rendered.thumbnail, 'image/png');
+    for (const [index, page] of rendered.pages.entries()) {
+      await putFile(keys.pages[index], page, 'image/png');
+    }
 
-    res.json({
-      fileKey,
-      url: presignedUrl, // Return the presigned URL as 'url' for compatibility
-      message: 'File uploaded successfully to AWS S3'
+    // Documents sharing the same file share its previews
+    await setPreviewFields({
+      preview_status: 'ready',
+      thumbnail_key: keys.thumbnail,
+      preview_keys: keys.pages,
+      page_count: rendered.pageCount,
+      preview_error: null,
+      previews_generated_at: new Date().toISOString()
     });
-  } catch (error) {
-    console.error('Upload error:', error);
-    res.status(500).json({ error: 'Failed to upload file to AWS S3', details: error.message });
+
+    return { document_id: document.id, status: 'ready', page_count: rendered.pageCount };
+  } catch (err) {
+    console.error(`Preview generation failed for document ${document.id}:`, err);
+    await setPreviewFields({ preview_status: 'failed', preview_error: err.message });
+    return { document_id: document.id, status: 'failed', error: err.message };
   }
-});
+};
 
-app.get('/fetch-s3-file', authenticateToken, async (req, res) => {
-  const { fileKey } = req.query;
-  if (!fileKey) return res.status(400).json({ error: 'Missing fileKey' });
+// Request handlers don't wait on the returned job; the backfill job below picks up anything
+// that gets lost
+const queueDocumentPreviews = (document) => {
+  if (queuedPreviewDocuments.has(document.id)) return Promise.resolve({ document_id: document.id, status: 'queued' });
+
+  queuedPreviewDocuments.add(document.id);
+  const job = previewQueue
+    .then(() => generateDocumentPreviews(document))
+    .finally(() => queuedPreviewDocuments.delete(document.id));
+  previewQueue = job.catch(err => console.error('Preview queue error:', err));
+  return job;
+};
 
-  try {
-    const { body, contentType } = await getFile(fileKey);
-    res.setHeader('Content-Type', contentType || 'application/pdf');
-    // Stream the body to the response
-    body.pipe(res);
-  } catch (error) {
-    console.error('Error fetching S3 file:', error);
-    res.status(500).json({ error: 'Failed to fetch file from S3' });
+const previewUrlsFor = async (document, { includePages = false } = {}) => {
+  const urls = {
+    thumbnail_url: document.thumbnail_key ? await processDocUrl(document.thumbnail_key) : null,
+    page_count: document.page_count ?? null
+  };
+  if (includePages) {
+    urls.preview_urls = await Promise.all((document.preview_keys || []).map(key => processDocUrl(key)));
   }
-});
+  return urls;
+};
 
-app.post('/login', verifyStructure(['email', 'password']), async (req, res) => {
-  const { email, password } = req.body;
+// 🖼️ Scheduled job: render previews for documents that don't have them yet.
+// Pass retry_failed to also retry documents whose last attempt failed.
+app.post('/generate-previews', authenticateAdminOrCron, async (req, res) => {
+  const statuses = req.body?.retry_failed === true ? 'preview_status.is.null,preview_status.eq.pending,preview_status.eq.failed'
+    : 'preview_status.is.null,preview_status.eq.pending';
+
+  const { data: documents, error } = await supabase
+    .from('documents')
+    .select('id, url')
+    .or(statuses)
+    .is('deleted_at', null)
+    .order('created_at', { ascending: false })
+    .limit(PREVIEW_BATCH_SIZE);
+
+  if (error) return res.status(400).json(error);
+
+  // Through the queue so the job never renders alongside previews queued by uploads
+  const results = [];
+  for (const document of documents) {
+    results.push(await queueDocumentPreviews(document));
+  }
+
+  res.status(200).json({
+    processed: results.length,
+    ready: results.filter(result => result.status === 'ready').length,
+    failed: results.filter(result => result.status === 'failed').length,
+    results
+  });
+});
+
+// -------------------------
+// 🔤 OCR
+// -------------------------
+// Text is extracted server-side with Tesseract after a document is created and written to
+// document_text; per-page text and confidence live in document_ocr_pages. Jobs run one at a
+// time so a burst of uploads can't start dozens of Tesseract processes at once.
+const OCR_BATCH_SIZE = 5;
+let ocrQueue = Promise.resolve();
+const queuedOcrDocuments = new Set();
+
+const fetchCompanyOcrLanguage = async (companyId) => {
+  const { data: company } = await supabase
+    .from('companies')
+    .select('ocr_language')
+    .eq('id', companyId)
+    .single();
+
+  return company?.ocr_language || OCR_DEFAULT_LANGUAGE;
+};
+
+const runDocumentOcr = async (document, { language } = {}) => {
+  const setOcrFields = (fields) => supabase.from('documents').update(fields).eq('id', document.id);
+
+  if (!document.url || document.url.startsWith('http') || !isOcrSupported(document.url)) {
+    await setOcrFields({ ocr_status: 'unsupported' });
+    return { document_id: document.id, status: 'unsupported' };
+  }
+
+  const ocrLanguage = language || await fetchCompanyOcrLanguage(document.company_id);
+
+  try {
+    await setOcrFields({ ocr_status: 'processing', ocr_language: ocrLanguage, ocr_error: null });
+
+    const { body } = await getFile(document.url);
+    const pages = await recognizeDocument(document.url, body, { language: ocrLanguage });
+
+    const { error: clearError } = await supabase.from('document_ocr_pages').delete().eq('document_id', document.id);
+    if (clearError) throw new Error(`Failed to clear previous OCR pages: ${clearError.message}`);
+
+    const { error: insertError } = await supabase.from('document_ocr_pages').insert(pages.map(page => ({
+      document_id: document.id,
+      company_id: document.company_id,
+      page_number: page.pageNumber,
+      text: page.text,
+      confidence: page.confidence,
+      language: ocrLanguage
+    })));
+    if (insertError) throw new Error(`Failed to store OCR pages: ${insertError.message}`);
+
+    const confidences = pages.map(page => page.confidence).filter(confidence => confidence !== null);
+    const confidence = confidences.length
+      ? Math.round((confidences.reduce((sum, value) => sum + value, 0) / confidences.length) * 100) / 100
+      : null;
+
+    await setOcrFields({
+      document_text: pages.map(page => page.text).join('\n\n'),
+      ocr_status: 'completed',
+      ocr_confidence: confidence,
+      ocr_completed_at: new Date().toISOString()
+    });
+
+    return { document_id: document.id, status: 'completed', pages: pages.length, confidence };
+  } catch (err) {
+    console.error(`OCR failed for document ${document.id}:`, err);
+    await setOcrFields({ ocr_status: 'failed', ocr_error: err.message });
+    return { document_id: document.id, status: 'failed', error: err.message };
+  }
+};
+
+const queueDocumentOcr = (document, options) => {
+  queuedOcrDocuments.add(document.id);
+  const job = ocrQueue
+    .then(() => runDocumentOcr(document, options))
+    .finally(() => queuedOcrDocuments.delete(document.id));
+  ocrQueue = job.catch(err => console.error('OCR queue error:', err));
+  return job;
+};
+
+// Company OCR language (Tesseract codes, e.g. "eng" or "eng+spa")
+app.get('/ocr/settings', authenticateToken, requirePermission('company:manage'), async (req, res) => {
+  let availableLanguages = null;
+  try {
+    availableLanguages = await listInstalledLanguages();
+  } catch (err) {
+    console.error('Failed to list OCR languages:', err);
+  }
+
+  res.json({ language: await fetchCompanyOcrLanguage(req.user.companyId), available_languages: availableLanguages });
+});
+
+app.put('/ocr/settings', authenticateToken, requirePermission('company:manage'), verifyStructure(['language']), async (req, res) => {
+  const language = String(req.body.language).trim().toLowerCase();
+  if (!isValidOcrLanguage(language)) {
+    return res.status(400).json({ error: 'language must be Tesseract language codes joined with "+", e.g. "eng+spa".' });
+  }
+
+  // Reject languages the OCR host can't read, when it can tell us what it has
+  const installed = await listInstalledLanguages().catch(() => null);
+  const missing = installed ? language.split('+').filter(code => !installed.includes(code)) : [];
+  if (missing.length) {
+    return res.status(400).json({ error: `OCR languages not installed: ${missing.join(', ')}` });
+  }
+
+  const { data, error } = await supabase
+    .from('companies')
+    .update({ ocr_language: language })
+    .eq('id', req.user.companyId)
+    .select('ocr_language');
+
+  if (error) return res.status(400).json(error);
+  res.json({ language: data[0]?.ocr_language || language });
+});
+
+app.get('/documents/:id/ocr', authenticateToken, async (req, res) => {
+  const { data: document, error } = await supabase
+    .from('documents')
+    .select('id, ocr_status, ocr_language, ocr_confidence, ocr_error, ocr_completed_at')
+    .eq('id', req.params.id)
+    .eq('company_id', req.user.companyId)
+    .single();
+
+  if (error || !document) return res.status(404).json({ error: 'Document not found' });
+
+  const { data: pages, error: pagesError } = await supabase
+    .from('document_ocr_pages')
+    .select('page_number, text, confidence, language')
+    .eq('document_id', document.id)
+    .order('page_number', { ascending: true });
+
+  if (pagesError) return res.status(400).json(pagesError);
+  res.json({ ...document, pages });
+});
+
+// Re-run OCR on demand, optionally in a different language than the company default
+app.post('/documents/:id/ocr', authenticateToken, requirePermission('documents:run-ocr'), async (req, res) => {
+  const language = req.body?.language ? String(req.body.language).trim().toLowerCase() : null;
+  if (language && !isValidOcrLanguage(language)) {
+    return res.status(400).json({ error: 'language must be Tesseract language codes joined with "+", e.g. "eng+spa".' });
+  }
+
+  const { data: document, error } = await supabase
+    .from('documents')
+    .select('id, url, company_id')
+    .eq('id', req.params.id)
+    .eq('company_id', req.user.companyId)
+    .is('deleted_at', null)
+    .single();
+
+  if (error || !document) return res.status(404).json({ error: 'Document not found' });
+  if (queuedOcrDocuments.has(document.id)) {
+    return res.status(409).json({ error: 'OCR is already running for this document.' });
+  }
+
+  await supabase.from('documents').update({ ocr_status: 'pending', ocr_error: null }).eq('id', document.id);
+  queueDocumentOcr(document, { language });
+
+  res.status(202).json({ message: 'OCR queued.', document_id: document.id, ocr_status: 'pending' });
+});
+
+// 🔤 Scheduled job: OCR documents that haven't been processed yet (or were lost on a restart)
+app.post('/run-ocr', authenticateAdminOrCron, async (req, res) => {
+  const { data: documents, error } = await supabase
+    .from('documents')
+    .select('id, url, company_id')
+    .or('ocr_status.is.null,ocr_status.eq.pending')
+    .is('deleted_at', null)
+    .order('created_at', { ascending: false })
+    .limit(OCR_BATCH_SIZE);
+
+  if (error) return res.status(400).json(error);
+
+  const results = [];
+  for (const document of documents) {
+    results.push(await queueDocumentOcr(document));
+  }
+
+  res.status(200).json({
+    processed: results.length,
+    completed: results.filter(result => result.status === 'completed').length,
+    failed: results.filter(result => result.status === 'failed').length,
+    results
+  });
+});
+
+app.get('/presigned-url', authenticateToken, async (req, res) => {
+  const { fileKey } = req.query;
+  if (!fileKey) return res.status(400).json({ error: 'Missing fileKey' });
+
+  try {
+    const url = await getPresignedUrl(fileKey);
+    res.json({ url });
+  } catch (error) {
+    console.error('Presigned URL error:', error);
+    res.status(500).json({ error: 'Failed to generate presigned URL' });
+  }
+});
+
+// ☁️ AWS S3 Upload Endpoints
+app.post('/upload', authenticateToken, upload.single('file'), async (req, res) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({ error: 'No file uploaded' });
+    }
+
+    // Same folder rules as direct uploads; defaults to 'documents'
+    const folder = sanitizeUploadFolder(req.body.folder);
+
+    const quotaError = await checkStorageQuota(req.user.companyId, req.file.size);
+    if (quotaError) return res.status(413).json({ error: quotaError });
+
+    console.log(`Uploading file ${req.file.originalname} to folder ${folder}`);
+    const fileKey = await uploadFile(req.file, folder);
+
+    // Record it like a completed direct upload so documents can reference the key
+    const { error: recordError } = await supabase.from('uploads').insert([{
+      company_id: req.user.companyId,
+      uploaded_by: req.user.userId,
+      file_key: fileKey,
+      file_name: req.file.originalname,
+      content_type: req.file.mimetype,
+      expected_size: req.file.size,
+      size: req.file.size,
+      status: 'completed',
+      completed_at: new Date().toISOString()
+    }]);
+
+    // An untracked file can't be attached to a document or counted, so don't keep it
+    if (recordError) {
+      console.error('Upload record error:', recordError);
+      await deleteFile(fileKey).catch(err => console.error(`Failed to remove unrecorded upload ${fileKey}:`, err));
+      return res.status(500).json({ error: 'Failed to record the uploaded file', details: recordError.message });
+    }
+    await recalculateStorageUsage(req.user.companyId);
+
+    // Generate a presigned URL so the frontend can use it immediately
+    const presignedUrl = await getPresignedUrl(fileKey);
+
+    res.json({
+      fileKey,
+      url: presignedUrl, // Return the presigned URL as 'url' for compatibility
+      message: 'File uploaded successfully to AWS S3'
+    });
+  } catch (error) {
+    console.error('Upload error:', error);
+    res.status(500).json({ error: 'Failed to upload file to AWS S3', details: error.message });
+  }
+});
+
+// ☁️ Direct-to-S3 uploads: the browser PUTs the file to a presigned URL, then calls /complete.
+// The server checks the stored object against what was declared before any document can use it.
+const UPLOAD_ALLOWED_CONTENT_TYPES = ['application/pdf', 'image/jpeg', 'image/png', 'image/tiff'];
+const MAX_DIRECT_UPLOAD_BYTES = parseInt(process.env.MAX_DIRECT_UPLOAD_BYTES) || 500 * 1024 * 1024;
+const UPLOAD_URL_TTL_SECONDS = 15 * 60;
+
+// Multipart limits follow S3: parts of at least 5 MB (except the last), at most 10,000 parts
+const MAX_MULTIPART_UPLOAD_BYTES = parseInt(process.env.MAX_MULTIPART_UPLOAD_BYTES) || 5 * 1024 * 1024 * 1024;
+const MIN_PART_SIZE = 5 * 1024 * 1024;
+const DEFAULT_PART_SIZE = 16 * 1024 * 1024;
+const MAX_PARTS = 10000;
+const PART_URLS_PER_REQUEST = 100;
+const STALE_UPLOAD_HOURS = parseInt(process.env.STALE_UPLOAD_HOURS) || 24;
+
+const sanitizeUploadFolder = (folder) =>
+  String(folder || 'documents').toLowerCase().replace(/[^a-z0-9_-]/g, '') || 'documents';
+
+// Validate the declared file; returns an error message or null
+const validateUploadRequest = ({ fileName, contentType, size }, maxBytes) => {
+  if (!fileName || typeof fileName !== 'string') return 'fileName is required.';
+  if (!UPLOAD_ALLOWED_CONTENT_TYPES.includes(contentType)) {
+    return `Unsupported content type. Allowed: ${UPLOAD_ALLOWED_CONTENT_TYPES.join(', ')}`;
+  }
+  if (!Number.isInteger(size) || size <= 0) return 'size must be a positive number of bytes.';
+  if (size > maxBytes) return `File is too large (max ${Math.floor(maxBytes / 1024 / 1024)} MB).`;
+  return null;
+};
+
+app.post('/uploads/presign', authenticateToken, verifyStructure(['fileName', 'contentType', 'size']), async (req, res) => {
+  const { fileName, contentType } = req.body;
+  const size = Number(req.body.size);
+
+  const problem = validateUploadRequest({ fileName, contentType, size }, MAX_DIRECT_UPLOAD_BYTES);
+  if (problem) return res.status(400).json({ error: problem });
+
+  const quotaError = await checkStorageQuota(req.user.companyId, size);
+  if (quotaError) return res.status(413).json({ error: quotaError });
+
+  const fileKey = buildFileKey(fileName, sanitizeUploadFolder(req.body.folder));
+  const expiresAt = new Date(Date.now() + UPLOAD_URL_TTL_SECONDS * 1000).toISOString();
+
+  const { data: uploadRow, error } = await supabase
+    .from('uploads')
+    .insert([{
+      company_id: req.user.companyId,
+      uploaded_by: req.user.userId,
+      file_key: fileKey,
+      file_name: fileName,
+      content_type: contentType,
+      expected_size: size,
+      status: 'pending',
+      expires_at: expiresAt
+    }])
+    .select()
+    .single();
+
+  if (error) return res.status(400).json(error);
+
+  try {
+    const uploadUrl = await getPresignedUploadUrl(fileKey, {
+      contentType,
+      contentLength: size,
+      expiresIn: UPLOAD_URL_TTL_SECONDS
+    });
+
+    res.status(201).json({
+      uploadId: uploadRow.id,
+      fileKey,
+      uploadUrl,
+      method: 'PUT',
+      headers: { 'Content-Type': contentType },
+      expiresAt
+    });
+  } catch (err) {
+    console.error('Presign upload error:', err);
+    res.status(500).json({ error: 'Failed to generate upload URL' });
+  }
+});
+
+const fetchCompanyUpload = async (id, companyId) => {
+  const { data } = await supabase
+    .from('uploads')
+    .select('*')
+    .eq('id', id)
+    .eq('company_id', companyId)
+    .single();
+
+  return data || null;
+};
+
+// Start a resumable upload; part URLs are requested separately as the client needs them
+app.post('/uploads/multipart', authenticateToken, verifyStructure(['fileName', 'contentType', 'size']), async (req, res) => {
+  const { fileName, contentType } = req.body;
+  const size = Number(req.body.size);
+
+  const problem = validateUploadRequest({ fileName, contentType, size }, MAX_MULTIPART_UPLOAD_BYTES);
+  if (problem) return res.status(400).json({ error: problem });
+
+  const quotaError = await checkStorageQuota(req.user.companyId, size);
+  if (quotaError) return res.status(413).json({ error: quotaError });
+
+  const partSize = Math.max(parseInt(req.body.partSize) || DEFAULT_PART_SIZE, MIN_PART_SIZE, Math.ceil(size / MAX_PARTS));
+  const partCount = Math.ceil(size / partSize);
+  const fileKey = buildFileKey(fileName, sanitizeUploadFolder(req.body.folder));
+
+  let s3UploadId;
+  try {
+    s3UploadId = await createMultipartUpload(fileKey, contentType);
+  } catch (err) {
+    console.error('Multipart initiate error:', err);
+    return res.status(500).json({ error: 'Failed to start multipart upload' });
+  }
+
+  const { data: uploadRow, error } = await supabase
+    .from('uploads')
+    .insert([{
+      company_id: req.user.companyId,
+      uploaded_by: req.user.userId,
+      file_key: fileKey,
+      file_name: fileName,
+      content_type: contentType,
+      expected_size: size,
+      status: 'pending',
+      s3_upload_id: s3UploadId,
+      part_size: partSize,
+      part_count: partCount,
+      expires_at: new Date(Date.now() + STALE_UPLOAD_HOURS * 60 * 60 * 1000).toISOString()
+    }])
+    .select()
+    .single();
+
+  if (error) {
+    await abortMultipartUpload(fileKey, s3UploadId).catch(() => {});
+    return res.status(400).json(error);
+  }
+
+  res.status(201).json({
+    uploadId: uploadRow.id,
+    fileKey,
+    partSize,
+    partCount,
+    expiresAt: uploadRow.expires_at
+  });
+});
+
+// Presigned URLs for the requested part numbers (defaults to every part, in batches)
+app.post('/uploads/:id/parts', authenticateToken, async (req, res) => {
+  const uploadRow = await fetchCompanyUpload(req.params.id, req.user.companyId);
+  if (!uploadRow || !uploadRow.s3_upload_id) return res.status(404).json({ error: 'Multipart upload not found.' });
+  if (uploadRow.status !== 'pending') return res.status(409).json({ error: `Upload is ${uploadRow.status}.` });
+
+  const requested = Array.isArray(req.body.partNumbers)
+    ? req.body.partNumbers.map(Number)
+    : Array.from({ length: Math.min(uploadRow.part_count, PART_URLS_PER_REQUEST) }, (_, i) => i + 1);
+
+  if (requested.length > PART_URLS_PER_REQUEST) {
+    return res.status(400).json({ error: `Request at most ${PART_URLS_PER_REQUEST} parts at a time.` });
+  }
+  if (requested.some(n => !Number.isInteger(n) || n < 1 || n > uploadRow.part_count)) {
+    return res.status(400).json({ error: `partNumbers must be between 1 and ${uploadRow.part_count}.` });
+  }
+
+  try {
+    const parts = await Promise.all(requested.map(async partNumber => ({
+      partNumber,
+      url: await getPresignedPartUrl(uploadRow.file_key, uploadRow.s3_upload_id, partNumber)
+    })));
+    res.json({ uploadId: uploadRow.id, partSize: uploadRow.part_size, partCount: uploadRow.part_count, parts });
+  } catch (err) {
+    console.error('Part URL error:', err);
+    res.status(500).json({ error: 'Failed to generate part URLs' });
+  }
+});
+
+// Parts already stored, for resuming after a dropped connection
+app.get('/uploads/:id/parts', authenticateToken, async (req, res) => {
+  const uploadRow = await fetchCompanyUpload(req.params.id, req.user.companyId);
+  if (!uploadRow || !uploadRow.s3_upload_id) return res.status(404).json({ error: 'Multipart upload not found.' });
+  if (uploadRow.status !== 'pending') return res.status(409).json({ error: `Upload is ${uploadRow.status}.` });
+
+  try {
+    const parts = await listUploadedParts(uploadRow.file_key, uploadRow.s3_upload_id);
+    const uploaded = new Set(parts.map(part => part.partNumber));
+    const missing = Array.from({ length: uploadRow.part_count }, (_, i) => i + 1).filter(n => !uploaded.has(n));
+
+    res.json({ uploadId: uploadRow.id, partSize: uploadRow.part_size, partCount: uploadRow.part_count, parts, missing });
+  } catch (err) {
+    console.error('List parts error:', err);
+    res.status(500).json({ error: 'Failed to list uploaded parts' });
+  }
+});
+
+app.delete('/uploads/:id', authenticateToken, async (req, res) => {
+  const uploadRow = await fetchCompanyUpload(req.params.id, req.user.companyId);
+  if (!uploadRow) return res.status(404).json({ error: 'Upload not found.' });
+  if (uploadRow.status !== 'pending') return res.status(409).json({ error: `Upload is ${uploadRow.status}.` });
+
+  try {
+    if (uploadRow.s3_upload_id) await abortMultipartUpload(uploadRow.file_key, uploadRow.s3_upload_id);
+  } catch (err) {
+    console.error('Abort upload error:', err);
+    return res.status(500).json({ error: 'Failed to abort upload' });
+  }
+
+  await supabase.from('uploads').update({ status: 'aborted' }).eq('id', uploadRow.id);
+  res.json({ message: 'Upload aborted.' });
+});
+
+app.post('/uploads/:id/complete', authenticateToken, async (req, res) => {
+  const uploadRow = await fetchCompanyUpload(req.params.id, req.user.companyId);
+
+  if (!uploadRow) return res.status(404).json({ error: 'Upload not found.' });
+  if (uploadRow.status === 'completed') {
+    return res.json({ uploadId: uploadRow.id, fileKey: uploadRow.file_key, url: await getPresignedUrl(uploadRow.file_key) });
+  }
+  if (uploadRow.status !== 'pending') return res.status(409).json({ error: `Upload is ${uploadRow.status}.` });
+
+  // Multipart uploads are stitched together from the parts S3 reports, not what the client claims
+  if (uploadRow.s3_upload_id) {
+    try {
+      const parts = await listUploadedParts(uploadRow.file_key, uploadRow.s3_upload_id);
+      if (parts.length !== uploadRow.part_count) {
+        return res.status(409).json({ error: `${parts.length} of ${uploadRow.part_count} parts have been uploaded.` });
+      }
+      await completeMultipartUpload(uploadRow.file_key, uploadRow.s3_upload_id, parts);
+    } catch (err) {
+      console.error('Multipart complete error:', err);
+      return res.status(400).json({ error: 'Failed to complete multipart upload', details: err.message });
+    }
+  }
+
+  let metadata;
+  try {
+    metadata = await getFileMetadata(uploadRow.file_key);
+  } catch (err) {
+    console.error('Upload verification error:', err);
+    return res.status(500).json({ error: 'Failed to verify upload' });
+  }
+
+  if (!metadata) return res.status(409).json({ error: 'File has not been uploaded yet.' });
+
+  const mismatch = metadata.size !== uploadRow.expected_size
+    ? `Uploaded size ${metadata.size} does not match the declared ${uploadRow.expected_size} bytes.`
+    : metadata.contentType !== uploadRow.content_type
+      ? `Uploaded content type ${metadata.contentType} does not match the declared ${uploadRow.content_type}.`
+      : null;
+
+  if (mismatch) {
+    await supabase.from('uploads').update({ status: 'rejected', size: metadata.size, failure_reason: mismatch }).eq('id', uploadRow.id);
+    return res.status(422).json({ error: mismatch });
+  }
+
+  // Other uploads may have finished since this one was presigned
+  const quotaError = await checkStorageQuota(req.user.companyId, metadata.size);
+  if (quotaError) {
+    await deleteFile(uploadRow.file_key).catch(err => console.error('Failed to remove over-quota upload:', err));
+    await supabase.from('uploads').update({ status: 'rejected', size: metadata.size, failure_reason: quotaError }).eq('id', uploadRow.id);
+    return res.status(413).json({ error: quotaError });
+  }
+
+  const { error: updateError } = await supabase
+    .from('uploads')
+    .update({ status: 'completed', size: metadata.size, completed_at: new Date().toISOString() })
+    .eq('id', uploadRow.id);
+
+  if (updateError) return res.status(400).json(updateError);
+  await recalculateStorageUsage(req.user.companyId);
+
+  res.json({
+    uploadId: uploadRow.id,
+    fileKey: uploadRow.file_key,
+    url: await getPresignedUrl(uploadRow.file_key),
+    size: metadata.size,
+    contentType: metadata.contentType
+  });
+});
+
+// 🧹 Scheduled job: abort multipart uploads nobody finished so S3 stops billing for their parts
+app.post('/cleanup-stale-uploads', authenticateAdminOrCron, async (req, res) => {
+  const cutoff = new Date(Date.now() - STALE_UPLOAD_HOURS * 60 * 60 * 1000);
+  const results = [];
+
+  let openUploads;
+  try {
+    openUploads = await listIncompleteMultipartUploads();
+  } catch (err) {
+    console.error('List multipart uploads error:', err);
+    return res.status(500).json({ error: 'Failed to list incomplete uploads' });
+  }
+
+  for (const upload of openUploads.filter(u => new Date(u.initiated) < cutoff)) {
+    try {
+      await abortMultipartUpload(upload.fileKey, upload.uploadId);
+      await supabase
+        .from('uploads')
+        .update({ status: 'expired' })
+        .eq('s3_upload_id', upload.uploadId)
+        .eq('status', 'pending');
+      results.push({ fileKey: upload.fileKey, status: 'aborted' });
+    } catch (err) {
+      results.push({ fileKey: upload.fileKey, status: 'failed', error: err.message });
+    }
+  }
+
+  // Single-PUT uploads that were presigned but never completed
+  const { data: expired } = await supabase
+    .from('uploads')
+    .update({ status: 'expired' })
+    .eq('status', 'pending')
+    .lt('expires_at', cutoff.toISOString())
+    .select('id');
+
+  res.status(200).json({ aborted: results, expiredRecords: expired?.length || 0 });
+});
+
+// 💽 Local-disk storage: presigned URLs point here and are authorised by their HMAC signature alone
+const storageKeyFromParams = (req) => [].concat(req.params.key).join('/');
+
+app.get('/storage/local/*key', async (req, res) => {
+  if (storage.name !== 'local') return res.status(404).json({ error: 'Local storage is not enabled.' });
+
+  const key = storageKeyFromParams(req);
+  try {
+    storage.verifySignedRequest('GET', key, req.query);
+  } catch (err) {
+    return res.status(403).json({ error: err.message });
+  }
+
+  try {
+    const { body, contentType, size } = await storage.get(key);
+    res.setHeader('Content-Type', contentType || 'application/octet-stream');
+    res.setHeader('Content-Length', size);
+    body.pipe(res);
+  } catch (err) {
+    res.status(404).json({ error: 'File not found.' });
+  }
+});
+
+app.put('/storage/local/*key', async (req, res) => {
+  if (storage.name !== 'local') return res.status(404).json({ error: 'Local storage is not enabled.' });
+
+  const key = storageKeyFromParams(req);
+  let params;
+  try {
+    params = storage.verifySignedRequest('PUT', key, req.query);
+  } catch (err) {
+    return res.status(403).json({ error: err.message });
+  }
+
+  try {
+    const { etag } = await storage.receiveSignedUpload(key, params, req, {
+      contentType: req.headers['content-type'],
+      contentLength: Number(req.headers['content-length'])
+    });
+    // Multipart clients read the ETag header, just like with S3
+    res.setHeader('ETag', etag);
+    res.setHeader('Access-Control-Expose-Headers', 'ETag');
+    res.status(200).end();
+  } catch (err) {
+    console.error('Local storage upload error:', err);
+    res.status(400).json({ error: err.message });
+  }
+});
+
+app.get('/fetch-s3-file', authenticateToken, async (req, res) => {
+  const { fileKey } = req.query;
+  if (!fileKey) return res.status(400).json({ error: 'Missing fileKey' });
+
+  try {
+    const { body, contentType } = await getFile(fileKey);
+    res.setHeader('Content-Type', contentType || 'application/pdf');
+    // Stream the body to the response
+    body.pipe(res);
+  } catch (error) {
+    console.error('Error fetching S3 file:', error);
+    res.status(500).json({ error: 'Failed to fetch file from S3' });
+  }
+});
+
+// -------------------------
+// 🚦 BRUTE-FORCE PROTECTION
+// -------------------------
+// Failed attempts are counted per account and per IP. Once a counter reaches its limit the key is
+// locked, and every further failure doubles the lockout (1 min, 2 min, 4 min ... capped at 24h).
+const ATTEMPT_LIMITS = { account: 5, ip: 20 };
+const ATTEMPT_WINDOW_MS = 60 * 60 * 1000;
+const BASE_LOCKOUT_MS = 60 * 1000;
+const MAX_LOCKOUT_MS = 24 * 60 * 60 * 1000;
+
+const attemptKeysFor = (action, req, accountIdentifier) => [
+  accountIdentifier && { action, scope: 'account', identifier: String(accountIdentifier).trim().toLowerCase() },
+  { action, scope: 'ip', identifier: req.ip || 'unknown' }
+].filter(Boolean);
+
+const fetchAttemptRow = async ({ action, scope, identifier }) => {
+  const { data } = await supabase
+    .from('auth_attempts')
+    .select('*')
+    .eq('action', action)
+    .eq('scope', scope)
+    .eq('identifier', identifier)
+    .single();
+
+  return data || null;
+};
+
+const recordFailedAttempt = async (keys) => {
+  const now = new Date();
+
+  for (const key of keys) {
+    const row = await fetchAttemptRow(key);
+
+    // Counters decay once the window has passed without a lockout in force
+    const stale = row && !(row.locked_until && new Date(row.locked_until) > now)
+      && now - new Date(row.last_failed_at) > ATTEMPT_WINDOW_MS;
+    const failedCount = row && !stale ? row.failed_count + 1 : 1;
+
+    const overLimit = failedCount - ATTEMPT_LIMITS[key.scope];
+    const lockedUntil = overLimit >= 0
+      ? new Date(now.getTime() + Math.min(BASE_LOCKOUT_MS * 2 ** overLimit, MAX_LOCKOUT_MS)).toISOString()
+      : null;
+
+    const fields = { failed_count: failedCount, last_failed_at: now.toISOString(), locked_until: lockedUntil };
+    const { error } = row
+      ? await supabase.from('auth_attempts').update(fields).eq('id', row.id)
+      : await supabase.from('auth_attempts').insert([{ ...key, ...fields }]);
+
+    if (error) console.error('Failed to record auth attempt:', error);
+  }
+};
+
+// A success clears the account counter; the IP counter only decays, so one good login can't reset it
+const clearFailedAttempts = async (keys) => {
+  for (const key of keys.filter(k => k.scope === 'account')) {
+    await supabase
+      .from('auth_attempts')
+      .delete()
+      .eq('action', key.action)
+      .eq('scope', key.scope)
+      .eq('identifier', key.identifier);
+  }
+};
+
+// 🚦 Lockout Middleware: rejects locked keys and exposes req.attemptKeys to the handler
+const throttleAttempts = (action, getAccountIdentifier) => async (req, res, next) => {
+  const keys = attemptKeysFor(action, req, getAccountIdentifier(req));
+  const now = new Date();
+
+  for (const key of keys) {
+    const row = await fetchAttemptRow(key);
+    if (row?.locked_until && new Date(row.locked_until) > now) {
+      const retryAfter = Math.ceil((new Date(row.locked_until) - now) / 1000);
+      res.set('Retry-After', String(retryAfter));
+      return res.status(429).json({
+        error: `Too many failed attempts. Try again in ${Math.ceil(retryAfter / 60)} minute(s).`,
+        retry_after_seconds: retryAfter
+      });
+    }
+  }
+
+  req.attemptKeys = keys;
+  next();
+};
+
+// Lockout administration (platform admin)
+app.get('/auth-lockouts', authenticateToken, requirePlatformAdmin, async (req, res) => {
+  const { locked, identifier } = req.query;
+
+  let query = supabase
+    .from('auth_attempts')
+    .select('*')
+    .order('last_failed_at', { ascending: false });
+
+  if (locked === 'true') query = query.gt('locked_until', new Date().toISOString());
+  if (identifier) query = query.eq('identifier', String(identifier).trim().toLowerCase());
+
+  const { data, error } = await query;
+  if (error) return res.status(400).json(error);
+  res.json(data);
+});
+
+app.delete('/auth-lockouts/:id', authenticateToken, requirePlatformAdmin, async (req, res) => {
+  const { data, error } = await supabase
+    .from('auth_attempts')
+    .delete()
+    .eq('id', req.params.id)
+    .select('id');
+
+  if (error) return res.status(400).json(error);
+  if (!data.length) return res.status(404).json({ error: 'Lockout not found.' });
+  res.json({ message: 'Lockout cleared.' });
+});
+
+// Clear every counter for an email, user id or IP address
+app.post('/auth-lockouts/clear', authenticateToken, requirePlatformAdmin, verifyStructure(['identifier']), async (req, res) => {
+  const { data, error } = await supabase
+    .from('auth_attempts')
+    .delete()
+    .eq('identifier', String(req.body.identifier).trim().toLowerCase())
+    .select('id');
+
+  if (error) return res.status(400).json(error);
+  res.json({ message: 'Lockouts cleared.', cleared: data.length });
+});
+
+// 🔑 Replace a legacy plaintext (or outdated) password with a fresh hash after a successful login
+const upgradePasswordHash = async (table, id, password, storedPassword) => {
+  if (!needsRehash(storedPassword)) return;
+
+  try {
+    const { error } = await supabase
+      .from(table)
+      .update({ password: await hashPassword(password) })
+      .eq('id', id);
+
+    if (error) console.error(`Failed to rehash password for ${table} ${id}:`, error);
+  } catch (err) {
+    console.error(`Failed to rehash password for ${table} ${id}:`, err);
+  }
+};
+
+app.post('/login', verifyStructure(['email', 'password']), throttleAttempts('login', req => req.body.email), async (req, res) => {
+  const { email, password } = req.body;
+
+  let { data: user, error } = await supabase
+    .from('users')
+    .select('id, email, password, company_id, role, name, status, two_factor_enabled')
+    .eq('email', email)
+    .single();
+
+  if (!user) {
+    const { data: client, error: clientError } = await supabase
+      .from('clients')
+      .select('id, email, password, company_id, name, status, two_factor_enabled')
+      .eq('email', email)
+      .single();
+
+    if (client && await verifyPassword(password, client.password)) {
+      const { data: company, error: companyError } = await supabase
+        .from('companies')
+        .select('status, requires_notary, ai_analysis_method, two_factor_required_roles')
+        .eq('id', client.company_id)
+        .single();
+
+      if (companyError || !company || company.status !== 'Active') {
+        return res.status(403).json({ error: 'Company is not active. Please contact support.' });
+      }
+
+      client.requires_notary = company.requires_notary;
+      client.ai_analysis_method = company.ai_analysis_method || 'full';
+      client.two_factor_required_roles = company.two_factor_required_roles || [];
+
+      if (client.status !== 'active') {
+        return res.status(403).json({ error: 'Your account is not active. Please contact your company admin.' });
+      }
+
+      user = {
+        ...client,
+        role: 'Client'
+      };
+    } else {
+      await recordFailedAttempt(req.attemptKeys);
+      return res.status(401).json({ error: 'Invalid email or password.' });
+    }
+  } else if (!(await verifyPassword(password, user.password))) {
+    await recordFailedAttempt(req.attemptKeys);
+    return res.status(401).json({ error: 'Invalid email or password.' });
+  } else if (user.status && user.status.toLowerCase() !== 'active') {
+    return res.status(403).json({ error: 'Your account is not active. Please contact your company admin.' });
+  } else if (user.role != 'admin') {
+    const { data: company, error: companyError } = await supabase
+      .from('companies')
+      .select('status, requires_notary, ai_analysis_method, two_factor_required_roles')
+      .eq('id', user.company_id)
+      .single();
+
+    if (companyError || !company || company.status !== 'Active') {
+      return res.status(403).json({ error: 'Company is not active. Please contact support.' });
+    }
+
+    user.requires_notary = company.requires_notary;
+    user.ai_analysis_method = company.ai_analysis_method || 'full';
+    user.two_factor_required_roles = company.two_factor_required_roles || [];
+
+    // Companies that enforce SSO don't accept staff passwords; owners keep theirs as a break-glass login
+    const ssoConfig = await fetchSsoConfig(user.company_id);
+    if (ssoConfig?.enabled && ssoConfig.enforced && user.role.toLowerCase() !== 'owner') {
+      return res.status(403).json({ error: 'Your company requires single sign-on.', sso_login_url: `/sso/${user.company_id}/login` });
+    }
+  }
+
+  // Upgrade legacy plaintext passwords now that the credentials are verified
+  await clearFailedAttempts(req.attemptKeys);
+  await upgradePasswordHash(user.role === 'Client' ? 'clients' : 'users', user.id, password, user.password);
+
+  const claims = buildTokenClaims(user);
+
+  // 🔐 Hold back the session until the second factor is checked (or enrolled, if policy demands it)
+  if (user.two_factor_enabled) {
+    return res.json({
+      two_factor_required: true,
+      challengeToken: signTwoFactorChallenge(claims, 'two_factor_login')
+    });
+  }
+
+  if (isTwoFactorRequired(user.role, user.two_factor_required_roles)) {
+    return res.json({
+      two_factor_setup_required: true,
+      challengeToken: signTwoFactorChallenge(claims, 'two_factor_enrollment')
+    });
+  }
+
+  await sendLoginResponse(req, res, claims);
+});
+
+// Issue a session for verified claims and send the standard login payload
+const sendLoginResponse = async (req, res, claims, extra = {}) => {
+  // Generate short-lived access token plus a rotating refresh token
+  let tokens;
+  try {
+    tokens = await createSession(claims, req);
+  } catch (err) {
+    console.error('Session creation error:', err);
+    return res.status(500).json({ error: 'Failed to start session.' });
+  }
+
+  res.json({
+    ...extra,
+    token: tokens.token,
+    refreshToken: tokens.refreshToken,
+    role: claims.role,
+    userId: claims.userId,
+    companyId: claims.companyId,
+    name: claims.name,
+    requires_notary: claims.requires_notary,
+    ai_analysis_method: claims.ai_analysis_method
+  });
+};
+
+app.post('/companies', authenticateToken, requirePlatformAdmin, verifyStructure(['name', 'contact_email', 'plan_id', 'admin_name']), async (req, res) => {
+  const { name, contact_email, plan_id, admin_name, logo_url, requires_notary, ai_analysis_method } = req.body;
+
+  // Step 1: Check for existing company
+  const { data: existingCompany, error: checkError } = await supabase
+    .from('companies')
+    .select('id')
+    .eq('contact_email', contact_email)
+    .single();
+
+  if (existingCompany) {
+    return res.status(409).json({ error: 'Company already exists with this email.' });
+  }
+
+  // Step 2: Fetch plan details to get price_description
+  const { data: plan, error: planError } = await supabase
+    .from('plans')
+    .select('price_description')
+    .eq('id', plan_id)
+    .single();
+
+  if (planError || !plan) {
+    return res.status(400).json({ error: 'Invalid plan selected.' });
+  }
+
+  // Step 3: Insert company
+  const { data: companyData, error: createError } = await supabase
+    .from('companies')
+    .insert([{ 
+      name, 
+      contact_email, 
+      plan_id, 
+      admin_name, 
+      logo_url: logo_url || null, 
+      requires_notary: requires_notary !== false,
+      ai_analysis_method: ai_analysis_method || 'full'
+    }])
+    .select();
+
+  if (createError) return res.status(400).json(createError);
+  const company = companyData[0];
+
+  // Step 4: Create owner user (pending until the invitation is accepted)
+  const { data: ownerData, error: userError } = await supabase.from('users').insert([{
+    name: admin_name,
+    email: contact_email,
+    phone: '',
+    role: 'Owner',
+    company_id: company.id,
+    status: 'invited'
+  }]).select('id');
+
+  if (userError) {
+    return res.status(500).json({ error: 'Company created but failed to create admin user.' });
+  }
+
+  // Step 5: Invite the owner to set their own password
+  const { invitation, emailResult } = await issueInvitation({
+    type: 'company_owner',
+    email: contact_email,
+    name: admin_name,
+    companyId: company.id,
+    companyName: name,
+    accountId: ownerData[0].id,
+    role: 'Owner',
+    invitedBy: req.user.userId
+  });
+
+  res.status(201).json({
+    ...omitPasswordFields(company),
+    invitation: formatInvitation(invitation),
+    invitation_email: emailResult
+  });
+});
+
+app.post('/verify-token', async (req, res) => {
+  const authHeader = req.headers['authorization'];
+  const token = authHeader && authHeader.split(' ')[1];
+
+  if (!token) {
+    return res.status(401).json({ error: 'No token provided.' });
+  }
+
+  try {
+    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    if (!(await isSessionActive(decoded.sessionId))) {
+      return res.status(401).json({ error: 'Session has been revoked.' });
+    }
+    res.status(200).json({ valid: true, user: decoded });
+  } catch (err) {
+    res.status(401).json({ error: 'Invalid or expired token.' });
+  }
+});
+
+// Exchange a refresh token for a new access token, rotating the refresh token
+app.post('/refresh-token', verifyStructure(['refreshToken']), async (req, res) => {
+  const [sessionId, secret] = String(req.body.refreshToken).split('.');
+
+  if (!sessionId || !secret) {
+    return res.status(401).json({ error: 'Invalid refresh token.' });
+  }
+
+  const { data: session, error } = await supabase
+    .from('user_sessions')
+    .select('*')
+    .eq('id', sessionId)
+    .single();
+
+  if (error || !session || session.revoked_at || new Date(session.expires_at) <= new Date()) {
+    return res.status(401).json({ error: 'Invalid or expired refresh token.' });
+  }
+
+  const presentedHash = Buffer.from(hashRefreshSecret(secret));
+  const storedHash = Buffer.from(session.refresh_token_hash || '');
+  if (presentedHash.length !== storedHash.length || !crypto.timingSafeEqual(presentedHash, storedHash)) {
+    // An already-rotated token was replayed: assume it leaked and kill the session
+    await revokeSessions('id', session.id, 'refresh_token_reuse');
+    return res.status(401).json({ error: 'Invalid or expired refresh token.' });
+  }
+
+  const { claims, status, error: accountError } = await loadAccountClaims(session.user_id, session.account_type);
+  if (accountError) {
+    await revokeSessions('id', session.id, 'account_inactive');
+    return res.status(status).json({ error: accountError });
+  }
+
+  const nextSecret = crypto.randomBytes(32).toString('base64url');
+  const { data: rotated, error: rotateError } = await supabase
+    .from('user_sessions')
+    .update({
+      refresh_token_hash: hashRefreshSecret(nextSecret),
+      last_used_at: new Date().toISOString()
+    })
+    .eq('id', session.id)
+    .eq('refresh_token_hash', session.refresh_token_hash)
+    .is('revoked_at', null)
+    .select('id');
+
+  if (rotateError) return res.status(500).json({ error: 'Failed to rotate refresh token.' });
+  if (!rotated.length) {
+    // Another request rotated this token first: the same token was used twice
+    await revokeSessions('id', session.id, 'refresh_token_reuse');
+    return res.status(401).json({ error: 'Invalid or expired refresh token.' });
+  }
+
+  res.json({
+    token: signAccessToken(claims, session.id),
+    refreshToken: `${session.id}.${nextSecret}`,
+    ...claims
+  });
+});
+
+// Revoke the current session
+app.post('/logout', authenticateToken, async (req, res) => {
+  if (req.user.impersonationId) await endImpersonation(req.user.impersonationId, 'logout');
+  await revokeSessions('id', req.user.sessionId, 'logout');
+  res.json({ message: 'Logged out successfully.' });
+});
+
+// Revoke every session for the current user ("log out all devices")
+app.post('/logout-all', authenticateToken, async (req, res) => {
+  await revokeSessions('user_id', req.user.userId, 'logout_all');
+  res.json({ message: 'Logged out from all devices.' });
+});
+
+// -------------------------
+// 🕵️ IMPERSONATION ("VIEW AS")
+// -------------------------
+// Platform admins can act as a user or client for a short, logged window. The token carries the
+// target's usual claims plus `impersonator` and `impersonationId`, and is backed by its own session
+// row so it can be revoked like any other login (including when the target is deactivated).
+const IMPERSONATION_DEFAULT_MINUTES = 30;
+const IMPERSONATION_MAX_MINUTES = 60;
+
+const endImpersonation = async (impersonationId, reason) => {
+  const { data, error } = await supabase
+    .from('impersonation_log')
+    .update({ ended_at: new Date().toISOString(), end_reason: reason })
+    .eq('id', impersonationId)
+    .is('ended_at', null)
+    .select('session_id');
+
+  if (error) console.error('Failed to end impersonation:', error);
+  if (data?.[0]) await revokeSessions('id', data[0].session_id, `impersonation_${reason}`);
+};
+
+app.post('/impersonate', authenticateToken, requirePlatformAdmin, verifyStructure(['account_id', 'reason']), async (req, res) => {
+  const { account_id, reason } = req.body;
+  const accountType = req.body.account_type === 'client' ? 'client' : 'user';
+  const minutes = Math.min(parseInt(req.body.duration_minutes) || IMPERSONATION_DEFAULT_MINUTES, IMPERSONATION_MAX_MINUTES);
+
+  if (req.user.cron) return res.status(403).json({ error: 'The scheduler cannot impersonate accounts.' });
+  if (!String(reason).trim()) return res.status(400).json({ error: 'A reason is required to impersonate an account.' });
+
+  const { claims, status, error } = await loadAccountClaims(account_id, accountType);
+  if (error) return res.status(status).json({ error });
+  if (isPlatformAdmin(claims)) return res.status(403).json({ error: 'Platform administrators cannot be impersonated.' });
+
+  const expiresAt = new Date(Date.now() + minutes * 60 * 1000);
+
+  const { data: session, error: sessionError } = await supabase
+    .from('user_sessions')
+    .insert([{
+      user_id: claims.userId,
+      account_type: accountType,
+      company_id: claims.companyId,
+      // Impersonation sessions can't be refreshed, so the stored hash matches no token
+      refresh_token_hash: hashRefreshSecret(crypto.randomBytes(32).toString('base64url')),
+      impersonator_id: req.user.userId,
+      expires_at: expiresAt.toISOString(),
+      last_used_at: new Date().toISOString(),
+      user_agent: req.headers['user-agent'] || null,
+      ip_address: req.ip || null
+    }])
+    .select('id')
+    .single();
+
+  if (sessionError || !session) return res.status(500).json({ error: 'Failed to start impersonation session.' });
+
+  const { data: logEntry, error: logError } = await supabase
+    .from('impersonation_log')
+    .insert([{
+      admin_id: req.user.userId,
+      admin_name: req.user.name,
+      account_id: claims.userId,
+      account_type: accountType,
+      account_name: claims.name,
+      company_id: claims.companyId,
+      session_id: session.id,
+      reason: String(reason).trim(),
+      started_at: new Date().toISOString(),
+      expires_at: expiresAt.toISOString(),
+      ip_address: req.ip || null,
+      user_agent: req.headers['user-agent'] || null
+    }])
+    .select()
+    .single();
+
+  // No log entry, no impersonation
+  if (logError || !logEntry) {
+    await revokeSessions('id', session.id, 'impersonation_log_failed');
+    return res.status(500).json({ error: 'Failed to record impersonation.' });
+  }
+
+  const token = jwt.sign(
+    {
+      ...claims,
+      sessionId: session.id,
+      impersonationId: logEntry.id,
+      impersonator: { userId: req.user.userId, name: req.user.name }
+    },
+    process.env.JWT_SECRET,
+    { expiresIn: minutes * 60 }
+  );
+
+  res.status(201).json({
+    token,
+    expires_at: expiresAt.toISOString(),
+    impersonation: logEntry,
+    ...claims
+  });
+});
+
+// Called with the impersonation token itself to hand the session back early
+app.post('/impersonate/end', authenticateToken, async (req, res) => {
+  if (!req.user.impersonationId) return res.status(400).json({ error: 'This session is not an impersonation session.' });
+
+  await endImpersonation(req.user.impersonationId, 'ended');
+  res.json({ message: 'Impersonation ended.' });
+});
+
+app.get('/impersonation-log', authenticateToken, requirePlatformAdmin, async (req, res) => {
+  const { admin_id, account_id, company_id, active } = req.query;
+  const page = parseInt(req.query.page) || 1;
+  const limit = Math.min(parseInt(req.query.limit) || 50, 200);
+  const offset = (page - 1) * limit;
+
+  let query = supabase
+    .from('impersonation_log')
+    .select('*', { count: 'exact' })
+    .order('started_at', { ascending: false });
+
+  if (admin_id) query = query.eq('admin_id', admin_id);
+  if (account_id) query = query.eq('account_id', account_id);
+  if (company_id) query = query.eq('company_id', company_id);
+  if (active === 'true') query = query.is('ended_at', null).gt('expires_at', new Date().toISOString());
+
+  const { data, error, count } = await query.range(offset, offset + limit - 1);
+  if (error) return res.status(400).json(error);
+
+  res.json({
+    entries: data,
+    totalCount: count,
+    totalPages: Math.ceil(count / limit),
+    currentPage: page
+  });
+});
+
+// Admins can cut any impersonation session short
+app.post('/impersonation-log/:id/end', authenticateToken, requirePlatformAdmin, async (req, res) => {
+  await endImpersonation(req.params.id, 'revoked_by_admin');
+  res.json({ message: 'Impersonation ended.' });
+});
+
+// -------------------------
+// 🔐 TWO-FACTOR AUTHENTICATION (TOTP)
+// -------------------------
+const TWO_FACTOR_ROLES = ['owner', 'manager', 'client'];
+const TWO_FACTOR_ISSUER = process.env.TWO_FACTOR_ISSUER || 'Digital Archive';
+
+const accountTableFor = (role) => (role?.toLowerCase() === 'client' ? 'clients' : 'users');
+
+const isTwoFactorRequired = (role, requiredRoles = []) =>
+  (requiredRoles || []).map(r => r.toLowerCase()).includes(role?.toLowerCase());
+
+// Short-lived token proving the password step passed; never accepted by authenticateToken
+const signTwoFactorChallenge = (claims, purpose) => jwt.sign(
+  { ...claims, purpose },
+  process.env.JWT_SECRET,
+  { expiresIn: '5m' }
+);
+
+const verifyTwoFactorChallenge = (token, purpose) => {
+  try {
+    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    if (decoded.purpose !== purpose) return null;
+    const { purpose: _purpose, iat, exp, ...claims } = decoded;
+    return claims;
+  } catch (err) {
+    return null;
+  }
+};
+
+// Accept a regular access token, or an enrollment challenge when company policy forces setup at login
+const authenticateTwoFactorEnrollment = (req, res, next) => {
+  const authHeader = req.headers['authorization'];
+  const token = authHeader && authHeader.split(' ')[1];
+  const enrollmentClaims = token && verifyTwoFactorChallenge(token, 'two_factor_enrollment');
+
+  if (enrollmentClaims) {
+    req.user = enrollmentClaims;
+    req.twoFactorEnrollment = true;
+    return next();
+  }
+
+  authenticateToken(req, res, next);
+};
+
+const fetchTwoFactorAccount = async (role, userId) => {
+  const { data, error } = await supabase
+    .from(accountTableFor(role))
+    .select('id, email, company_id, two_factor_enabled, two_factor_secret, two_factor_pending_secret, two_factor_recovery_codes, two_factor_last_step')
+    .eq('id', userId)
+    .single();
+
+  return error ? null : data;
+};
+
+const fetchTwoFactorPolicy = async (companyId) => {
+  if (!companyId) return [];
+
+  const { data: company } = await supabase
+    .from('companies')
+    .select('two_factor_required_roles')
+    .eq('id', companyId)
+    .single();
+
+  return company?.two_factor_required_roles || [];
+};
+
+// Check a TOTP code (rejecting replays) or consume a recovery code. Returns true on success.
+const checkSecondFactor = async (role, account, { code, recoveryCode }) => {
+  if (!account?.two_factor_enabled || !account.two_factor_secret) return false;
+  const table = accountTableFor(role);
+
+  if (recoveryCode) {
+    const hashed = hashRecoveryCode(recoveryCode);
+    const remaining = account.two_factor_recovery_codes || [];
+    if (!remaining.includes(hashed)) return false;
+
+    // Only succeeds if the codes are still what we read, so a code can't be spent twice
+    // by concurrent requests (or resurrected by one spending a different code)
+    const { data, error } = await supabase
+      .from(table)
+      .update({ two_factor_recovery_codes: remaining.filter(h => h !== hashed) })
+      .eq('id', account.id)
+      .contains('two_factor_recovery_codes', remaining)
+      .containedBy('two_factor_recovery_codes', remaining)
+      .select('id');
+
+    return !error && data.length > 0;
+  }
+
+  const step = verifyTotp(decryptTotpSecret(account.two_factor_secret), code);
+  if (step === null || (account.two_factor_last_step && step <= account.two_factor_last_step)) return false;
+
+  // Claim the step atomically; a concurrent request with the same code updates nothing
+  const { data, error } = await supabase
+    .from(table)
+    .update({ two_factor_last_step: step })
+    .eq('id', account.id)
+    .or(`two_factor_last_step.is.null,two_factor_last_step.lt.${step}`)
+    .select('id');
+
+  return !error && data.length > 0;
+};
+
+// Second step of /login when the account has 2FA enabled
+app.post('/login/verify-2fa', verifyStructure(['challengeToken']), throttleAttempts('two_factor', req => verifyTwoFactorChallenge(req.body.challengeToken, 'two_factor_login')?.userId), async (req, res) => {
+  const { challengeToken, code, recoveryCode } = req.body;
+
+  if (!code && !recoveryCode) {
+    return res.status(400).json({ error: 'Provide either a verification code or a recovery code.' });
+  }
+
+  const claims = verifyTwoFactorChallenge(challengeToken, 'two_factor_login');
+  if (!claims) return res.status(401).json({ error: 'Login challenge is invalid or has expired. Please log in again.' });
+
+  const account = await fetchTwoFactorAccount(claims.role, claims.userId);
+  if (!(await checkSecondFactor(claims.role, account, { code, recoveryCode }))) {
+    await recordFailedAttempt(req.attemptKeys);
+    return res.status(401).json({ error: 'Invalid verification code.' });
+  }
+
+  await clearFailedAttempts(req.attemptKeys);
+  await sendLoginResponse(req, res, claims);
+});
+
+app.get('/two-factor/status', authenticateToken, async (req, res) => {
+  const { role, userId, companyId } = req.user;
+
+  const account = await fetchTwoFactorAccount(role, userId);
+  if (!account) return res.status(404).json({ error: 'Account not found.' });
+
+  const requiredRoles = await fetchTwoFactorPolicy(companyId);
+
+  res.json({
+    enabled: account.two_factor_enabled === true,
+    available: TWO_FACTOR_ROLES.includes(role.toLowerCase()),
+    required_by_policy: isTwoFactorRequired(role, requiredRoles),
+    recovery_codes_remaining: (account.two_factor_recovery_codes || []).length
+  });
+});
+
+// Start enrollment: generate a secret and return the otpauth URI for the authenticator app
+app.post('/two-factor/setup', authenticateTwoFactorEnrollment, async (req, res) => {
+  const { role, userId } = req.user;
+
+  if (!TWO_FACTOR_ROLES.includes(role.toLowerCase())) {
+    return res.status(403).json({ error: 'Two-factor authentication is only available for owners, managers and clients.' });
+  }
+
+  const account = await fetchTwoFactorAccount(role, userId);
+  if (!account) return res.status(404).json({ error: 'Account not found.' });
+  if (account.two_factor_enabled) {
+    return res.status(400).json({ error: 'Two-factor authentication is already enabled.' });
+  }
+
+  const secret = generateTotpSecret();
+  const { error } = await supabase
+    .from(accountTableFor(role))
+    .update({ two_factor_pending_secret: encryptTotpSecret(secret) })
+    .eq('id', userId);
+
+  if (error) return res.status(400).json(error);
+
+  res.json({
+    secret,
+    otpauth_uri: buildOtpauthUri(secret, account.email, TWO_FACTOR_ISSUER)
+  });
+});
+
+// Codes checked on a signed-in session share the login lockout, so a stolen access token
+// can't be used to brute-force the second factor
+const throttleTwoFactor = throttleAttempts('two_factor', req => req.user.userId);
+
+// Finish enrollment by confirming a code from the authenticator app
+app.post('/two-factor/enable', authenticateTwoFactorEnrollment, verifyStructure(['code']), throttleTwoFactor, async (req, res) => {
+  const { role, userId } = req.user;
+
+  const account = await fetchTwoFactorAccount(role, userId);
+  if (!account) return res.status(404).json({ error: 'Account not found.' });
+  if (!account.two_factor_pending_secret) {
+    return res.status(400).json({ error: 'Start two-factor setup before enabling it.' });
+  }
+
+  const step = verifyTotp(decryptTotpSecret(account.two_factor_pending_secret), req.body.code);
+  if (step === null) {
+    await recordFailedAttempt(req.attemptKeys);
+    return res.status(400).json({ error: 'Invalid verification code.' });
+  }
+  await clearFailedAttempts(req.attemptKeys);
+
+  const recoveryCodes = generateRecoveryCodes();
+  const { error } = await supabase
+    .from(accountTableFor(role))
+    .update({
+      two_factor_enabled: true,
+      two_factor_secret: account.two_factor_pending_secret,
+      two_factor_pending_secret: null,
+      two_factor_last_step: step,
+      two_factor_recovery_codes: recoveryCodes.map(hashRecoveryCode)
+    })
+    .eq('id', userId);
+
+  if (error) return res.status(400).json(error);
+
+  // Enrollment forced at login completes the login as well
+  if (req.twoFactorEnrollment) {
+    return sendLoginResponse(req, res, req.user, { recovery_codes: recoveryCodes });
+  }
+
+  res.json({ message: 'Two-factor authentication enabled.', recovery_codes: recoveryCodes });
+});
+
+app.post('/two-factor/disable', authenticateToken, throttleTwoFactor, async (req, res) => {
+  const { role, userId, companyId } = req.user;
+  const { code, recoveryCode } = req.body;
+
+  if (isTwoFactorRequired(role, await fetchTwoFactorPolicy(companyId))) {
+    return res.status(403).json({ error: 'Your company requires two-factor authentication for your role.' });
+  }
+
+  const account = await fetchTwoFactorAccount(role, userId);
+  if (!(await checkSecondFactor(role, account, { code, recoveryCode }))) {
+    await recordFailedAttempt(req.attemptKeys);
+    return res.status(401).json({ error: 'Invalid verification code.' });
+  }
+  await clearFailedAttempts(req.attemptKeys);
+
+  const { error } = await supabase
+    .from(accountTableFor(role))
+    .update({
+      two_factor_enabled: false,
+      two_factor_secret: null,
+      two_factor_pending_secret: null,
+      two_factor_last_step: null,
+      two_factor_recovery_codes: []
+    })
+    .eq('id', userId);
+
+  if (error) return res.status(400).json(error);
+  res.json({ message: 'Two-factor authentication disabled.' });
+});
+
+// Replace all recovery codes (old ones stop working)
+app.post('/two-factor/recovery-codes', authenticateToken, verifyStructure(['code']), throttleTwoFactor, async (req, res) => {
+  const { role, userId } = req.user;
+
+  const account = await fetchTwoFactorAccount(role, userId);
+  if (!(await checkSecondFactor(role, account, { code: req.body.code }))) {
+    await recordFailedAttempt(req.attemptKeys);
+    return res.status(401).json({ error: 'Invalid verification code.' });
+  }
+  await clearFailedAttempts(req.attemptKeys);
+
+  const recoveryCodes = generateRecoveryCodes();
+  const { error } = await supabase
+    .from(accountTableFor(role))
+    .update({ two_factor_recovery_codes: recoveryCodes.map(hashRecoveryCode) })
+    .eq('id', userId);
+
+  if (error) return res.status(400).json(error);
+  res.json({ recovery_codes: recoveryCodes });
+});
+
+// Company policy: which roles must use 2FA (owner only)
+app.get('/two-factor/policy', authenticateToken, requirePermission('security:manage-two-factor-policy'), async (req, res) => {
+  res.json({ required_roles: await fetchTwoFactorPolicy(req.user.companyId) });
+});
+
+app.put('/two-factor/policy', authenticateToken, requirePermission('security:manage-two-factor-policy'), verifyStructure(['required_roles']), async (req, res) => {
+  const { companyId } = req.user;
+  const { required_roles } = req.body;
+
+  if (!Array.isArray(required_roles)) {
+    return res.status(400).json({ error: 'required_roles must be an array.' });
+  }
+
+  const normalizedRoles = [...new Set(required_roles.map(r => String(r).toLowerCase()))];
+  const invalidRoles = normalizedRoles.filter(r => !TWO_FACTOR_ROLES.includes(r));
+  if (invalidRoles.length) {
+    return res.status(400).json({ error: `Two-factor cannot be required for: ${invalidRoles.join(', ')}` });
+  }
+
+  const { data, error } = await supabase
+    .from('companies')
+    .update({ two_factor_required_roles: normalizedRoles })
+    .eq('id', companyId)
+    .select('two_factor_required_roles');
+
+  if (error) return res.status(400).json(error);
+  res.json({ required_roles: data[0]?.two_factor_required_roles || normalizedRoles });
+});
+
+// Effective permissions for the current user, so the frontend doesn't duplicate the rules
+app.get('/permissions', authenticateToken, async (req, res) => {
+  const permissions = await resolveUserPermissions(req.user);
+  res.json({ role: req.user.role, permissions });
+});
+
+// Company permission matrix: defaults, overrides and the resulting action -> roles map (owner only)
+app.get('/permissions/matrix', authenticateToken, requirePermission('permissions:manage'), async (req, res) => {
+  const { data: company, error } = await supabase
+    .from('companies')
+    .select('permission_overrides')
+    .eq('id', req.user.companyId)
+    .single();
+
+  if (error || !company) return res.status(404).json({ error: 'Company not found.' });
+
+  const overrides = company.permission_overrides || {};
+  res.json({
+    defaults: Object.fromEntries(Object.entries(PERMISSIONS).map(([action, p]) => [action, p.roles])),
+    overrides,
+    effective: resolvePermissionMatrix(overrides)
+  });
+});
+
+// Replace the company's overrides; pass an empty object to restore the defaults
+app.put('/permissions/overrides', authenticateToken, requirePermission('permissions:manage'), verifyStructure(['overrides']), async (req, res) => {
+  const { overrides } = req.body;
+
+  const errors = validatePermissionOverrides(overrides);
+  if (errors.length) return res.status(400).json({ error: 'Invalid permission overrides.', details: errors });
+
+  // Owners cannot lock themselves out of managing permissions
+  if (overrides['permissions:manage'] && !overrides['permissions:manage'].map(r => String(r).toLowerCase()).includes('owner')) {
+    return res.status(400).json({ error: 'Owners must keep the permissions:manage permission.' });
+  }
+
+  const { data, error } = await supabase
+    .from('companies')
+    .update({ permission_overrides: overrides })
+    .eq('id', req.user.companyId)
+    .select('permission_overrides');
+
+  if (error) return res.status(400).json(error);
+  res.json({ overrides: data[0]?.permission_overrides || overrides, effective: resolvePermissionMatrix(overrides) });
+});
+
+
+// -------------------------
+// 🪪 SINGLE SIGN-ON (OIDC)
+// -------------------------
+// Flow: GET /sso/:companyId/login redirects to the company's identity provider, the provider
+// redirects back to GET /sso/callback, which sends the browser to the frontend with a one-time
+// code that the frontend trades for the usual token pair at POST /sso/exchange.
+const SSO_STATE_TTL_MINUTES = 10;
+const SSO_CALLBACK_URL = process.env.SSO_CALLBACK_URL;
+const SSO_CONFIG_FIELDS = 'company_id, issuer, client_id, scopes, role_claim, role_mapping, default_role, allow_jit_provisioning, enforced, enabled, updated_at';
+
+const hashSsoSecret = (value) => crypto.createHash('sha256').update(value).digest('hex');
+
+const fetchSsoConfig = async (companyId) => {
+  const { data } = await supabase
+    .from('company_sso_configs')
+    .select('*')
+    .eq('company_id', companyId)
+    .single();
+
+  return data || null;
+};
+
+const redirectToFrontend = (res, params) =>
+  res.redirect(`${process.env.FRONTEND_URL}/sso/complete?${new URLSearchParams(params).toString()}`);
+
+// Map the provider's role claim to an app role; falls back to the configured default role
+const resolveSsoRole = (config, idClaims) => {
+  const claimValue = config.role_claim ? readClaim(idClaims, config.role_claim) : undefined;
+  const values = (Array.isArray(claimValue) ? claimValue : [claimValue]).filter(v => v != null).map(String);
+  const mapping = config.role_mapping || {};
+
+  for (const value of values) {
+    const mapped = mapping[value] && STAFF_ROLES[String(mapping[value]).toLowerCase()];
+    if (mapped) return mapped;
+  }
+
+  return config.default_role ? STAFF_ROLES[String(config.default_role).toLowerCase()] || null : null;
+};
+
+const validateSsoConfig = (body) => {
+  const errors = [];
+  const issuerError = body.issuer !== undefined ? validateIssuerUrl(body.issuer) : null;
+  if (issuerError) errors.push(issuerError);
+
+  if (body.role_mapping !== undefined) {
+    if (!body.role_mapping || typeof body.role_mapping !== 'object' || Array.isArray(body.role_mapping)) {
+      errors.push('role_mapping must be an object mapping claim values to roles.');
+    } else {
+      const unknownRoles = Object.values(body.role_mapping).filter(role => !STAFF_ROLES[String(role).toLowerCase()]);
+      if (unknownRoles.length) errors.push(`Unknown roles in role_mapping: ${unknownRoles.join(', ')}`);
+    }
+  }
+
+  if (body.default_role && !STAFF_ROLES[String(body.default_role).toLowerCase()]) {
+    errors.push(`Unknown default_role: ${body.default_role}`);
+  }
+
+  return errors;
+};
+
+// Accounts that are never linked to an identity just because the emails match; their owner
+// links them from a signed-in session through POST /sso/link instead
+const SSO_CONFIRM_LINK_ROLES = ['admin', 'owner', 'manager'];
+
+// Find the staff account for this identity, linking by email on first SSO login, or create it
+const findOrProvisionSsoUser = async (config, idClaims) => {
+  const { data: linked } = await supabase
+    .from('users')
+    .select('id, email, company_id, role, name, status')
+    .eq('company_id', config.company_id)
+    .eq('sso_subject', idClaims.sub)
+    .single();
+
+  if (linked) return { user: linked };
+
+  const email = idClaims.email && idClaims.email_verified === true ? String(idClaims.email).toLowerCase() : null;
+  if (!email) return { error: 'The identity provider did not return a verified email address.' };
+
+  const { data: existing } = await supabase
+    .from('users')
+    .select('id, email, company_id, role, name, status, two_factor_enabled')
+    .eq('email', email)
+    .single();
+
+  if (existing) {
+    if (existing.company_id !== config.company_id) return { error: 'This email belongs to a different company.' };
+    if (SSO_CONFIRM_LINK_ROLES.includes(existing.role?.toLowerCase()) || existing.two_factor_enabled) {
+      return { error: 'Sign in with your password and link your identity provider from your account settings first.' };
+    }
+
+    // An SSO login counts as accepting a pending invitation
+    const updates = { sso_subject: idClaims.sub };
+    if (existing.status === 'invited') updates.status = 'active';
+    await supabase.from('users').update(updates).eq('id', existing.id);
+
+    const { two_factor_enabled, ...user } = existing;
+    return { user: { ...user, ...updates } };
+  }
+
+  if (!config.allow_jit_provisioning) return { error: 'No account exists for this user. Ask your company admin for an invitation.' };
+
+  const role = resolveSsoRole(config, idClaims);
+  if (!role) return { error: 'Your identity provider did not assign you a role in this application.' };
+
+  const { data: created, error } = await supabase
+    .from('users')
+    .insert([{
+      name: idClaims.name || [idClaims.given_name, idClaims.family_name].filter(Boolean).join(' ') || email,
+      email,
+      role,
+      company_id: config.company_id,
+      documents_reviewed: 0,
+      status: 'active',
+      sso_subject: idClaims.sub
+    }])
+    .select('id, email, company_id, role, name, status')
+    .single();
+
+  if (error || !created) return { error: 'Failed to create your account.' };
+  return { user: created };
+};
+
+app.get('/sso/config', authenticateToken, requirePermission('sso:manage'), async (req, res) => {
+  const { data, error } = await supabase
+    .from('company_sso_configs')
+    .select(SSO_CONFIG_FIELDS)
+    .eq('company_id', req.user.companyId)
+    .single();
+
+  if (error && error.code !== 'PGRST116') return res.status(400).json(error);
+  res.json({ config: data || null, callback_url: SSO_CALLBACK_URL || null });
+});
+
+app.put('/sso/config', authenticateToken, requirePermission('sso:manage'), async (req, res) => {
+  const existing = await fetchSsoConfig(req.user.companyId);
+  const {
+    issuer, client_id, client_secret, scopes, role_claim, role_mapping,
+    default_role, allow_jit_provisioning, enforced, enabled
+  } = req.body;
+
+  if (!existing && (!issuer || !client_id || !client_secret)) {
+    return res.status(400).json({ error: 'issuer, client_id and client_secret are required.' });
+  }
+
+  const problems = validateSsoConfig(req.body);
+  if (problems.length) return res.status(400).json({ error: problems.join(' ') });
+
+  // Fail fast on a misconfigured issuer rather than at the first login
+  const effectiveIssuer = issuer || existing.issuer;
+  try {
+    await discoverIssuer(effectiveIssuer);
+  } catch (err) {
+    return res.status(400).json({ error: `Could not load the issuer's OpenID configuration: ${err.message}` });
+  }
+
+  const config = {
+    company_id: req.user.companyId,
+    issuer: effectiveIssuer.replace(/\/+$/, ''),
+    client_id: client_id || existing.client_id,
+    client_secret_encrypted: client_secret ? encryptClientSecret(client_secret) : existing.client_secret_encrypted,
+    scopes: scopes || existing?.scopes || 'openid email profile',
+    role_claim: role_claim !== undefined ? role_claim || null : existing?.role_claim || null,
+    role_mapping: role_mapping !== undefined ? role_mapping : existing?.role_mapping || {},
+    default_role: default_role !== undefined ? default_role || null : existing?.default_role || null,
+    allow_jit_provisioning: allow_jit_provisioning !== undefined ? Boolean(allow_jit_provisioning) : existing?.allow_jit_provisioning ?? false,
+    enforced: enforced !== undefined ? Boolean(enforced) : existing?.enforced ?? false,
+    enabled: enabled !== undefined ? Boolean(enabled) : existing?.enabled ?? true,
+    updated_at: new Date().toISOString()
+  };
 
-  let { data: user, error } = await supabase
-    .from('users')
-    .select('id, email, password, company_id, role, name')
-    .eq('email', email)
+  const { data, error } = await supabase
+    .from('company_sso_configs')
+    .upsert([config], { onConflict: 'company_id' })
+    .select(SSO_CONFIG_FIELDS)
     .single();
 
-  if (!user) {
-    const { data: client, error: clientError } = await supabase
-      .from('clients')
-      .select('id, email, password, company_id, name, status')
-      .eq('email', email)
-      .single();
+  if (error) return res.status(400).json(error);
+  res.json({ config: data, callback_url: SSO_CALLBACK_URL || null });
+});
 
-    if (client && client.password === password) {
-      const { data: company, error: companyError } = await supabase
-        .from('companies')
-        .select('status, requires_notary, ai_analysis_method')
-        .eq('id', client.company_id)
-        .single();
+app.delete('/sso/config', authenticateToken, requirePermission('sso:manage'), async (req, res) => {
+  const { error } = await supabase
+    .from('company_sso_configs')
+    .delete()
+    .eq('company_id', req.user.companyId);
 
-      if (companyError || !company || company.status !== 'Active') {
-        return res.status(403).json({ error: 'Company is not active. Please contact support.' });
-      }
+  if (error) return res.status(400).json(error);
+  res.json({ message: 'Single sign-on disabled.' });
+});
 
-      client.requires_notary = company.requires_notary;
-      client.ai_analysis_method = company.ai_analysis_method || 'full';
+// Store a login state and build the provider's authorization URL. linkUserId marks a link
+// started by a signed-in user: the callback attaches the identity to that account.
+const createSsoAuthorization = async (config, metadata, linkUserId = null) => {
+  const state = crypto.randomBytes(32).toString('base64url');
+  const nonce = crypto.randomBytes(16).toString('base64url');
+  const pkce = createPkcePair();
+
+  const { error } = await supabase.from('sso_login_states').insert([{
+    state_hash: hashSsoSecret(state),
+    company_id: config.company_id,
+    nonce,
+    code_verifier: pkce.verifier,
+    link_user_id: linkUserId,
+    expires_at: new Date(Date.now() + SSO_STATE_TTL_MINUTES * 60 * 1000).toISOString()
+  }]);
 
-      if (client.status !== 'active') {
-        return res.status(403).json({ error: 'Your account is not active. Please contact your company admin.' });
-      }
+  if (error) return null;
 
-      user = {
-        ...client,
-        role: 'Client'
-      };
-    } else {
-      return res.status(401).json({ error: 'Invalid email or password.' });
-    }
-  } else if (user.password !== password) {
-    return res.status(401).json({ error: 'Invalid email or password.' });
-  } else if (user.role != 'admin') {
-    const { data: company, error: companyError } = await supabase
-      .from('companies')
-      .select('status, requires_notary, ai_analysis_method')
-      .eq('id', user.company_id)
-      .single();
+  return buildAuthorizationUrl(metadata, {
+    clientId: config.client_id,
+    redirectUri: SSO_CALLBACK_URL,
+    scopes: config.scopes || 'openid email profile',
+    state,
+    nonce,
+    codeChallenge: pkce.challenge
+  });
+};
 
-    if (companyError || !company || company.status !== 'Active') {
-      return res.status(403).json({ error: 'Company is not active. Please contact support.' });
-    }
+// Public: start an SSO login for a company
+app.get('/sso/:companyId/login', async (req, res) => {
+  const config = await fetchSsoConfig(req.params.companyId);
+  if (!config || !config.enabled) {
+    return res.status(404).json({ error: 'Single sign-on is not configured for this company.' });
+  }
+  if (!SSO_CALLBACK_URL) {
+    return res.status(500).json({ error: 'SSO_CALLBACK_URL is not configured.' });
+  }
 
-    user.requires_notary = company.requires_notary;
-    user.ai_analysis_method = company.ai_analysis_method || 'full';
+  let metadata;
+  try {
+    metadata = await discoverIssuer(config.issuer);
+  } catch (err) {
+    console.error('OIDC discovery error:', err);
+    return res.status(502).json({ error: 'Could not reach the identity provider.' });
   }
 
-  // Generate token
-  const token = jwt.sign(
-    {
-      userId: user.id,
-      companyId: user.company_id || null,
-      role: user.role,
-      name: user.name,
-      requires_notary: user.requires_notary !== false,
-      ai_analysis_method: user.ai_analysis_method || 'full'
-    },
-    process.env.JWT_SECRET,
-    { expiresIn: '1d' }
-  );
+  const authorizationUrl = await createSsoAuthorization(config, metadata);
+  if (!authorizationUrl) return res.status(500).json({ error: 'Failed to start single sign-on.' });
 
-  res.json({
-    token,
-    role: user.role,
-    userId: user.id,
-    companyId: user.company_id,
-    name: user.name,
-    requires_notary: user.requires_notary !== false,
-    ai_analysis_method: user.ai_analysis_method || 'full'
-  });
+  // SPAs can ask for the URL instead of following a redirect
+  if (req.query.format === 'json') return res.json({ authorization_url: authorizationUrl });
+  res.redirect(authorizationUrl);
 });
 
-app.post('/companies', verifyStructure(['name', 'contact_email', 'password_hash', 'plan_id', 'admin_name']), async (req, res) => {
-  const { name, contact_email, password_hash, plan_id, admin_name, logo_url, requires_notary, ai_analysis_method } = req.body;
-
-  // Step 1: Check for existing company
-  const { data: existingCompany, error: checkError } = await supabase
-    .from('companies')
+// Attach the identity to the account that started POST /sso/link
+const linkSsoIdentity = async (config, userId, idClaims) => {
+  const { data: taken } = await supabase
+    .from('users')
     .select('id')
-    .eq('contact_email', contact_email)
-    .single();
-
-  if (existingCompany) {
-    return res.status(409).json({ error: 'Company already exists with this email.' });
-  }
+    .eq('company_id', config.company_id)
+    .eq('sso_subject', idClaims.sub)
+    .maybeSingle();
 
-  // Step 2: Fetch plan details to get price_description
-  const { data: plan, error: planError } = await supabase
-    .from('plans')
-    .select('price_description')
-    .eq('id', plan_id)
-    .single();
+  if (taken && taken.id !== userId) return { error: 'This identity is already linked to another account.' };
 
-  if (planError || !plan) {
-    return res.status(400).json({ error: 'Invalid plan selected.' });
-  }
+  const { data, error } = await supabase
+    .from('users')
+    .update({ sso_subject: idClaims.sub })
+    .eq('id', userId)
+    .eq('company_id', config.company_id)
+    .select('id');
 
-  // Step 3: Insert company
-  const { data: companyData, error: createError } = await supabase
-    .from('companies')
-    .insert([{ 
-      name, 
-      contact_email, 
-      password_hash, 
-      plan_id, 
-      admin_name, 
-      logo_url: logo_url || null, 
-      requires_notary: requires_notary !== false,
-      ai_analysis_method: ai_analysis_method || 'full'
-    }])
-    .select();
+  if (error || !data?.length) return { error: 'Failed to link your identity provider.' };
+  return {};
+};
 
-  if (createError) return res.status(400).json(createError);
-  const company = companyData[0];
+// Link the signed-in staff account to its identity at the company's provider. Privileged
+// accounts are only ever linked this way, never by matching email at login.
+app.post('/sso/link', authenticateToken, async (req, res) => {
+  if (req.user.role?.toLowerCase() === 'client' || isPlatformAdmin(req.user)) {
+    return res.status(403).json({ error: 'Only company staff accounts can use single sign-on.' });
+  }
 
-  // Step 4: Create admin user
-  const { error: userError } = await supabase.from('users').insert([{
-    name: admin_name,
-    email: contact_email,
-    phone: '',
-    role: 'Owner',
-    password: password_hash,
-    company_id: company.id,
-    status: 'active'
-  }]);
+  const config = await fetchSsoConfig(req.user.companyId);
+  if (!config || !config.enabled) {
+    return res.status(404).json({ error: 'Single sign-on is not configured for this company.' });
+  }
+  if (!SSO_CALLBACK_URL) {
+    return res.status(500).json({ error: 'SSO_CALLBACK_URL is not configured.' });
+  }
 
-  if (userError) {
-    return res.status(500).json({ error: 'Company created but failed to create admin user.' });
+  let metadata;
+  try {
+    metadata = await discoverIssuer(config.issuer);
+  } catch (err) {
+    console.error('OIDC discovery error:', err);
+    return res.status(502).json({ error: 'Could not reach the identity provider.' });
   }
 
-  // Step 5: Send welcome email
-  await sendWelcomeEmail(name, contact_email, password_hash, `${process.env.FRONTEND_URL}`);
+  const authorizationUrl = await createSsoAuthorization(config, metadata, req.user.userId);
+  if (!authorizationUrl) return res.status(500).json({ error: 'Failed to start single sign-on.' });
 
-  res.status(201).json(companyData);
+  res.json({ authorization_url: authorizationUrl });
 });
 
-app.post('/verify-token', async (req, res) => {
-  const authHeader = req.headers['authorization'];
-  const token = authHeader && authHeader.split(' ')[1];
+// Public: the identity provider redirects here with ?code&state
+app.get('/sso/callback', async (req, res) => {
+  const { code, state, error: providerError, error_description } = req.query;
+  if (providerError) return redirectToFrontend(res, { error: error_description || providerError });
+  if (!code || !state) return redirectToFrontend(res, { error: 'Missing code or state.' });
+
+  // Claim the login state so a callback URL can't be replayed
+  const { data: loginStates } = await supabase
+    .from('sso_login_states')
+    .update({ callback_at: new Date().toISOString() })
+    .eq('state_hash', hashSsoSecret(String(state)))
+    .is('callback_at', null)
+    .gt('expires_at', new Date().toISOString())
+    .select();
 
-  if (!token) {
-    return res.status(401).json({ error: 'No token provided.' });
-  }
+  const loginState = loginStates?.[0];
+  if (!loginState) return redirectToFrontend(res, { error: 'This sign-in link has expired. Please try again.' });
 
+  const config = await fetchSsoConfig(loginState.company_id);
+  if (!config || !config.enabled) return redirectToFrontend(res, { error: 'Single sign-on is not configured for this company.' });
+
+  let idClaims;
   try {
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
-    res.status(200).json({ valid: true, user: decoded });
+    const metadata = await discoverIssuer(config.issuer);
+    const tokens = await exchangeAuthorizationCode(metadata, {
+      clientId: config.client_id,
+      clientSecret: decryptClientSecret(config.client_secret_encrypted),
+      code: String(code),
+      redirectUri: SSO_CALLBACK_URL,
+      codeVerifier: loginState.code_verifier
+    });
+    idClaims = await verifyIdToken(metadata, tokens.id_token, { clientId: config.client_id, nonce: loginState.nonce });
   } catch (err) {
-    res.status(401).json({ error: 'Invalid or expired token.' });
+    console.error('OIDC callback error:', err);
+    return redirectToFrontend(res, { error: 'Sign-in with your identity provider failed.' });
+  }
+
+  if (loginState.link_user_id) {
+    const { error } = await linkSsoIdentity(config, loginState.link_user_id, idClaims);
+    return redirectToFrontend(res, error ? { error } : { linked: 'true' });
   }
+
+  const { user, error } = await findOrProvisionSsoUser(config, idClaims);
+  if (error) return redirectToFrontend(res, { error });
+
+  const loginCode = crypto.randomBytes(32).toString('base64url');
+  await supabase
+    .from('sso_login_states')
+    .update({ user_id: user.id, login_code_hash: hashSsoSecret(loginCode) })
+    .eq('id', loginState.id);
+
+  redirectToFrontend(res, { code: loginCode });
 });
 
+// Public: trade the one-time code from the callback redirect for an access/refresh token pair
+app.post('/sso/exchange', verifyStructure(['code']), async (req, res) => {
+  const { data: loginStates } = await supabase
+    .from('sso_login_states')
+    .update({ consumed_at: new Date().toISOString() })
+    .eq('login_code_hash', hashSsoSecret(String(req.body.code)))
+    .is('consumed_at', null)
+    .gt('expires_at', new Date().toISOString())
+    .select();
+
+  const loginState = loginStates?.[0];
+  if (!loginState) return res.status(400).json({ error: 'Invalid or expired sign-in code.' });
+
+  const { claims, status, error } = await loadAccountClaims(loginState.user_id, 'user');
+  if (error) return res.status(status).json({ error });
+
+  await sendLoginResponse(req, res, claims, { sso: true });
+});
 
 // -------------------------
 // 🔑 FORGOT PASSWORD FLOW
@@ -309,7 +2669,7 @@ app.post('/forgot-password', verifyStructure(['email']), async (req, res) => {
   }
 
   // Generate 6-digit code
-  const code = Math.floor(100000 + Math.random() * 900000).toString();
+  const code = crypto.randomInt(100000, 1000000).toString();
   const expiresAt = new Date(Date.now() + 15 * 60 * 1000); // 15 minutes
 
   // Save to password_resets table
@@ -355,21 +2715,40 @@ app.post('/forgot-password', verifyStructure(['email']), async (req, res) => {
   }
 });
 
-// 2. Verify Reset Code
-app.post('/verify-reset-code', verifyStructure(['email', 'code']), async (req, res) => {
-  const { email, code } = req.body;
+const RESET_CODE_MAX_ATTEMPTS = 5;
 
+// Check a code against the latest active reset entry; wrong guesses burn that code after a few tries
+const checkResetCode = async (email, code) => {
   const { data: resetEntry, error } = await supabase
     .from('password_resets')
     .select('*')
     .eq('email', email)
-    .eq('code', code)
     .gt('expires_at', new Date().toISOString())
     .order('created_at', { ascending: false })
     .limit(1)
     .single();
 
-  if (error || !resetEntry) {
+  if (error || !resetEntry || (resetEntry.attempts || 0) >= RESET_CODE_MAX_ATTEMPTS) return false;
+
+  const expected = crypto.createHash('sha256').update(String(resetEntry.code)).digest();
+  const presented = crypto.createHash('sha256').update(String(code)).digest();
+  if (crypto.timingSafeEqual(expected, presented)) return true;
+
+  const attempts = (resetEntry.attempts || 0) + 1;
+  await supabase
+    .from('password_resets')
+    .update(attempts >= RESET_CODE_MAX_ATTEMPTS ? { attempts, expires_at: new Date().toISOString() } : { attempts })
+    .eq('id', resetEntry.id);
+
+  return false;
+};
+
+// 2. Verify Reset Code
+app.post('/verify-reset-code', verifyStructure(['email', 'code']), throttleAttempts('password_reset', req => req.body.email), async (req, res) => {
+  const { email, code } = req.body;
+
+  if (!(await checkResetCode(email, code))) {
+    await recordFailedAttempt(req.attemptKeys);
     return res.status(400).json({ error: 'Invalid or expired code.' });
   }
 
@@ -377,38 +2756,37 @@ app.post('/verify-reset-code', verifyStructure(['email', 'code']), async (req, r
 });
 
 // 3. Reset Password
-app.post('/reset-password', verifyStructure(['email', 'code', 'newPassword']), async (req, res) => {
+app.post('/reset-password', verifyStructure(['email', 'code', 'newPassword']), throttleAttempts('password_reset', req => req.body.email), async (req, res) => {
   const { email, code, newPassword } = req.body;
 
   // Verify code again to be safe
-  const { data: resetEntry, error } = await supabase
-    .from('password_resets')
-    .select('*')
-    .eq('email', email)
-    .eq('code', code)
-    .gt('expires_at', new Date().toISOString())
-    .order('created_at', { ascending: false })
-    .limit(1)
-    .single();
-
-  if (error || !resetEntry) {
+  if (!(await checkResetCode(email, code))) {
+    await recordFailedAttempt(req.attemptKeys);
     return res.status(400).json({ error: 'Invalid or expired code.' });
   }
 
   // Update password in users OR clients table
-  let updated = false;
+  const hashedPassword = await hashPassword(newPassword);
+  let updatedAccounts = [];
 
-  const { data: user } = await supabase.from('users').update({ password: newPassword }).eq('email', email).select();
-  if (user && user.length > 0) updated = true;
+  const { data: user } = await supabase.from('users').update({ password: hashedPassword }).eq('email', email).select('id');
+  if (user && user.length > 0) updatedAccounts = user;
+
+  if (!updatedAccounts.length) {
+    const { data: client } = await supabase.from('clients').update({ password: hashedPassword }).eq('email', email).select('id');
+    if (client && client.length > 0) updatedAccounts = client;
+  }
 
-  if (!updated) {
-    const { data: client } = await supabase.from('clients').update({ password: newPassword }).eq('email', email).select();
-    if (client && client.length > 0) updated = true;
+  // A reset password invalidates every existing session for that account
+  for (const account of updatedAccounts) {
+    await revokeSessions('user_id', account.id, 'password_reset');
   }
 
-  if (updated) {
+  if (updatedAccounts.length) {
     // Optionally delete used codes
     await supabase.from('password_resets').delete().eq('email', email);
+    await clearFailedAttempts(req.attemptKeys);
+    await clearFailedAttempts(attemptKeysFor('login', req, email));
     res.status(200).json({ message: 'Password reset successfully. You can now login.' });
   } else {
     res.status(404).json({ error: 'User not found.' });
@@ -416,6 +2794,227 @@ app.post('/reset-password', verifyStructure(['email', 'code', 'newPassword']), a
 });
 
 
+// -------------------------
+// ✉️ INVITATIONS
+// -------------------------
+const INVITATION_TTL_HOURS = parseInt(process.env.INVITATION_TTL_HOURS) || 72;
+
+const hashInvitationToken = (token) => crypto.createHash('sha256').update(String(token)).digest('hex');
+
+const invitationStatus = (invitation) => {
+  if (invitation.accepted_at) return 'accepted';
+  if (invitation.revoked_at) return 'revoked';
+  if (new Date(invitation.expires_at) <= new Date()) return 'expired';
+  return 'pending';
+};
+
+// Never expose the token hash
+const formatInvitation = (invitation) => {
+  if (!invitation) return null;
+  const { token_hash, ...rest } = invitation;
+  return { ...rest, status: invitationStatus(invitation) };
+};
+
+// Mint a fresh single-use token for an invitation and email the link to the invitee
+const sendInvitationLink = async (invitation, companyName) => {
+  const token = crypto.randomBytes(32).toString('base64url');
+  const expiresAt = new Date(Date.now() + INVITATION_TTL_HOURS * 60 * 60 * 1000).toISOString();
+
+  const { data: updated, error } = await supabase
+    .from('invitations')
+    .update({ token_hash: hashInvitationToken(token), expires_at: expiresAt, last_sent_at: new Date().toISOString() })
+    .eq('id', invitation.id)
+    .select()
+    .single();
+
+  if (error || !updated) return { invitation, emailResult: { error: 'Failed to issue invitation token.' } };
+
+  const inviteLink = `${process.env.FRONTEND_URL}/accept-invite?token=${token}`;
+  const emailResult = await sendInvitationEmail(updated.name, updated.email, companyName, inviteLink, expiresAt);
+
+  return { invitation: updated, emailResult };
+};
+
+const issueInvitation = async ({ type, email, name, companyId, companyName, accountId, role, invitedBy }) => {
+  const { data: invitation, error } = await supabase
+    .from('invitations')
+    .insert([{
+      invite_type: type,
+      email,
+      name,
+      company_id: companyId,
+      account_id: accountId,
+      role,
+      invited_by: invitedBy,
+      expires_at: new Date().toISOString()
+    }])
+    .select()
+    .single();
+
+  if (error || !invitation) {
+    console.error('Failed to create invitation:', error);
+    return { invitation: null, emailResult: { error: 'Failed to create invitation.' } };
+  }
+
+  if (!companyName) {
+    const { data: company } = await supabase.from('companies').select('name').eq('id', companyId).single();
+    companyName = company?.name || 'your company';
+  }
+
+  return sendInvitationLink(invitation, companyName);
+};
+
+// Company-owner invitations belong to the platform admin; the rest to the company's managers
+const canManageInvitation = (user, invitation) => {
+  if (isPlatformAdmin(user)) return true;
+  return invitation.invite_type !== 'company_owner' && invitation.company_id === user.companyId;
+};
+
+const findPendingInvitation = async (token) => {
+  if (!token) return null;
+
+  const { data: invitation } = await supabase
+    .from('invitations')
+    .select('*')
+    .eq('token_hash', hashInvitationToken(token))
+    .single();
+
+  return invitation && invitationStatus(invitation) === 'pending' ? invitation : null;
+};
+
+app.get('/invitations', authenticateToken, requireAdminOrPermission('invitations:manage'), async (req, res) => {
+  const { status, type } = req.query;
+
+  let query = scopeToTenant(supabase.from('invitations').select('*'), req.user)
+    .order('created_at', { ascending: false });
+
+  if (type) query = query.eq('invite_type', type);
+
+  const { data, error } = await query;
+  if (error) return res.status(400).json(error);
+
+  const invitations = data.map(formatInvitation);
+  res.json(status ? invitations.filter(inv => inv.status === status) : invitations);
+});
+
+// Re-send with a new token and expiry; the previous link stops working
+app.post('/invitations/:id/resend', authenticateToken, requireAdminOrPermission('invitations:manage'), async (req, res) => {
+  const { data: invitation, error } = await supabase
+    .from('invitations')
+    .select('*')
+    .eq('id', req.params.id)
+    .single();
+
+  if (error || !invitation || !canManageInvitation(req.user, invitation)) {
+    return res.status(404).json({ error: 'Invitation not found.' });
+  }
+
+  const status = invitationStatus(invitation);
+  if (status === 'accepted' || status === 'revoked') {
+    return res.status(400).json({ error: `Invitation has already been ${status}.` });
+  }
+
+  const { data: company } = await supabase.from('companies').select('name').eq('id', invitation.company_id).single();
+  const { invitation: updated, emailResult } = await sendInvitationLink(invitation, company?.name || 'your company');
+
+  res.json({ invitation: formatInvitation(updated), invitation_email: emailResult });
+});
+
+app.post('/invitations/:id/revoke', authenticateToken, requireAdminOrPermission('invitations:manage'), async (req, res) => {
+  const { data: invitation, error } = await supabase
+    .from('invitations')
+    .select('*')
+    .eq('id', req.params.id)
+    .single();
+
+  if (error || !invitation || !canManageInvitation(req.user, invitation)) {
+    return res.status(404).json({ error: 'Invitation not found.' });
+  }
+
+  if (invitation.accepted_at) {
+    return res.status(400).json({ error: 'Invitation has already been accepted.' });
+  }
+
+  const { data: revoked, error: revokeError } = await supabase
+    .from('invitations')
+    .update({ revoked_at: new Date().toISOString() })
+    .eq('id', invitation.id)
+    .select()
+    .single();
+
+  if (revokeError) return res.status(400).json(revokeError);
+  res.json({ message: 'Invitation revoked.', invitation: formatInvitation(revoked) });
+});
+
+// Public: lets the accept page show who the invitation is for
+app.get('/accept-invite', async (req, res) => {
+  const invitation = await findPendingInvitation(req.query.token);
+  if (!invitation) return res.status(404).json({ error: 'Invitation is invalid, expired or already used.' });
+
+  const { data: company } = await supabase.from('companies').select('name').eq('id', invitation.company_id).single();
+
+  res.json({
+    email: invitation.email,
+    name: invitation.name,
+    role: invitation.role,
+    company_name: company?.name || null,
+    expires_at: invitation.expires_at
+  });
+});
+
+app.post('/accept-invite', verifyStructure(['token', 'password']), async (req, res) => {
+  const { token, password } = req.body;
+
+  if (typeof password !== 'string' || password.length < 8) {
+    return res.status(400).json({ error: 'Password must be at least 8 characters long.' });
+  }
+
+  const invitation = await findPendingInvitation(token);
+  if (!invitation) return res.status(400).json({ error: 'Invitation is invalid, expired or already used.' });
+
+  // Claim the invitation first so the token cannot be used twice
+  const { data: claimed, error: claimError } = await supabase
+    .from('invitations')
+    .update({ accepted_at: new Date().toISOString() })
+    .eq('id', invitation.id)
+    .is('accepted_at', null)
+    .select('id');
+
+  if (claimError || !claimed?.length) {
+    return res.status(400).json({ error: 'Invitation is invalid, expired or already used.' });
+  }
+
+  const table = invitation.invite_type === 'client' ? 'clients' : 'users';
+  const { data: account, error: accountError } = await supabase
+    .from(table)
+    .select('id, status')
+    .eq('id', invitation.account_id)
+    .single();
+
+  // Release the claim on failure so the invitee can retry with the same link
+  const releaseClaim = () => supabase.from('invitations').update({ accepted_at: null }).eq('id', invitation.id);
+
+  if (accountError || !account) {
+    await releaseClaim();
+    return res.status(404).json({ error: 'Invited account no longer exists.' });
+  }
+
+  const accountUpdates = { password: await hashPassword(password) };
+  if (account.status === 'invited') accountUpdates.status = 'active';
+
+  const { error: updateError } = await supabase
+    .from(table)
+    .update(accountUpdates)
+    .eq('id', account.id);
+
+  if (updateError) {
+    await releaseClaim();
+    return res.status(400).json({ error: 'Failed to activate account.' });
+  }
+
+  res.json({ message: 'Invitation accepted. You can now log in.', email: invitation.email });
+});
+
 // -------------------------
 // 📁 PLANS ENDPOINTS
 // -------------------------
@@ -432,19 +3031,19 @@ app.get('/plans/:id', async (req, res) => {
   res.json(data);
 });
 
-app.post('/plans', verifyStructure(['name']), async (req, res) => {
+app.post('/plans', authenticateToken, requirePlatformAdmin, verifyStructure(['name']), async (req, res) => {
   const { data, error } = await supabase.from('plans').insert([req.body]).select();
   if (error) return res.status(400).json(error);
   res.status(201).json(data);
 });
 
-app.put('/plans/:id', async (req, res) => {
+app.put('/plans/:id', authenticateToken, requirePlatformAdmin, async (req, res) => {
   const { data, error } = await supabase.from('plans').update(req.body).eq('id', req.params.id).select();
   if (error) return res.status(400).json(error);
   res.json(data);
 });
 
-app.delete('/plans/:id', async (req, res) => {
+app.delete('/plans/:id', authenticateToken, requirePlatformAdmin, async (req, res) => {
   const planId = req.params.id;
 
   const { data: companies, error: fetchError } = await supabase
@@ -530,19 +3129,23 @@ app.get('/get-plan-information', authenticateToken, async (req, res) => {
 // 🏢 COMPANIES ENDPOINTS
 // -------------------------
 
-app.get('/companies', async (req, res) => {
+app.get('/companies', authenticateToken, requirePlatformAdmin, async (req, res) => {
   const { data, error } = await supabase
     .from('companies')
     .select('*')
     .order('created_at', { ascending: false });
 
   if (error) return res.status(400).json(error);
-  res.json(data);
+  res.json(omitPasswordFields(data));
 });
 
-app.get('/companies/:id', async (req, res) => {
+app.get('/companies/:id', authenticateToken, requireAdminOrPermission('company:manage'), async (req, res) => {
   const companyId = req.params.id;
 
+  if (!isPlatformAdmin(req.user) && req.user.companyId !== companyId) {
+    return res.status(404).json({ error: 'Company not found' });
+  }
+
   // 1. Get Company
   const { data: company, error: companyError } = await supabase
     .from('companies')
@@ -554,7 +3157,7 @@ app.get('/companies/:id', async (req, res) => {
 
   // Convert logo S3 key to presigned URL
   const processedLogo = await processDocUrl(company.logo_url);
-  const enhancedCompany = { ...company, logo_url: processedLogo };
+  const enhancedCompany = { ...omitPasswordFields(company), logo_url: processedLogo };
 
   // 2. Get Users
   const { data: users, error: userError } = await supabase
@@ -605,16 +3208,21 @@ app.get('/companies/:id', async (req, res) => {
   });
 });
 
-app.get('/client/:id', async (req, res) => {
+app.get('/client/:id', authenticateToken, async (req, res) => {
   const clientId = req.params.id;
+  const isClientSelf = req.user.role.toLowerCase() === 'client' && req.user.userId === clientId;
 
-  // 1. Get client by ID
-  const { data: client, error: clientError } = await supabase
-    .from('clients')
-    .select('*')
-    .eq('id', clientId)
+  if (req.user.role.toLowerCase() === 'client' && !isClientSelf) {
+    return res.status(404).json({ error: 'Client not found.' });
+  }
+
+  // 1. Get client by ID (platform admins see any client, staff only their company's)
+  const { data: client, error: clientError } = await scopeToTenant(
+    supabase.from('clients').select('*').eq('id', clientId),
+    req.user
+  );
 
-  if (clientError || !client) {
+  if (clientError || !client || client.length === 0) {
     return res.status(404).json({ error: 'Client not found.' });
   }
 
@@ -642,94 +3250,153 @@ app.get('/client/:id', async (req, res) => {
 
   // ✅ Final response
   res.status(200).json({
-    ...client[0],
+    ...omitPasswordFields(client[0]),
     plan,
     invoices
   });
 });
 
-app.post('/companies', verifyStructure(['name', 'contact_email', 'password_hash', 'plan_id', 'admin_name']), async (req, res) => {
-  const { name, contact_email, password_hash, plan_id, admin_name, logo_url, requires_notary } = req.body;
-
-  // Step 1: Check for existing company
-  const { data: existingCompany, error: checkError } = await supabase
-    .from('companies')
-    .select('id')
-    .eq('contact_email', contact_email)
-    .single();
+// Plain profile fields a company:manage holder may change. Permission overrides and security
+// policies have their own routes; everything else is maintained by the server.
+const COMPANY_PROFILE_FIELDS = [
+  'name', 'contact_email', 'admin_name', 'logo_url', 'requires_notary', 'ai_analysis_method', 'needs_indexing'
+];
+
+// Fields only the platform admin may change (plan, lifecycle status and billing counters)
+const ADMIN_ONLY_COMPANY_FIELDS = [
+  'status', 'plan_id', 'last_invoice_paid', 'document_shared', 'document_downloaded', 'document_uploaded'
+];
+
+app.put('/companies/:id', authenticateToken, requireAdminOrPermission('company:manage'), async (req, res) => {
+  if (!isPlatformAdmin(req.user)) {
+    if (req.user.companyId !== req.params.id) {
+      return res.status(404).json({ error: 'Company not found' });
+    }
 
-  if (existingCompany) {
-    return res.status(409).json({ error: 'Company already exists with this email.' });
+    const restricted = Object.keys(req.body).filter(field => ADMIN_ONLY_COMPANY_FIELDS.includes(field));
+    if (restricted.length) {
+      return res.status(403).json({ error: `Only platform administrators can change: ${restricted.join(', ')}` });
+    }
   }
 
-  // Step 2: Fetch plan details to get price_description
-  const { data: plan, error: planError } = await supabase
-    .from('plans')
-    .select('price_description')
-    .eq('id', plan_id)
-    .single();
+  const editable = isPlatformAdmin(req.user) ? [...COMPANY_PROFILE_FIELDS, ...ADMIN_ONLY_COMPANY_FIELDS] : COMPANY_PROFILE_FIELDS;
+  const updates = {};
+  editable.forEach(field => {
+    if (req.body[field] !== undefined) updates[field] = req.body[field];
+  });
 
-  if (planError || !plan) {
-    return res.status(400).json({ error: 'Invalid plan selected.' });
+  if (!Object.keys(updates).length) {
+    return res.status(400).json({ error: `Nothing to update. Editable fields: ${editable.join(', ')}.` });
   }
 
-  // Step 3: Insert company
-  const { data: companyData, error: createError } = await supabase
-    .from('companies')
-    .insert([{ name, contact_email, password_hash, plan_id, admin_name, logo_url: logo_url || null, requires_notary: requires_notary !== false }])
-    .select();
-
-  if (createError) return res.status(400).json(createError);
-  const company = companyData[0];
-
-  // Step 4: Create admin user
-  const { error: userError } = await supabase.from('users').insert([{
-    name: admin_name,
-    email: contact_email,
-    phone: '',
-    role: 'Owner',
-    password: password_hash,
-    company_id: company.id,
-    status: 'active'
-  }]);
+  const { data, error } = await supabase.from('companies').update(updates).eq('id', req.params.id).select();
+  if (error) return res.status(400).json(error);
 
-  if (userError) {
-    return res.status(500).json({ error: 'Company created but failed to create admin user.' });
+  // Suspending a company logs out all of its users and clients
+  if (updates.status !== undefined && updates.status !== 'Active') {
+    await revokeSessions('company_id', req.params.id, 'company_inactive');
   }
 
-  // Step 5: Send welcome email
-  await sendWelcomeEmail(name, contact_email, password_hash, `${process.env.FRONTEND_URL}`);
-
-  res.status(201).json(companyData);
-});
-
-
-app.put('/companies/:id', async (req, res) => {
-  const { data, error } = await supabase.from('companies').update(req.body).eq('id', req.params.id).select();
-  if (error) return res.status(400).json(error);
-  res.json(data);
+  res.json(omitPasswordFields(data));
 });
 
-app.delete('/companies/:id', async (req, res) => {
+app.delete('/companies/:id', authenticateToken, requirePlatformAdmin, async (req, res) => {
   const { error } = await supabase.from('companies').delete().eq('id', req.params.id);
   if (error) return res.status(400).json(error);
+
+  await revokeSessions('company_id', req.params.id, 'company_deleted');
   res.sendStatus(204);
 });
 
 // -------------------------
 // 📁 DOCUMENT TAGS
 // -------------------------
+// Tag properties are typed definitions (see tagSchemaService.js); invalid schemas and
+// document values are rejected with a message per field.
+const sendFieldErrors = (res, error, fields) => res.status(400).json({ error, fields });
+
+const fetchDocumentTag = async (tagId, companyId) => {
+  const { data: tag } = await supabase
+    .from('document_tags')
+    .select('id, company_id, title, properties, schema_version')
+    .eq('id', tagId)
+    .eq('company_id', companyId)
+    .single();
+
+  return tag || null;
+};
+
+// Every change to a tag's properties gets a new schema_version and a snapshot in
+// document_tag_versions; documents record the version they were indexed against.
+const recordTagVersion = async (tag, createdBy, changes = null) => {
+  const { error } = await supabase.from('document_tag_versions').insert([{
+    tag_id: tag.id,
+    company_id: tag.company_id,
+    version: tag.schema_version || 1,
+    title: tag.title,
+    properties: tag.properties,
+    changes,
+    created_by: createdBy
+  }]);
+  if (error) console.error('Failed to record tag version:', error);
+};
+
+const fetchRunningTagMigration = async (tagId) => {
+  const { data } = await supabase
+    .from('document_tag_migrations')
+    .select('*')
+    .eq('tag_id', tagId)
+    .eq('status', 'running')
+    .maybeSingle();
+
+  return data || null;
+};
+
+// Replacing a tag's properties outright records no operations, so documents couldn't be carried
+// to the new version; tags that have documents change through /document-tags/:id/migrate.
+// Returns { current, version } (version is null when the properties are unchanged) or { status, error }.
+const prepareTagPropertiesChange = async (tagId, companyId, properties) => {
+  const current = await fetchDocumentTag(tagId, companyId);
+  if (!current) return { status: 404, error: 'Document tag not found or access denied.' };
+  if (JSON.stringify(current.properties) === JSON.stringify(properties)) return { current, version: null };
+
+  if (await fetchRunningTagMigration(tagId)) {
+    return { status: 409, error: 'A schema migration is still running for this tag.' };
+  }
+
+  const { count, error } = await supabase
+    .from('documents')
+    .select('id', { count: 'exact', head: true })
+    .eq('tag_id', tagId);
+
+  if (error) return { status: 400, error: error.message };
+  if (count > 0) {
+    return { status: 409, error: 'Documents use this tag. Change its properties through POST /document-tags/:id/migrate so their values move with them.' };
+  }
+
+  return { current, version: (current.schema_version || 1) + 1 };
+};
+
+// Only update the tag if nobody bumped its version since it was read
+const whereTagVersionIs = (query, schemaVersion) =>
+  schemaVersion == null ? query.is('schema_version', null) : query.eq('schema_version', schemaVersion);
+
 app.post('/document-tags', authenticateToken, verifyStructure(['title', 'properties']), async (req, res) => {
-  const { title, properties } = req.body;
+  const { title } = req.body;
   const company_id = req.user.companyId;
 
+  const { properties, errors } = validateTagProperties(req.body.properties);
+  if (Object.keys(errors).length) return sendFieldErrors(res, 'Invalid tag properties.', errors);
+
   const { data, error } = await supabase.from('document_tags').insert([{
     title,
     properties,
-    company_id
+    company_id,
+    schema_version: 1
   }]).select();
 
   if (error) return res.status(400).json(error);
+  await recordTagVersion(data[0], req.user.userId);
   res.status(201).json(data);
 });
 
@@ -747,26 +3414,18 @@ app.get('/document-tags', authenticateToken, async (req, res) => {
 
   if (tagError) return res.status(400).json(tagError);
 
-  const enrichedTags = await Promise.all(tags.map(async (tag) => {
-    if (!tag.id) return { ...tag, complete_documents: 0, incomplete_documents: 0 };
-
-    const { count: complete_documents } = await supabase
-      .from('documents')
-      .select('*', { count: 'exact', head: true })
-      .eq('tag_id', tag.id)
-      .eq('is_published', true);
-
-    const { count: incomplete_documents } = await supabase
-      .from('documents')
-      .select('*', { count: 'exact', head: true })
-      .eq('tag_id', tag.id)
-      .eq('is_published', false);
+  let documentCounts;
+  try {
+    documentCounts = await countDocumentsByTag(company_id);
+  } catch (err) {
+    console.error('Tag document count error:', err);
+    return res.status(400).json({ error: 'Failed to count documents per tag.' });
+  }
 
-    return {
-      ...tag,
-      complete_documents: complete_documents || 0,
-      incomplete_documents: incomplete_documents || 0,
-    };
+  const enrichedTags = tags.map(tag => ({
+    ...tag,
+    complete_documents: documentCounts[tag.id]?.complete_documents || 0,
+    incomplete_documents: documentCounts[tag.id]?.incomplete_documents || 0,
   }));
 
   res.json(enrichedTags);
@@ -774,17 +3433,22 @@ app.get('/document-tags', authenticateToken, async (req, res) => {
 
 // Create document tag with folder_id
 app.post('/create-document-tags', authenticateToken, verifyStructure(['title', 'properties', 'folder_id']), async (req, res) => {
-  const { title, properties, folder_id } = req.body;
+  const { title, folder_id } = req.body;
   const company_id = req.user.companyId;
 
+  const { properties, errors } = validateTagProperties(req.body.properties);
+  if (Object.keys(errors).length) return sendFieldErrors(res, 'Invalid tag properties.', errors);
+
   const { data, error } = await supabase.from('document_tags').insert([{
     title,
     properties,
     folder_id,
-    company_id
+    company_id,
+    schema_version: 1
   }]).select();
 
   if (error) return res.status(400).json(error);
+  await recordTagVersion(data[0], req.user.userId);
   res.status(201).json(data);
 });
 
@@ -809,26 +3473,18 @@ app.get('/get-document-tags', authenticateToken, async (req, res) => {
 
   if (tagError) return res.status(400).json(tagError);
 
-  const enrichedTags = await Promise.all(tags.map(async (tag) => {
-    if (!tag.id) return { ...tag, complete_documents: 0, incomplete_documents: 0 };
-
-    const { count: complete_documents } = await supabase
-      .from('documents')
-      .select('*', { count: 'exact', head: true })
-      .eq('tag_id', tag.id)
-      .eq('is_published', true);
-
-    const { count: incomplete_documents } = await supabase
-      .from('documents')
-      .select('*', { count: 'exact', head: true })
-      .eq('tag_id', tag.id)
-      .eq('is_published', false);
+  let documentCounts;
+  try {
+    documentCounts = await countDocumentsByTag(company_id);
+  } catch (err) {
+    console.error('Tag document count error:', err);
+    return res.status(400).json({ error: 'Failed to count documents per tag.' });
+  }
 
-    return {
-      ...tag,
-      complete_documents: complete_documents || 0,
-      incomplete_documents: incomplete_documents || 0,
-    };
+  const enrichedTags = tags.map(tag => ({
+    ...tag,
+    complete_documents: documentCounts[tag.id]?.complete_documents || 0,
+    incomplete_documents: documentCounts[tag.id]?.incomplete_documents || 0,
   }));
 
   res.json(enrichedTags);
@@ -872,7 +3528,29 @@ app.get('/get-folders', authenticateToken, async (req, res) => {
 
   if (folderError) return res.status(400).json(folderError);
 
-  res.json(folders);
+  // 🔖 Saved searches the user can see are listed after the physical folders, pinned ones first
+  let savedSearches;
+  try {
+    savedSearches = await fetchVisibleSavedSearches(req.user);
+  } catch (err) {
+    return res.status(400).json({ error: err.message });
+  }
+
+  const smartFolders = savedSearches
+    .sort((a, b) => Number(b.pinned) - Number(a.pinned))
+    .map(search => ({
+      id: search.id,
+      title: search.name,
+      is_smart_folder: true,
+      pinned: search.pinned,
+      shared: search.shared,
+      filters: search.filters,
+      created_by: search.created_by,
+      created_at: search.created_at,
+      document_tags: []
+    }));
+
+  res.json([...folders, ...smartFolders]);
 });
 
 // Update folder
@@ -938,26 +3616,39 @@ app.delete('/delete-folder/:id', authenticateToken, async (req, res) => {
 // Update document tag
 app.put('/update-document-tag/:id', authenticateToken, verifyStructure(['title', 'properties']), async (req, res) => {
   const { id } = req.params;
-  const { title, properties, folder_id } = req.body;
+  const { title, folder_id } = req.body;
   const company_id = req.user.companyId;
 
+  const { properties, errors } = validateTagProperties(req.body.properties);
+  if (Object.keys(errors).length) return sendFieldErrors(res, 'Invalid tag properties.', errors);
+
   const updateData = { title, properties };
   if (folder_id) {
     updateData.folder_id = folder_id;
   }
 
-  const { data, error } = await supabase
+  const change = await prepareTagPropertiesChange(id, company_id, properties);
+  if (change.error) return res.status(change.status).json({ error: change.error });
+  if (change.version) updateData.schema_version = change.version;
+
+  let tagUpdate = supabase
     .from('document_tags')
     .update(updateData)
     .eq('id', id)
-    .eq('company_id', company_id)
-    .select();
+    .eq('company_id', company_id);
+  if (change.version) tagUpdate = whereTagVersionIs(tagUpdate, change.current.schema_version);
+
+  const { data, error } = await tagUpdate.select();
 
   if (error) return res.status(400).json(error);
   if (!data || data.length === 0) {
-    return res.status(404).json({ error: 'Document tag not found or access denied.' });
+    return change.version
+      ? res.status(409).json({ error: 'The tag changed while you were editing it. Reload it and try again.' })
+      : res.status(404).json({ error: 'Document tag not found or access denied.' });
   }
 
+  if (change.version) await recordTagVersion(data[0], req.user.userId);
+
   // Propagate key change to documents
   if (title) {
     const { error: docUpdateError } = await supabase
@@ -1005,31 +3696,445 @@ app.delete('/delete-document-tag/:id', authenticateToken, async (req, res) => {
     .eq('id', id)
     .eq('company_id', company_id);
 
-  if (deleteError) return res.status(400).json(deleteError);
+  if (deleteError) return res.status(400).json(deleteError);
+
+  res.json({ message: 'Document tag deleted successfully.' });
+});
+
+app.put('/document-tags/:id', authenticateToken, async (req, res) => {
+  const { id: _id, company_id: _companyId, ...updates } = req.body;
+
+  if (updates.properties !== undefined) {
+    const { properties, errors } = validateTagProperties(updates.properties);
+    if (Object.keys(errors).length) return sendFieldErrors(res, 'Invalid tag properties.', errors);
+    updates.properties = properties;
+  }
+
+  // schema_version only ever moves forward with a properties change
+  delete updates.schema_version;
+  const change = updates.properties !== undefined
+    ? await prepareTagPropertiesChange(req.params.id, req.user.companyId, updates.properties)
+    : { version: null };
+  if (change.error) return res.status(change.status).json({ error: change.error });
+  if (change.version) updates.schema_version = change.version;
+
+  let tagUpdate = supabase
+    .from('document_tags')
+    .update(updates)
+    .eq('id', req.params.id)
+    .eq('company_id', req.user.companyId);
+  if (change.version) tagUpdate = whereTagVersionIs(tagUpdate, change.current.schema_version);
+
+  const { data, error } = await tagUpdate.select();
+
+  if (error) return res.status(400).json(error);
+  if (!data.length) {
+    return change.version
+      ? res.status(409).json({ error: 'The tag changed while you were editing it. Reload it and try again.' })
+      : res.status(404).json({ error: 'Document tag not found or access denied.' });
+  }
+
+  if (change.version) await recordTagVersion(data[0], req.user.userId);
+
+  // Propagate key change to documents
+  if (req.body.title) {
+    const { error: docUpdateError } = await supabase
+      .from('documents')
+      .update({ tag_name: req.body.title })
+      .eq('tag_id', req.params.id);
+
+    if (docUpdateError) console.error("Failed to propagate tag name update to documents:", docUpdateError);
+  }
+
+  res.json(data);
+});
+
+// Schema history of a tag, with how many documents are still on each version
+app.get('/document-tags/:id/versions', authenticateToken, async (req, res) => {
+  const tag = await fetchDocumentTag(req.params.id, req.user.companyId);
+  if (!tag) return res.status(404).json({ error: 'Document tag not found or access denied.' });
+
+  const { data: versions, error } = await supabase
+    .from('document_tag_versions')
+    .select('version, title, properties, changes, created_by, created_at')
+    .eq('tag_id', tag.id)
+    .order('version', { ascending: false });
+
+  if (error) return res.status(400).json(error);
+
+  const { data: documentCounts, error: documentsError } = await supabase.rpc('document_tag_version_counts', {
+    p_tag_id: tag.id,
+    p_company_id: req.user.companyId
+  });
+
+  if (documentsError) return res.status(400).json(documentsError);
+
+  res.json({ tag_id: tag.id, current_version: tag.schema_version || 1, document_counts: documentCounts, versions });
+});
+
+// 🔀 Migrate a tag's schema and every document under it. Without apply: true this is a preview.
+// on_failure: 'skip' (default) leaves documents whose values can't be converted on their old
+// version; 'clear' blanks those values and migrates the document anyway.
+// Applying bumps the tag's version and records a document_tag_migrations row; documents are
+// then converted in batches, each written in one statement, for up to MIGRATION_TIME_BUDGET_MS
+// per request. An unfinished migration is resumed through /migrations/:migrationId/resume or by
+// the POST /resume-tag-migrations job.
+const MIGRATION_SAMPLE_SIZE = 20;
+const MIGRATION_FAILURE_LIMIT = 500;
+const MIGRATION_BATCH_SIZE = 200;
+const MIGRATION_TIME_BUDGET_MS = parseInt(process.env.MIGRATION_TIME_BUDGET_MS) || 8000;
+
+const propertyValues = (properties) => Object.fromEntries((Array.isArray(properties) ? properties : [])
+  .filter(property => property?.name)
+  .map(property => [property.name, property.value]));
+
+// Next page of the tag's documents after the cursor that aren't on the target version yet
+const fetchMigrationBatch = async (migration, cursor, size) => {
+  let query = supabase
+    .from('documents')
+    .select('id, title, properties, tag_schema_version')
+    .eq('tag_id', migration.tag_id)
+    .eq('company_id', migration.company_id)
+    .or(`tag_schema_version.is.null,tag_schema_version.lt.${migration.to_version}`)
+    .order('id', { ascending: true })
+    .limit(size);
+  if (cursor) query = query.gt('id', cursor);
+
+  const { data, error } = await query;
+  if (error) throw new Error(error.message);
+  return data;
+};
+
+// Recorded operations per tag version (document_tag_versions.changes)
+const fetchTagMigrationSteps = async (tagId) => {
+  const { data, error } = await supabase
+    .from('document_tag_versions')
+    .select('version, changes')
+    .eq('tag_id', tagId);
+
+  if (error) throw new Error(error.message);
+  return new Map(data.map(row => [row.version, row.changes]));
+};
+
+// Documents more than one version behind (e.g. skipped by an earlier migration) replay every
+// recorded step since their own version. A step without recorded operations can't be replayed,
+// so those documents are reported (blocked) and left alone.
+const migrateTagDocument = (doc, steps, toVersion, schema, onFailure) => {
+  const fromVersion = doc.tag_schema_version || 1;
+  const operations = [];
+
+  for (let version = fromVersion + 1; version <= toVersion; version++) {
+    const changes = steps.get(version);
+    if (!Array.isArray(changes)) {
+      const message = `Version ${version} of this tag has no recorded operations, so documents on version ${fromVersion} can't be migrated.`;
+      return { properties: doc.properties, failures: [{ property: null, value: null, message }], blocked: true };
+    }
+    operations.push(...changes);
+  }
+
+  return migrateDocumentProperties(doc.properties, operations, schema, { onFailure });
+};
+
+// Convert batches until the time budget runs out or every document is done. Only one request
+// works on a migration at a time (locked_until); progress is saved after every batch.
+const runTagMigration = async (migrationId) => {
+  const startedAt = Date.now();
+  const { data: claimed, error: claimError } = await supabase
+    .from('document_tag_migrations')
+    .update({ locked_until: new Date(startedAt + MIGRATION_TIME_BUDGET_MS * 3).toISOString() })
+    .eq('id', migrationId)
+    .eq('status', 'running')
+    .or(`locked_until.is.null,locked_until.lt.${new Date(startedAt).toISOString()}`)
+    .select();
+
+  if (claimError) throw new Error(claimError.message);
+  if (!claimed.length) return null;
+
+  let migration = claimed[0];
+  const { data: tag } = await supabase.from('document_tags').select('properties').eq('id', migration.tag_id).single();
+  if (!tag) throw new Error('The migrated tag no longer exists.');
+
+  const steps = await fetchTagMigrationSteps(migration.tag_id);
+  steps.set(migration.to_version, migration.operations);
+
+  while (Date.now() - startedAt < MIGRATION_TIME_BUDGET_MS) {
+    const documents = await fetchMigrationBatch(migration, migration.cursor, MIGRATION_BATCH_SIZE);
+    const updates = [];
+    const failures = [];
+
+    documents.forEach(doc => {
+      const result = migrateTagDocument(doc, steps, migration.to_version, tag.properties, migration.on_failure);
+      if (result.failures.length) {
+        const cleared = migration.on_failure === 'clear' && !result.blocked;
+        failures.push({ document_id: doc.id, title: doc.title, cleared, failures: result.failures });
+        if (!cleared) return;
+      }
+      updates.push({ id: doc.id, properties: result.properties });
+    });
+
+    let written = 0;
+    if (updates.length) {
+      const { data, error } = await supabase.rpc('apply_tag_migration_batch', {
+        p_tag_id: migration.tag_id,
+        p_to_version: migration.to_version,
+        p_updates: updates
+      });
+      if (error) throw new Error(`Failed to save migrated documents: ${error.message}`);
+      written = data;
+    }
+
+    const done = documents.length < MIGRATION_BATCH_SIZE;
+    const { data: saved, error: saveError } = await supabase
+      .from('document_tag_migrations')
+      .update({
+        cursor: documents.length ? documents[documents.length - 1].id : migration.cursor,
+        processed_count: migration.processed_count + documents.length,
+        migrated_count: migration.migrated_count + written,
+        failed_count: migration.failed_count + failures.length,
+        failures: [...migration.failures, ...failures].slice(0, MIGRATION_FAILURE_LIMIT),
+        status: done ? 'completed' : 'running',
+        completed_at: done ? new Date().toISOString() : null,
+        locked_until: done ? null : migration.locked_until,
+        updated_at: new Date().toISOString()
+      })
+      .eq('id', migration.id)
+      .select()
+      .single();
+
+    if (saveError) throw new Error(`Failed to save migration progress: ${saveError.message}`);
+    migration = saved;
+    if (done) return migration;
+  }
+
+  // Out of time: release the lock so the next request or the job carries on
+  const { data: released } = await supabase
+    .from('document_tag_migrations')
+    .update({ locked_until: null })
+    .eq('id', migration.id)
+    .select()
+    .single();
+
+  return released || migration;
+};
+
+const formatTagMigration = ({ locked_until, cursor, ...migration }) => ({
+  ...migration,
+  more_pending: migration.status === 'running'
+});
+
+app.post('/document-tags/:id/migrate', authenticateToken, requirePermission('document-tags:migrate'), verifyStructure(['operations']), async (req, res) => {
+  const { companyId, userId } = req.user;
+  const { operations } = req.body;
+  const apply = req.body.apply === true;
+  const onFailure = req.body.on_failure || 'skip';
+
+  if (!['skip', 'clear'].includes(onFailure)) {
+    return res.status(400).json({ error: "on_failure must be 'skip' or 'clear'." });
+  }
+
+  const tag = await fetchDocumentTag(req.params.id, companyId);
+  if (!tag) return res.status(404).json({ error: 'Document tag not found or access denied.' });
+
+  const running = await fetchRunningTagMigration(tag.id);
+  if (running) {
+    return res.status(409).json({ error: 'A migration is already running for this tag.', migration: formatTagMigration(running) });
+  }
+
+  const { properties: schema, errors } = applySchemaOperations(tag.properties, operations);
+  if (Object.keys(errors).length) return sendFieldErrors(res, 'Invalid migration.', errors);
+
+  const fromVersion = tag.schema_version || 1;
+  const toVersion = fromVersion + 1;
+
+  if (!apply) {
+    // Counts only; converted values beyond the sample aren't kept
+    const previewMigration = { tag_id: tag.id, company_id: companyId, to_version: toVersion };
+    let steps;
+    try {
+      steps = await fetchTagMigrationSteps(tag.id);
+    } catch (err) {
+      return res.status(400).json({ error: err.message });
+    }
+    steps.set(toVersion, operations);
+
+    const failed = [];
+    const sample = [];
+    let total = 0;
+    let migratedCount = 0;
+    let cursor = null;
+
+    for (;;) {
+      let documents;
+      try {
+        documents = await fetchMigrationBatch(previewMigration, cursor, 1000);
+      } catch (err) {
+        return res.status(400).json({ error: err.message });
+      }
+
+      documents.forEach(doc => {
+        total++;
+        const result = migrateTagDocument(doc, steps, toVersion, schema, onFailure);
+
+        if (result.failures.length) {
+          const cleared = onFailure === 'clear' && !result.blocked;
+          failed.push({ document_id: doc.id, title: doc.title, cleared, failures: result.failures });
+          if (!cleared) return;
+        }
+
+        migratedCount++;
+        if (sample.length < MIGRATION_SAMPLE_SIZE) {
+          sample.push({ document_id: doc.id, title: doc.title, before: propertyValues(doc.properties), after: propertyValues(result.properties) });
+        }
+      });
+
+      if (documents.length < 1000) break;
+      cursor = documents[documents.length - 1].id;
+    }
+
+    return res.json({
+      dry_run: true,
+      tag_id: tag.id,
+      from_version: fromVersion,
+      to_version: toVersion,
+      properties: schema,
+      total_documents: total,
+      migrated_count: migratedCount,
+      failed_count: failed.length,
+      failures: failed.slice(0, MIGRATION_FAILURE_LIMIT),
+      sample
+    });
+  }
+
+  const { count: total, error: countError } = await supabase
+    .from('documents')
+    .select('id', { count: 'exact', head: true })
+    .eq('tag_id', tag.id)
+    .eq('company_id', companyId)
+    .or(`tag_schema_version.is.null,tag_schema_version.lt.${toVersion}`);
+
+  if (countError) return res.status(400).json(countError);
+
+  // Only apply against the schema that was previewed
+  const { data: updatedTag, error: tagError } = await whereTagVersionIs(
+    supabase
+      .from('document_tags')
+      .update({ properties: schema, schema_version: toVersion })
+      .eq('id', tag.id)
+      .eq('company_id', companyId),
+    tag.schema_version
+  ).select();
+
+  if (tagError) return res.status(400).json(tagError);
+  if (!updatedTag.length) return res.status(409).json({ error: 'The tag changed while migrating. Preview the migration again.' });
+
+  await recordTagVersion(updatedTag[0], userId, operations);
+
+  const { data: migration, error: migrationError } = await supabase
+    .from('document_tag_migrations')
+    .insert([{
+      tag_id: tag.id,
+      company_id: companyId,
+      from_version: fromVersion,
+      to_version: toVersion,
+      operations,
+      on_failure: onFailure,
+      total_documents: total || 0,
+      started_by: userId
+    }])
+    .select()
+    .single();
+
+  if (migrationError) {
+    // Without a progress row the documents can't be migrated, so put the old schema back
+    await supabase.from('document_tags').update({ properties: tag.properties, schema_version: tag.schema_version }).eq('id', tag.id);
+    await supabase.from('document_tag_versions').delete().eq('tag_id', tag.id).eq('version', toVersion);
+    return res.status(400).json(migrationError);
+  }
+
+  try {
+    const progress = await runTagMigration(migration.id);
+    const result = formatTagMigration(progress || migration);
+    res.status(result.more_pending ? 202 : 200).json({ dry_run: false, properties: schema, ...result });
+  } catch (err) {
+    console.error('Tag migration error:', err);
+    res.status(202).json({ dry_run: false, properties: schema, ...formatTagMigration(migration), error: err.message });
+  }
+});
+
+app.get('/document-tags/:id/migrations', authenticateToken, async (req, res) => {
+  const tag = await fetchDocumentTag(req.params.id, req.user.companyId);
+  if (!tag) return res.status(404).json({ error: 'Document tag not found or access denied.' });
+
+  const { data, error } = await supabase
+    .from('document_tag_migrations')
+    .select('*')
+    .eq('tag_id', tag.id)
+    .order('started_at', { ascending: false });
+
+  if (error) return res.status(400).json(error);
+  res.json(data.map(formatTagMigration));
+});
+
+// Continue an unfinished migration after a timeout or a failed batch
+app.post('/document-tags/:id/migrations/:migrationId/resume', authenticateToken, requirePermission('document-tags:migrate'), async (req, res) => {
+  const { data: migration } = await supabase
+    .from('document_tag_migrations')
+    .select('*')
+    .eq('id', req.params.migrationId)
+    .eq('tag_id', req.params.id)
+    .eq('company_id', req.user.companyId)
+    .single();
+
+  if (!migration) return res.status(404).json({ error: 'Migration not found.' });
+  if (migration.status !== 'running') return res.json(formatTagMigration(migration));
+
+  try {
+    const progress = await runTagMigration(migration.id);
+    if (!progress) return res.status(409).json({ error: 'This migration is already being processed.' });
 
-  res.json({ message: 'Document tag deleted successfully.' });
+    const result = formatTagMigration(progress);
+    res.status(result.more_pending ? 202 : 200).json(result);
+  } catch (err) {
+    console.error('Tag migration error:', err);
+    res.status(500).json({ error: err.message });
+  }
 });
 
-app.put('/document-tags/:id', async (req, res) => {
-  const { data, error } = await supabase.from('document_tags').update(req.body).eq('id', req.params.id).select();
-  if (error) return res.status(400).json(error);
+// ⏰ Scheduled job: keep unfinished tag migrations moving, one time budget per run
+app.post('/resume-tag-migrations', authenticateAdminOrCron, async (req, res) => {
+  const { data: migrations, error } = await supabase
+    .from('document_tag_migrations')
+    .select('id')
+    .eq('status', 'running')
+    .order('updated_at', { ascending: true })
+    .limit(5);
 
-  // Propagate key change to documents
-  if (req.body.title) {
-    const { error: docUpdateError } = await supabase
-      .from('documents')
-      .update({ tag_name: req.body.title })
-      .eq('tag_id', req.params.id);
+  if (error) return res.status(400).json(error);
 
-    if (docUpdateError) console.error("Failed to propagate tag name update to documents:", docUpdateError);
+  const results = [];
+  for (const { id } of migrations) {
+    try {
+      const progress = await runTagMigration(id);
+      results.push(progress ? formatTagMigration(progress) : { id, skipped: 'locked' });
+    } catch (err) {
+      console.error(`Tag migration ${id} error:`, err);
+      results.push({ id, error: err.message });
+    }
   }
 
-  res.json(data);
+  res.json({ processed: results.length, results });
 });
 
-app.delete('/document-tags/:id', async (req, res) => {
-  const { error } = await supabase.from('document_tags').delete().eq('id', req.params.id);
+app.delete('/document-tags/:id', authenticateToken, async (req, res) => {
+  const { data, error } = await supabase
+    .from('document_tags')
+    .delete()
+    .eq('id', req.params.id)
+    .eq('company_id', req.user.companyId)
+    .select('id');
+
   if (error) return res.status(400).json(error);
+  if (!data.length) return res.status(404).json({ error: 'Document tag not found or access denied.' });
   res.sendStatus(204);
 });
 
@@ -1160,7 +4265,7 @@ app.get('/users', authenticateToken, async (req, res) => {
 
   if (error) return res.status(400).json(error);
   const enhancedUsers = await Promise.all(data.map(async u => ({
-    ...u,
+    ...omitPasswordFields(u),
     profile_picture: await processDocUrl(u.profile_picture)
   })));
   res.json(enhancedUsers);
@@ -1177,69 +4282,181 @@ app.get('/current-users', authenticateToken, async (req, res) => {
 
   if (error) return res.status(400).json(error);
   const enhancedUsers = await Promise.all(data.map(async u => ({
-    ...u,
+    ...omitPasswordFields(u),
     profile_picture: await processDocUrl(u.profile_picture)
   })));
   res.json(enhancedUsers);
 });
 
-app.post('/users', authenticateToken, verifyStructure(['name', 'email', 'phone', 'role', 'password']), async (req, res) => {
-  const { name, email, phone, role, password, allow_to_publish, create_dispute } = req.body;
+// Staff fields a company admin may edit. Email, password, 2FA and SSO links change through
+// their own flows; company_id and the admin role are never writable from here.
+const EDITABLE_USER_FIELDS = ['name', 'phone', 'role', 'status', 'allow_to_publish', 'create_dispute', 'profile_picture'];
+
+// Stored spelling of each company staff role, keyed by its lowercase form
+const STAFF_ROLES = { owner: 'Owner', manager: 'Manager', qa: 'QA', indexer: 'Indexer', scanner: 'Scanner' };
+
+// Canonical company role the actor may grant, or null. Only owners (and platform admins) grant owner.
+const assignableStaffRole = (actor, role) => {
+  const canonical = STAFF_ROLES[String(role || '').toLowerCase()];
+  if (!canonical) return null;
+  if (canonical === 'Owner' && !isPlatformAdmin(actor) && actor.role?.toLowerCase() !== 'owner') return null;
+  return canonical;
+};
+
+app.post('/users', authenticateToken, requireAdminOrPermission('invitations:manage'), verifyStructure(['name', 'email', 'phone', 'role']), async (req, res) => {
+  const { name, email, phone, allow_to_publish, create_dispute } = req.body;
   const company_id = req.user.companyId;
 
+  const role = assignableStaffRole(req.user, req.body.role);
+  if (!role) return res.status(403).json({ error: `You are not allowed to invite a user with the role ${req.body.role}.` });
+
+  // The user sets their own password when accepting the invitation
   const { data, error } = await supabase.from('users').insert([{
     name,
     email,
     phone,
     role,
-    password,
     allow_to_publish,
     create_dispute,
     company_id,
     documents_reviewed: 0,
-    status: 'active'
+    status: 'invited'
   }]).select();
 
   if (error) return res.status(400).json(error);
-  res.status(201).json(data);
+
+  const { invitation, emailResult } = await issueInvitation({
+    type: 'user',
+    email,
+    name,
+    companyId: company_id,
+    accountId: data[0].id,
+    role,
+    invitedBy: req.user.userId
+  });
+
+  res.status(201).json(omitPasswordFields(data).map(user => ({
+    ...user,
+    invitation: formatInvitation(invitation),
+    invitation_email: emailResult
+  })));
 });
 
-app.put('/users/:id', async (req, res) => {
-  const { data, error } = await supabase.from('users').update(req.body).eq('id', req.params.id).select();
+app.put('/users/:id', authenticateToken, requireAdminOrPermission('users:manage'), async (req, res) => {
+  const { data: target } = await scopeToTenant(
+    supabase.from('users').select('id, role, status').eq('id', req.params.id),
+    req.user
+  ).single();
+
+  if (!target) return res.status(404).json({ error: 'User not found or access denied.' });
+
+  // Managers can't edit owners, and nobody edits platform admins through a company route
+  const targetRole = String(target.role || '').toLowerCase();
+  if (targetRole === 'admin' || (targetRole === 'owner' && !assignableStaffRole(req.user, 'owner'))) {
+    return res.status(403).json({ error: 'You are not allowed to change this user.' });
+  }
+
+  const updates = {};
+  EDITABLE_USER_FIELDS.forEach(field => {
+    if (req.body[field] !== undefined) updates[field] = req.body[field];
+  });
+
+  if (updates.role !== undefined) {
+    updates.role = assignableStaffRole(req.user, updates.role);
+    if (!updates.role) return res.status(403).json({ error: `You are not allowed to assign the role ${req.body.role}.` });
+  }
+
+  // 'invited' belongs to the invitation flow: it's neither set nor cleared by hand
+  if (updates.status !== undefined) {
+    if (String(updates.status).toLowerCase() === 'invited' || target.status === 'invited') {
+      return res.status(400).json({ error: 'Invitation status is managed through /invitations.' });
+    }
+  }
+
+  if (!Object.keys(updates).length) {
+    return res.status(400).json({ error: `Nothing to update. Editable fields: ${EDITABLE_USER_FIELDS.join(', ')}.` });
+  }
+
+  const { data, error } = await scopeToTenant(
+    supabase.from('users').update(updates).eq('id', req.params.id),
+    req.user
+  ).select();
+
   if (error) return res.status(400).json(error);
-  res.json(data);
+  if (!data.length) return res.status(404).json({ error: 'User not found or access denied.' });
+
+  if (updates.status !== undefined && String(updates.status).toLowerCase() !== 'active') {
+    await revokeSessions('user_id', req.params.id, 'status_changed');
+  } else if (updates.role !== undefined && updates.role !== target.role) {
+    // Tokens carry the role, so make the user sign in again with the new one
+    await revokeSessions('user_id', req.params.id, 'role_changed');
+  }
+
+  res.json(omitPasswordFields(data));
 });
 
-app.delete('/users/:id', async (req, res) => {
-  const { error } = await supabase.from('users').delete().eq('id', req.params.id);
+app.delete('/users/:id', authenticateToken, requireAdminOrPermission('users:manage'), async (req, res) => {
+  const { data, error } = await scopeToTenant(
+    supabase.from('users').delete().eq('id', req.params.id),
+    req.user
+  ).select('id');
+
   if (error) return res.status(400).json(error);
+  if (!data.length) return res.status(404).json({ error: 'User not found or access denied.' });
+
+  await revokeSessions('user_id', req.params.id, 'account_deleted');
   res.sendStatus(204);
 });
 
 // -------------------------
 // 📁 DOCUMENTS
 // -------------------------
-app.get('/documents', authenticateToken, async (req, res) => {
-  const { companyId, userId, role } = req.user;
-  const roleLower = role.toLowerCase();
+// -------------------------
+// 🔎 DOCUMENT LIST FILTERS
+// -------------------------
+// Shared by GET /documents and its facet counts: role scoping, trash exclusion and the list
+// filters (searchTerm, notaryId, startDate, endDate, status, tagId, propertyFilters).
+// Facets are counted by document_facet_counts() (supabase/migrations), which applies the same rules.
+const DOCUMENT_LIST_ROLES = ['owner', 'manager', 'scanner', 'indexer', 'qa', 'client'];
+const FACET_TOP_VALUES = 10;
+const FACET_STATUSES = ['draft', 'incomplete', 'complete', 'rejected'];
+
+const canListDocuments = (role) => DOCUMENT_LIST_ROLES.includes(role.toLowerCase()) || role === API_KEY_ROLE;
+
+// Validate property predicates (a JSON string or an array) against the tag's schema.
+// Returns { filters } or { error, fields } to send back as a 400.
+const resolvePropertyFilters = async (companyId, tagId, rawFilters) => {
+  if (!rawFilters || (Array.isArray(rawFilters) && !rawFilters.length)) return { filters: [] };
+  if (!tagId) return { error: 'tagId is required when filtering by properties.' };
+
+  const tag = await fetchDocumentTag(tagId, companyId);
+  if (!tag) return { error: 'Invalid tag selected.' };
+
+  let parsed = rawFilters;
+  if (typeof rawFilters === 'string') {
+    try {
+      parsed = JSON.parse(rawFilters);
+    } catch (err) {
+      return { error: 'propertyFilters must be a JSON array.' };
+    }
+  }
 
-  // Pagination params
-  const page = parseInt(req.query.page) || 1;
-  const limit = parseInt(req.query.limit) || 20;
-  const offset = (page - 1) * limit;
+  const { filters, errors } = parsePropertyFilters(tag.properties, parsed);
+  if (Object.keys(errors).length) return { error: 'Invalid property filters.', fields: errors };
+  return { filters };
+};
 
-  // Filter params
-  const { searchTerm, notaryId, startDate, endDate, status } = req.query;
+// Documents query from the table, or from the property-filter function when there are predicates
+const documentsSource = (columns, options, { tagId, propertyFilters = [] }) => (propertyFilters.length
+  ? supabase.rpc('documents_matching_properties', { p_tag_id: tagId, p_filters: propertyFilters }, options).select(columns)
+  : supabase.from('documents').select(columns, options));
 
-  let query = supabase
-    .from('documents')
-    .select(`
-      *,
-      notary:notaries(name)
-    `, { count: 'exact' });
+const applyDocumentListFilters = (query, { companyId, userId, role }, filters) => {
+  const roleLower = role.toLowerCase();
+  const { searchTerm, notaryId, startDate, endDate, status, tagId } = filters;
 
   // 🔐 Role-based filtering
-  if (roleLower === 'owner' || roleLower === 'manager') {
+  if (roleLower === 'owner' || roleLower === 'manager' || role === API_KEY_ROLE) {
     query = query.eq('company_id', companyId);
   } else if (roleLower === 'scanner') {
     query = query.eq('company_id', companyId).eq('added_by', userId);
@@ -1249,14 +4466,16 @@ app.get('/documents', authenticateToken, async (req, res) => {
     query = query.eq('company_id', companyId).or(`qa_passed_id.eq.${userId},and(qa_passed_id.is.null,progress_number.eq.2)`);
   } else if (roleLower === 'client') {
     query = query.eq('company_id', companyId).eq('added_by', userId);
-  } else {
-    return res.status(403).json({ error: 'Unauthorized role access.' });
   }
 
   // 🗑️ Exclude soft-deleted documents
   query = query.is('deleted_at', null);
 
   // 🔍 Apply Filters
+  if (tagId && tagId !== 'all') {
+    query = query.eq('tag_id', tagId);
+  }
+
   if (notaryId && notaryId !== 'all') {
     query = query.eq('notary_id', notaryId);
   }
@@ -1268,92 +4487,439 @@ app.get('/documents', authenticateToken, async (req, res) => {
     query = query.lte('created_at', endDate);
   }
 
-  if (searchTerm) {
-    // Search in title, tag_name or document_text
-    query = query.or(`title.ilike.%${searchTerm}%,tag_name.ilike.%${searchTerm}%,document_text.ilike.%${searchTerm}%`);
+  if (searchTerm) {
+    // Full-text match on title, tag, property values and OCR text (ranked results: /documents/search)
+    const tsQuery = parseSearchQuery(searchTerm);
+    if (tsQuery) query = query.textSearch('search_vector', tsQuery, { config: SEARCH_CONFIG });
+  }
+
+  // 📊 Status Filtering
+  if (status && status !== 'all') {
+    const statusLower = status.toLowerCase();
+    if (statusLower === 'draft') {
+      query = query.or('status.ilike.draft,progress_number.eq.0');
+    } else if (statusLower === 'complete') {
+      query = query.or('status.ilike.complete,and(progress_number.eq.3,is_published.eq.true)');
+    } else if (statusLower === 'incomplete') {
+      // Incomplete is NOT draft and NOT complete
+      query = query.not('status', 'ilike', 'draft')
+        .not('progress_number', 'eq', 0)
+        .not('status', 'ilike', 'complete');
+      
+      // And must not be fully published if it's considered complete by progress
+      query = query.or('is_published.eq.false,progress_number.lt.3');
+    } else if (statusLower === 'rejected') {
+      query = query.ilike('status', 'rejected');
+    }
+  }
+
+  return query;
+};
+
+// Published / unpublished document counts per tag, outside the trash (for the tag lists)
+const countDocumentsByTag = async (companyId) => {
+  const { data, error } = await supabase.rpc('document_tag_counts', { p_company_id: companyId });
+  if (error) throw new Error(error.message);
+  return data || {};
+};
+
+// List filters in the shape document_facet_counts() expects; 'all' and unknown statuses don't filter
+const facetFilterArgs = ({ searchTerm, notaryId, startDate, endDate, status, tagId, propertyFilters = [] }) => ({
+  tag_id: tagId && tagId !== 'all' ? String(tagId) : null,
+  notary_id: notaryId && notaryId !== 'all' ? String(notaryId) : null,
+  start_date: startDate || null,
+  end_date: endDate || null,
+  ts_query: searchTerm ? parseSearchQuery(searchTerm) : null,
+  status: status && FACET_STATUSES.includes(status.toLowerCase()) ? status.toLowerCase() : null,
+  properties: propertyFilters
+});
+
+// Facet counts for every document matching the list filters: tag, folder, notary, status,
+// uploader, created month and the most common values of enum-type tag properties.
+const buildDocumentFacets = async (user, filters, { usersMap, notariesMap }) => {
+  const { data: facets, error } = await supabase.rpc('document_facet_counts', {
+    p_company_id: user.companyId,
+    p_role: user.role,
+    p_user_id: user.userId || null,
+    p_filters: facetFilterArgs(filters),
+    p_top_values: FACET_TOP_VALUES
+  });
+  if (error) throw new Error(error.message);
+
+  const { data: tags } = await supabase
+    .from('document_tags')
+    .select('id, title')
+    .eq('company_id', user.companyId);
+  const { data: folders } = await supabase
+    .from('folders')
+    .select('id, title')
+    .eq('company_id', user.companyId);
+
+  // The function returns ids as text, so look labels up by their string form
+  const titlesById = (rows) => new Map((rows || []).map(row => [String(row.id), row.title]));
+  const tagTitles = titlesById(tags);
+  const folderTitles = titlesById(folders);
+  const usersById = new Map(Object.entries(usersMap));
+  const notariesById = new Map(Object.entries(notariesMap));
+  const withLabels = (entries, labelFor = value => value) => (entries || [])
+    .map(({ value, count }) => ({ value, label: labelFor(value), count }));
+
+  return {
+    tags: withLabels(facets.tags, id => tagTitles.get(id) || null),
+    folders: withLabels(facets.folders, id => folderTitles.get(id) || null),
+    notaries: withLabels(facets.notaries, id => notariesById.get(id) || null),
+    statuses: FACET_STATUSES.map(status => ({ value: status, label: status, count: facets.statuses?.[status] || 0 })),
+    uploaders: withLabels(facets.uploaders, id => usersById.get(id)?.name || null),
+    months: withLabels(facets.months).sort((a, b) => String(b.value).localeCompare(String(a.value))),
+    properties: (facets.properties || []).map(property => ({ ...property, tag: tagTitles.get(property.tag_id) || null }))
+  };
+};
+
+app.get('/documents', authenticateToken, requirePermission('documents:list'), async (req, res) => {
+  const { companyId, role } = req.user;
+  const roleLower = role.toLowerCase();
+
+  // Pagination params
+  const page = parseInt(req.query.page) || 1;
+  const limit = parseInt(req.query.limit) || 20;
+  const offset = (page - 1) * limit;
+
+  if (!canListDocuments(role)) {
+    return res.status(403).json({ error: 'Unauthorized role access.' });
+  }
+
+  // Filter params
+  const filters = {
+    searchTerm: req.query.searchTerm,
+    notaryId: req.query.notaryId,
+    startDate: req.query.startDate,
+    endDate: req.query.endDate,
+    status: req.query.status,
+    tagId: req.query.tagId
+  };
+
+  // 🏷️ Property predicates are typed by the tag's schema, so they need a tag
+  const propertyFilters = await resolvePropertyFilters(companyId, filters.tagId, req.query.propertyFilters);
+  if (propertyFilters.error) return sendFieldErrors(res, propertyFilters.error, propertyFilters.fields);
+  filters.propertyFilters = propertyFilters.filters;
+
+  let query = applyDocumentListFilters(
+    documentsSource(`
+      *,
+      notary:notaries(name)
+    `, { count: 'exact' }, filters),
+    req.user,
+    filters
+  );
+
+  // Sort and Paginate
+  query = query.order('created_at', { ascending: false })
+    .range(offset, offset + limit - 1);
+
+  // 📄 Fetch documents
+  const { data: documents, error, count } = await query;
+
+  if (error) return res.status(400).json(error);
+
+  // 🏢 Fetch company indexing setting
+  const { data: company } = await supabase
+    .from('companies')
+    .select('needs_indexing')
+    .eq('id', companyId)
+    .single();
+
+  const needsIndexing = company?.needs_indexing ?? true;
+
+  // 👤 Fetch users, clients, and notaries
+  const { data: users } = await supabase.from('users').select('id, name, role');
+  const { data: clients } = await supabase.from('clients').select('id, name');
+  const { data: notaries } = await supabase.from('notaries').select('id, name').eq('company_id', companyId);
+
+  const usersMap = {};
+  if (users) {
+    users.forEach(u => usersMap[u.id] = { name: u.name, role: u.role });
+  }
+  if (clients) {
+    clients.forEach(c => usersMap[c.id] = { name: c.name, role: 'Client' });
+  }
+
+  const notariesMap = {};
+  if (notaries) {
+    notaries.forEach(n => notariesMap[n.id] = n.name);
+  }
+
+  const enhancedDocs = await Promise.all(documents.map(async doc => {
+    const addedBy = usersMap[doc.added_by] || null;
+    let requestedById = doc.added_by;
+    if (roleLower === 'qa') {
+      requestedById = doc.indexer_passed_id || doc.added_by;
+    }
+
+    const requestedBy = requestedById && usersMap[requestedById]
+      ? { name: usersMap[requestedById].name, role: usersMap[requestedById].role }
+      : null;
+
+    // Convert S3 key to presigned URL if needed
+    const processedUrl = await processDocUrl(doc.url);
+
+    return {
+      ...doc,
+      url: processedUrl,
+      ...await previewUrlsFor(doc),
+      added_by_user: addedBy,
+      requested_by: requestedBy,
+      notary_name: doc.notary_id ? notariesMap[doc.notary_id] : (doc.notary?.name || null),
+      needs_indexing: needsIndexing
+    };
+  }));
+
+  // 🧮 Facet counts across all matching documents (opt-in, they scan the whole result set)
+  let facets;
+  if (req.query.facets === 'true') {
+    try {
+      facets = await buildDocumentFacets(req.user, filters, { usersMap, notariesMap });
+    } catch (err) {
+      console.error('Facet count error:', err);
+      return res.status(400).json({ error: 'Failed to count facets.' });
+    }
+  }
+
+  res.json({
+    documents: enhancedDocs,
+    totalCount: count,
+    totalPages: Math.ceil(count / limit),
+    currentPage: page,
+    ...(facets && { facets })
+  });
+});
+
+// -------------------------
+// 🔖 SAVED SEARCHES
+// -------------------------
+// A saved search is a named /documents filter. It can be private, shared with the company,
+// or pinned for roles (which also shares it). Saved searches appear in /get-folders as smart folders.
+// Filters may use olderThanDays / newerThanDays, resolved against the current time on every run.
+const SAVED_SEARCH_STATUSES = ['all', 'draft', 'incomplete', 'complete', 'rejected'];
+const SAVED_SEARCH_MAX_DAYS = 3650;
+const DIGEST_PREVIEW_COUNT = 20;
+
+// Check a filters payload; returns { filters, errors } with errors keyed by filter name
+const validateSavedSearchFilters = async (companyId, rawFilters) => {
+  if (!rawFilters || typeof rawFilters !== 'object' || Array.isArray(rawFilters)) {
+    return { filters: {}, errors: { filters: 'must be an object.' } };
+  }
+
+  const errors = {};
+  const filters = {};
+  const allowed = ['searchTerm', 'status', 'notaryId', 'tagId', 'startDate', 'endDate', 'olderThanDays', 'newerThanDays', 'propertyFilters'];
+
+  Object.entries(rawFilters).forEach(([key, value]) => {
+    if (!allowed.includes(key)) errors[key] = 'is not a supported filter.';
+    else if (value !== null && value !== undefined && value !== '') filters[key] = value;
+  });
+
+  if (filters.searchTerm !== undefined && (typeof filters.searchTerm !== 'string' || filters.searchTerm.length > 256)) {
+    errors.searchTerm = 'must be text of at most 256 characters.';
+  }
+  if (filters.status !== undefined && !SAVED_SEARCH_STATUSES.includes(String(filters.status).toLowerCase())) {
+    errors.status = `must be one of: ${SAVED_SEARCH_STATUSES.join(', ')}.`;
+  }
+  ['startDate', 'endDate'].forEach(key => {
+    if (filters[key] !== undefined && Number.isNaN(new Date(filters[key]).getTime())) errors[key] = 'must be a date.';
+  });
+  ['olderThanDays', 'newerThanDays'].forEach(key => {
+    if (filters[key] !== undefined && !(Number.isInteger(filters[key]) && filters[key] > 0 && filters[key] <= SAVED_SEARCH_MAX_DAYS)) {
+      errors[key] = `must be a whole number of days between 1 and ${SAVED_SEARCH_MAX_DAYS}.`;
+    }
+  });
+
+  if (filters.propertyFilters !== undefined) {
+    const resolved = await resolvePropertyFilters(companyId, filters.tagId, filters.propertyFilters);
+    if (resolved.error) Object.assign(errors, resolved.fields || { propertyFilters: resolved.error });
+  }
+
+  return { filters, errors };
+};
+
+// Turn stored filters into list filters for right now; returns { filters } or { error, fields }
+const resolveSavedSearchFilters = async (companyId, saved, now = Date.now()) => {
+  const { olderThanDays, newerThanDays, propertyFilters, ...filters } = saved || {};
+  const daysAgo = (days) => new Date(now - days * 24 * 60 * 60 * 1000).toISOString();
+
+  if (olderThanDays) filters.endDate = daysAgo(olderThanDays);
+  if (newerThanDays) filters.startDate = daysAgo(newerThanDays);
+
+  // Property filters are re-checked because the tag schema may have changed since saving
+  const resolved = await resolvePropertyFilters(companyId, filters.tagId, propertyFilters);
+  if (resolved.error) return resolved;
+
+  return { filters: { ...filters, propertyFilters: resolved.filters } };
+};
+
+// Saved searches the user can see: their own, plus everything shared in the company
+const fetchVisibleSavedSearches = async (user) => {
+  const { data, error } = await supabase
+    .from('saved_searches')
+    .select('*')
+    .eq('company_id', user.companyId)
+    .or(`created_by.eq.${user.userId},shared.eq.true`)
+    .order('name', { ascending: true });
+
+  if (error) throw new Error(error.message);
+
+  const role = user.role.toLowerCase();
+  return data.map(search => ({ ...search, pinned: (search.pinned_roles || []).includes(role) }));
+};
+
+const fetchSavedSearch = async (id, user) => {
+  const searches = await fetchVisibleSavedSearches(user);
+  return searches.find(search => String(search.id) === String(id)) || null;
+};
+
+// Only the creator edits a saved search; pin holders may also manage shared ones
+const canManageSavedSearch = (search, user, permissions) =>
+  String(search.created_by) === String(user.userId) || (search.shared && permissions['saved-searches:pin']);
+
+// Build the row fields from a create/update payload; returns { fields } or { error, fields }
+const buildSavedSearchFields = async (req, permissions, existing = null) => {
+  const fields = {};
+  const body = req.body;
+
+  if (body.name !== undefined || !existing) {
+    const name = typeof body.name === 'string' ? body.name.trim() : '';
+    if (!name || name.length > 100) return { error: 'name must be 1 to 100 characters.' };
+    fields.name = name;
+  }
+
+  if (body.filters !== undefined || !existing) {
+    const { filters, errors } = await validateSavedSearchFilters(req.user.companyId, body.filters);
+    if (Object.keys(errors).length) return { error: 'Invalid filters.', fields: errors };
+    fields.filters = filters;
+  }
+
+  if (body.shared !== undefined) fields.shared = body.shared === true;
+  if (body.digest !== undefined) fields.digest_enabled = body.digest === true;
+
+  if (body.pinned_roles !== undefined) {
+    if (!permissions['saved-searches:pin']) return { error: `Your role is not allowed to ${PERMISSIONS['saved-searches:pin'].description}.`, status: 403 };
+    if (!Array.isArray(body.pinned_roles)) return { error: 'pinned_roles must be an array.' };
+
+    const pinnedRoles = [...new Set(body.pinned_roles.map(role => String(role).toLowerCase()))];
+    const invalidRoles = pinnedRoles.filter(role => !ROLES.includes(role));
+    if (invalidRoles.length) return { error: `Unknown roles: ${invalidRoles.join(', ')}` };
+
+    fields.pinned_roles = pinnedRoles;
+    if (pinnedRoles.length) fields.shared = true;
+  }
+
+  // A pinned search must stay visible to the roles it's pinned for
+  if (fields.shared === false && (fields.pinned_roles ?? existing?.pinned_roles ?? []).length) {
+    return { error: 'Unpin a saved search before making it private.' };
+  }
+
+  return { fields };
+};
+
+app.get('/saved-searches', authenticateToken, async (req, res) => {
+  try {
+    const searches = await fetchVisibleSavedSearches(req.user);
+    res.json(searches.sort((a, b) => Number(b.pinned) - Number(a.pinned)));
+  } catch (err) {
+    res.status(400).json({ error: err.message });
   }
+});
 
-  // 📊 Status Filtering
-  if (status && status !== 'all') {
-    const statusLower = status.toLowerCase();
-    if (statusLower === 'draft') {
-      query = query.or('status.ilike.draft,progress_number.eq.0');
-    } else if (statusLower === 'complete') {
-      query = query.or('status.ilike.complete,and(progress_number.eq.3,is_published.eq.true)');
-    } else if (statusLower === 'incomplete') {
-      // Incomplete is NOT draft and NOT complete
-      query = query.not('status', 'ilike', 'draft')
-        .not('progress_number', 'eq', 0)
-        .not('status', 'ilike', 'complete');
-      
-      // And must not be fully published if it's considered complete by progress
-      query = query.or('is_published.eq.false,progress_number.lt.3');
-    } else if (statusLower === 'rejected') {
-      query = query.ilike('status', 'rejected');
-    }
+app.post('/saved-searches', authenticateToken, verifyStructure(['name', 'filters']), async (req, res) => {
+  const permissions = await resolveUserPermissions(req.user);
+  const result = await buildSavedSearchFields(req, permissions);
+  if (result.error) return res.status(result.status || 400).json({ error: result.error, fields: result.fields });
+
+  const { data, error } = await supabase.from('saved_searches').insert([{
+    shared: false,
+    digest_enabled: false,
+    pinned_roles: [],
+    ...result.fields,
+    company_id: req.user.companyId,
+    created_by: req.user.userId,
+    created_by_role: req.user.role
+  }]).select();
+
+  if (error) return res.status(400).json(error);
+  res.status(201).json(data[0]);
+});
+
+app.put('/saved-searches/:id', authenticateToken, async (req, res) => {
+  const search = await fetchSavedSearch(req.params.id, req.user);
+  if (!search) return res.status(404).json({ error: 'Saved search not found.' });
+
+  const permissions = await resolveUserPermissions(req.user);
+  if (!canManageSavedSearch(search, req.user, permissions)) {
+    return res.status(403).json({ error: 'Only the creator can change this saved search.' });
   }
 
-  // Sort and Paginate
-  query = query.order('created_at', { ascending: false })
-    .range(offset, offset + limit - 1);
+  const result = await buildSavedSearchFields(req, permissions, search);
+  if (result.error) return res.status(result.status || 400).json({ error: result.error, fields: result.fields });
 
-  // 📄 Fetch documents
-  const { data: documents, error, count } = await query;
+  const { data, error } = await supabase
+    .from('saved_searches')
+    .update({ ...result.fields, updated_at: new Date().toISOString() })
+    .eq('id', search.id)
+    .eq('company_id', req.user.companyId)
+    .select();
 
   if (error) return res.status(400).json(error);
+  res.json(data[0]);
+});
 
-  // 🏢 Fetch company indexing setting
-  const { data: company } = await supabase
-    .from('companies')
-    .select('needs_indexing')
-    .eq('id', companyId)
-    .single();
+app.delete('/saved-searches/:id', authenticateToken, async (req, res) => {
+  const search = await fetchSavedSearch(req.params.id, req.user);
+  if (!search) return res.status(404).json({ error: 'Saved search not found.' });
 
-  const needsIndexing = company?.needs_indexing ?? true;
+  const permissions = await resolveUserPermissions(req.user);
+  if (!canManageSavedSearch(search, req.user, permissions)) {
+    return res.status(403).json({ error: 'Only the creator can delete this saved search.' });
+  }
 
-  // 👤 Fetch users, clients, and notaries
-  const { data: users } = await supabase.from('users').select('id, name, role');
-  const { data: clients } = await supabase.from('clients').select('id, name');
-  const { data: notaries } = await supabase.from('notaries').select('id, name').eq('company_id', companyId);
+  const { error } = await supabase.from('saved_searches').delete().eq('id', search.id).eq('company_id', req.user.companyId);
+  if (error) return res.status(400).json(error);
+  res.sendStatus(204);
+});
 
-  const usersMap = {};
-  if (users) {
-    users.forEach(u => usersMap[u.id] = { name: u.name, role: u.role });
-  }
-  if (clients) {
-    clients.forEach(c => usersMap[c.id] = { name: c.name, role: 'Client' });
+// Run a saved search as the current user (their role scoping applies, not the creator's)
+app.get('/saved-searches/:id/documents', authenticateToken, requirePermission('documents:list'), async (req, res) => {
+  if (!canListDocuments(req.user.role)) {
+    return res.status(403).json({ error: 'Unauthorized role access.' });
   }
 
-  const notariesMap = {};
-  if (notaries) {
-    notaries.forEach(n => notariesMap[n.id] = n.name);
-  }
+  const search = await fetchSavedSearch(req.params.id, req.user);
+  if (!search) return res.status(404).json({ error: 'Saved search not found.' });
 
-  const enhancedDocs = await Promise.all(documents.map(async doc => {
-    const addedBy = usersMap[doc.added_by] || null;
-    let requestedById = doc.added_by;
-    if (roleLower === 'qa') {
-      requestedById = doc.indexer_passed_id || doc.added_by;
-    }
+  const resolved = await resolveSavedSearchFilters(req.user.companyId, search.filters);
+  if (resolved.error) return sendFieldErrors(res, `This saved search no longer applies: ${resolved.error}`, resolved.fields);
 
-    const requestedBy = requestedById && usersMap[requestedById]
-      ? { name: usersMap[requestedById].name, role: usersMap[requestedById].role }
-      : null;
+  const page = parseInt(req.query.page) || 1;
+  const limit = parseInt(req.query.limit) || 20;
+  const offset = (page - 1) * limit;
 
-    // Convert S3 key to presigned URL if needed
-    const processedUrl = await processDocUrl(doc.url);
+  const { data: documents, error, count } = await applyDocumentListFilters(
+    documentsSource('*, notary:notaries(name)', { count: 'exact' }, resolved.filters),
+    req.user,
+    resolved.filters
+  )
+    .order('created_at', { ascending: false })
+    .range(offset, offset + limit - 1);
 
-    return {
-      ...doc,
-      url: processedUrl,
-      added_by_user: addedBy,
-      requested_by: requestedBy,
-      notary_name: doc.notary_id ? notariesMap[doc.notary_id] : (doc.notary?.name || null),
-      needs_indexing: needsIndexing
-    };
-  }));
+  if (error) return res.status(400).json(error);
+
+  const enhancedDocs = await Promise.all(documents.map(async ({ notary, ...doc }) => ({
+    ...doc,
+    url: await processDocUrl(doc.url),
+    ...await previewUrlsFor(doc),
+    notary_name: notary?.name || null
+  })));
 
   res.json({
+    saved_search: { id: search.id, name: search.name, filters: search.filters },
     documents: enhancedDocs,
     totalCount: count,
     totalPages: Math.ceil(count / limit),
@@ -1361,30 +4927,144 @@ app.get('/documents', authenticateToken, async (req, res) => {
   });
 });
 
+const sendSavedSearchDigestEmail = async (recipient, search, documents, totalCount) => {
+  const transporter = nodemailer.createTransport({
+    service: "gmail",
+    auth: {
+      type: "OAuth2",
+      user: process.env.EMAIL_HOST,
+      clientId: process.env.CLIENT_ID,
+      clientSecret: process.env.CLIENT_SECRET,
+      refreshToken: process.env.OAUTH_REFRESH_TOKEN,
+    },
+  });
+
+  const items = documents
+    .map(doc => `<li>${escapeHtml(doc.title || 'Untitled document')} <span style="color: #666;">(${new Date(doc.created_at).toLocaleDateString()})</span></li>`)
+    .join('');
+  const more = totalCount > documents.length ? `<p>…and ${totalCount - documents.length} more.</p>` : '';
+
+  await transporter.sendMail({
+    from: process.env.EMAIL_HOST,
+    to: recipient.email,
+    subject: `${totalCount} new document${totalCount === 1 ? '' : 's'} in "${search.name}"`,
+    html: `
+      <div style="font-family: Arial;">
+        <h2>Hi ${escapeHtml(recipient.name || 'there')},</h2>
+        <p>Your saved search <strong>${escapeHtml(search.name)}</strong> has ${totalCount} new match${totalCount === 1 ? '' : 'es'} since the last digest:</p>
+        <ul>${items}</ul>
+        ${more}
+        <p>You can turn this digest off from the saved search settings.</p>
+        <p>Thanks,<br/>Talo Innovations</p>
+      </div>
+    `
+  });
+};
+
+// 📬 Scheduled job (daily): email each saved search's creator the documents that matched since
+// the last digest. The search runs with the creator's role scoping.
+app.post('/send-saved-search-digests', authenticateAdminOrCron, async (req, res) => {
+  const { data: searches, error } = await supabase
+    .from('saved_searches')
+    .select('*')
+    .eq('digest_enabled', true);
+
+  if (error) return res.status(400).json(error);
+
+  const results = [];
+  for (const search of searches) {
+    const now = Date.now();
+    const since = search.digest_last_sent_at || new Date(now - 24 * 60 * 60 * 1000).toISOString();
+    const isClient = String(search.created_by_role).toLowerCase() === 'client';
+
+    const { data: recipient } = await supabase
+      .from(isClient ? 'clients' : 'users')
+      .select('name, email, status')
+      .eq('id', search.created_by)
+      .eq('company_id', search.company_id)
+      .single();
+
+    if (!recipient?.email || recipient.status !== 'active') {
+      results.push({ id: search.id, skipped: 'creator is no longer active' });
+      continue;
+    }
+
+    const resolved = await resolveSavedSearchFilters(search.company_id, search.filters, now);
+    if (resolved.error) {
+      results.push({ id: search.id, skipped: resolved.error });
+      continue;
+    }
+
+    // Only documents added since the last digest (and still inside the search's own date range)
+    const filters = { ...resolved.filters };
+    if (!filters.startDate || new Date(filters.startDate) < new Date(since)) filters.startDate = since;
+
+    const creator = { companyId: search.company_id, userId: search.created_by, role: search.created_by_role };
+    const { data: documents, error: searchError, count } = await applyDocumentListFilters(
+      documentsSource('id, title, created_at', { count: 'exact' }, filters),
+      creator,
+      filters
+    )
+      .order('created_at', { ascending: false })
+      .range(0, DIGEST_PREVIEW_COUNT - 1);
+
+    if (searchError) {
+      results.push({ id: search.id, error: searchError.message });
+      continue;
+    }
+
+    try {
+      if (count > 0) await sendSavedSearchDigestEmail(recipient, search, documents, count);
+      await supabase.from('saved_searches').update({ digest_last_sent_at: new Date(now).toISOString() }).eq('id', search.id);
+      results.push({ id: search.id, matches: count || 0, emailed: count > 0 });
+    } catch (err) {
+      console.error(`Failed to send digest for saved search ${search.id}:`, err);
+      results.push({ id: search.id, error: err.message });
+    }
+  }
+
+  res.status(200).json({ processed: results.length, emailed: results.filter(result => result.emailed).length, results });
+});
+
+// Storage keys must come from a completed upload in the company (full URLs are legacy Cloudinary links)
+const isUsableDocumentFile = async (url, companyId) => {
+  if (String(url).startsWith('http')) return true;
+
+  const { data: uploadRow } = await supabase
+    .from('uploads')
+    .select('id')
+    .eq('file_key', url)
+    .eq('company_id', companyId)
+    .eq('status', 'completed')
+    .single();
+
+  return Boolean(uploadRow);
+};
+
 app.post('/documents', authenticateToken, verifyStructure(['url', 'tag_id', 'tag_name', 'file_id']), async (req, res) => {
   const { url, tag_id, tag_name, file_id, title, notary_id, document_text } = req.body;
   const company_id = req.user.companyId;
   const added_by = req.user.userId;
   const role = req.user.role;
 
+  if (!await isUsableDocumentFile(url, company_id)) {
+    return res.status(400).json({ error: 'File upload has not been completed.' });
+  }
+
   // 1. Fetch document tag to build properties
-  const { data: tagData, error: tagError } = await supabase
-    .from('document_tags')
-    .select('properties')
-    .eq('id', tag_id)
-    .single();
+  const tagData = await fetchDocumentTag(tag_id, company_id);
 
-  if (tagError || !tagData) {
+  if (!tagData) {
     return res.status(400).json({ error: 'Invalid tag selected.' });
   }
 
-  // Use properties from body if provided, otherwise initialize from tag
-  const propertiesWithValues = (req.body.properties && Array.isArray(req.body.properties))
-    ? req.body.properties
-    : tagData.properties.map(prop => ({
-      ...prop,
-      value: ''
-    }));
+  // Validate properties from body if provided, otherwise initialize from the tag's defaults
+  let propertiesWithValues = buildDocumentProperties(tagData.properties);
+  if (req.body.properties !== undefined) {
+    const { properties, errors } = validateDocumentProperties(tagData.properties, req.body.properties);
+    if (Object.keys(errors).length) return sendFieldErrors(res, 'Invalid property values.', errors);
+    propertiesWithValues = properties;
+  }
 
   // 2. Prepare document
   const document = {
@@ -1403,17 +5083,22 @@ app.post('/documents', authenticateToken, verifyStructure(['url', 'tag_id', 'tag
     added_by,
     role,
     properties: propertiesWithValues,
+    tag_schema_version: tagData.schema_version || 1,
     file_id,
     notary_id: notary_id || null,
-    document_text: document_text || null
+    document_text: document_text || null,
+    preview_status: 'pending',
+    ocr_status: 'pending'
   };
 
   // 3. Insert document
   console.log("Creating document with text length:", document.document_text?.length || 0);
-  console.log("Creating document with text:", document.document_text);
   const { data: insertedDoc, error: insertError } = await supabase.from('documents').insert([document]).select();
   if (insertError) return res.status(400).json(insertError);
 
+  queueDocumentPreviews(insertedDoc[0]);
+  queueDocumentOcr(insertedDoc[0]);
+
   // 4. Update document_uploaded
   if (role.toLowerCase() === 'client') {
     // 👉 Update in clients table
@@ -1450,16 +5135,67 @@ app.post('/documents', authenticateToken, verifyStructure(['url', 'tag_id', 'tag
   res.status(201).json(insertedDoc);
 });
 
-// Get deleted documents (owner, manager, qa) - MUST come before /documents/:id route
-app.get('/documents/deleted', authenticateToken, async (req, res) => {
-  const { companyId, role } = req.user;
+// Ranked full-text search over title, tag, property values and OCR text - MUST come before /documents/:id route
+app.get('/documents/search', authenticateToken, requirePermission('documents:list'), async (req, res) => {
+  const { companyId, userId, role } = req.user;
   const roleLower = role.toLowerCase();
 
-  // Only owners, managers, and QA can view deleted documents
-  if (!['owner', 'manager', 'qa'].includes(roleLower)) {
-    return res.status(403).json({ error: 'Only owners, managers, and QA can view deleted documents.' });
+  if (!['owner', 'manager', 'scanner', 'indexer', 'qa', 'client'].includes(roleLower) && role !== API_KEY_ROLE) {
+    return res.status(403).json({ error: 'Unauthorized role access.' });
   }
 
+  const tsQuery = parseSearchQuery(req.query.q);
+  if (!tsQuery) return res.status(400).json({ error: 'q must contain at least one word to search for.' });
+
+  const page = parseInt(req.query.page) || 1;
+  const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+
+  const { data: matches, error } = await supabase.rpc('search_documents', {
+    p_company_id: companyId,
+    p_role: role === API_KEY_ROLE ? 'owner' : roleLower,
+    p_user_id: userId,
+    p_query: tsQuery,
+    p_limit: limit,
+    p_offset: (page - 1) * limit
+  });
+
+  if (error) return res.status(400).json(error);
+
+  const { data: documents, error: documentsError } = matches.length
+    ? await supabase.from('documents').select('*, notary:notaries(name)').in('id', matches.map(match => match.id))
+    : { data: [] };
+
+  if (documentsError) return res.status(400).json(documentsError);
+
+  const documentsById = new Map(documents.map(doc => [doc.id, doc]));
+  const results = await Promise.all(matches.filter(match => documentsById.has(match.id)).map(async match => {
+    const { notary, ...doc } = documentsById.get(match.id);
+    return {
+      ...doc,
+      url: await processDocUrl(doc.url),
+      ...await previewUrlsFor(doc),
+      notary_name: notary?.name || null,
+      rank: match.rank,
+      highlights: {
+        title: formatHighlight(match.title_highlight),
+        snippet: formatHighlight(match.snippet)
+      }
+    };
+  }));
+
+  const totalCount = Number(matches[0]?.total_count || 0);
+  res.json({
+    documents: results,
+    totalCount,
+    totalPages: Math.ceil(totalCount / limit),
+    currentPage: page
+  });
+});
+
+// Get deleted documents (owner, manager, qa) - MUST come before /documents/:id route
+app.get('/documents/deleted', authenticateToken, requirePermission('documents:view-deleted'), async (req, res) => {
+  const { companyId } = req.user;
+
   // Fetch deleted documents
   const { data: documents, error } = await supabase
     .from('documents')
@@ -1472,7 +5208,7 @@ app.get('/documents/deleted', authenticateToken, async (req, res) => {
 
   // Calculate days until permanent deletion and add to each document
   const now = new Date();
-  const retentionDays = 60;
+  const retentionDays = DOCUMENT_RETENTION_DAYS;
   const enhancedDocs = await Promise.all(documents.map(async doc => {
     const deletedAt = new Date(doc.deleted_at);
     const daysSinceDeletion = Math.floor((now - deletedAt) / (1000 * 60 * 60 * 24));
@@ -1503,6 +5239,7 @@ app.get('/documents/:id', authenticateToken, async (req, res) => {
     .from('documents')
     .select('*')
     .eq('id', documentId)
+    .eq('company_id', req.user.companyId)
     .single();
 
   if (error || !document) return res.status(404).json({ error: 'Document not found' });
@@ -1533,7 +5270,7 @@ app.get('/documents/:id', authenticateToken, async (req, res) => {
   // Convert S3 key to presigned URL if needed
   const processedUrl = await processDocUrl(document.url);
 
-  res.json({ ...document, url: processedUrl, notary_name, showMore });
+  res.json({ ...document, url: processedUrl, ...await previewUrlsFor(document, { includePages: true }), notary_name, showMore });
 });
 
 app.put('/documents/:id/add-comment', authenticateToken, verifyStructure(['comment']), async (req, res) => {
@@ -1568,6 +5305,7 @@ app.put('/documents/:id/add-comment', authenticateToken, verifyStructure(['comme
     .from('documents')
     .select('comments')
     .eq('id', documentId)
+    .eq('company_id', req.user.companyId)
     .single();
 
   if (docError || !doc) return res.status(404).json({ error: 'Document not found' });
@@ -1591,29 +5329,79 @@ app.put('/documents/:id/add-comment', authenticateToken, verifyStructure(['comme
     .from('documents')
     .update({ comments: updatedComments })
     .eq('id', documentId)
+    .eq('company_id', req.user.companyId)
     .select();
 
   if (updateError) return res.status(400).json(updateError);
   res.status(200).json({ message: 'Comment added successfully', data });
 });
 
-app.put('/documents/:id', async (req, res) => {
-  const { data, error } = await supabase.from('documents').update(req.body).eq('id', req.params.id).select();
+// Metadata editable through PUT /documents/:id. Workflow state (status, progress, is_published,
+// assignees, deleted_at) only changes through the permission-guarded workflow routes, and a
+// document can never be moved to another company or re-keyed.
+const EDITABLE_DOCUMENT_FIELDS = ['title', 'url', 'file_id', 'tag_id', 'properties', 'notary_id', 'document_text'];
+
+app.put('/documents/:id', authenticateToken, requirePermission('documents:edit'), async (req, res) => {
+  const updates = {};
+  EDITABLE_DOCUMENT_FIELDS.forEach(field => {
+    if (req.body[field] !== undefined) updates[field] = req.body[field];
+  });
+
+  if (!Object.keys(updates).length) {
+    return res.status(400).json({ error: `Nothing to update. Editable fields: ${EDITABLE_DOCUMENT_FIELDS.join(', ')}.` });
+  }
+
+  // A replacement file goes through the same upload check as POST /documents
+  if (updates.url !== undefined && !await isUsableDocumentFile(updates.url, req.user.companyId)) {
+    return res.status(400).json({ error: 'File upload has not been completed.' });
+  }
+
+  // Property values are checked against the document's (possibly new) tag
+  if (updates.properties !== undefined || updates.tag_id !== undefined) {
+    const { data: current } = await supabase
+      .from('documents')
+      .select('tag_id, properties')
+      .eq('id', req.params.id)
+      .eq('company_id', req.user.companyId)
+      .single();
+
+    if (!current) return res.status(404).json({ error: 'Document not found or access denied.' });
+
+    const tag = await fetchDocumentTag(updates.tag_id ?? current.tag_id, req.user.companyId);
+    if (!tag) return res.status(400).json({ error: 'Invalid tag selected.' });
+
+    const { properties, errors } = validateDocumentProperties(tag.properties, updates.properties ?? current.properties ?? []);
+    if (Object.keys(errors).length) return sendFieldErrors(res, 'Invalid property values.', errors);
+    updates.properties = properties;
+    updates.tag_schema_version = tag.schema_version || 1;
+    if (updates.tag_id !== undefined) updates.tag_name = tag.title;
+  }
+
+  const { data, error } = await supabase
+    .from('documents')
+    .update(updates)
+    .eq('id', req.params.id)
+    .eq('company_id', req.user.companyId)
+    .select();
+
   if (error) return res.status(400).json(error);
+  if (!data.length) return res.status(404).json({ error: 'Document not found or access denied.' });
+
+  // A replaced file needs new previews and text, and may change what the company stores
+  if (updates.url) {
+    queueDocumentPreviews(data[0]);
+    queueDocumentOcr(data[0]);
+    await recalculateStorageUsage(req.user.companyId);
+  }
+
   res.json(data);
 });
 
 
-// Soft delete document (owner, manager, qa)
-app.delete('/documents/:id', authenticateToken, async (req, res) => {
+// Soft delete document
+app.delete('/documents/:id', authenticateToken, requirePermission('documents:delete'), async (req, res) => {
   const { id } = req.params;
-  const { companyId, role } = req.user;
-  const roleLower = role.toLowerCase();
-
-  // Only owners, managers, and QA can delete documents
-  if (!['owner', 'manager', 'qa'].includes(roleLower)) {
-    return res.status(403).json({ error: 'Only owners, managers, and QA can delete documents.' });
-  }
+  const { companyId } = req.user;
 
   // First check if document exists and belongs to company
   const { data: document, error: docError } = await supabase
@@ -1640,20 +5428,15 @@ app.delete('/documents/:id', authenticateToken, async (req, res) => {
     .eq('company_id', companyId);
 
   if (updateError) return res.status(400).json(updateError);
+  await recalculateStorageUsage(companyId);
 
   res.json({ message: 'Document deleted successfully.' });
 });
 
-// Restore deleted document (owner, manager, qa)
-app.post('/documents/:id/restore', authenticateToken, async (req, res) => {
+// Restore deleted document
+app.post('/documents/:id/restore', authenticateToken, requirePermission('documents:restore'), async (req, res) => {
   const { id } = req.params;
-  const { companyId, role } = req.user;
-  const roleLower = role.toLowerCase();
-
-  // Only owners, managers, and QA can restore documents
-  if (!['owner', 'manager', 'qa'].includes(roleLower)) {
-    return res.status(403).json({ error: 'Only owners, managers, and QA can restore documents.' });
-  }
+  const { companyId } = req.user;
 
   // Check if document exists, belongs to company, and is deleted
   const { data: document, error: docError } = await supabase
@@ -1675,8 +5458,8 @@ app.post('/documents/:id/restore', authenticateToken, async (req, res) => {
   const deletedAt = new Date(document.deleted_at);
   const now = new Date();
   const daysSinceDeletion = Math.floor((now - deletedAt) / (1000 * 60 * 60 * 24));
-  if (daysSinceDeletion > 60) {
-    return res.status(400).json({ error: 'Document cannot be restored. Retention period (60 days) has expired.' });
+  if (daysSinceDeletion > DOCUMENT_RETENTION_DAYS) {
+    return res.status(400).json({ error: `Document cannot be restored. Retention period (${DOCUMENT_RETENTION_DAYS} days) has expired.` });
   }
 
   // Restore by setting deleted_at to null
@@ -1688,26 +5471,161 @@ app.post('/documents/:id/restore', authenticateToken, async (req, res) => {
     .select()
     .single();
 
-  if (updateError) return res.status(400).json(updateError);
+  if (updateError) return res.status(400).json(updateError);
+  await recalculateStorageUsage(companyId);
+
+  res.json({ message: 'Document restored successfully.', document: restoredDoc });
+});
+
+// 🗑️ Permanent deletion: the stored file, related rows and the document itself, logged in purge_log
+const DOCUMENT_RETENTION_DAYS = 60;
+const PURGE_BATCH_SIZE = 200;
+const PURGE_DOCUMENT_FIELDS = 'id, company_id, title, url, deleted_at, thumbnail_key, preview_keys';
+
+// Rows go first and the stored object last: if anything fails midway the document still points
+// at its file, and an object left behind by a failed delete is picked up by the orphan scan.
+const purgeDocument = async (document, { source, purgedBy = null }) => {
+  // Only remove the object if no other document still points at it
+  let removeObject = false;
+  if (document.url && !document.url.startsWith('http')) {
+    const { count: sharedCount, error: sharedError } = await supabase
+      .from('documents')
+      .select('id', { count: 'exact', head: true })
+      .eq('url', document.url)
+      .neq('id', document.id);
+
+    if (sharedError) throw new Error(`Failed to check other references to the file: ${sharedError.message}`);
+    removeObject = sharedCount === 0;
+  }
+
+  const related = {};
+  for (const table of ['document_edit_history', 'document_ocr_pages', 'shareddoc', 'disputes']) {
+    const { data, error } = await supabase.from(table).delete().eq('document_id', document.id).select('id');
+    if (error) throw new Error(`Failed to delete ${table} rows: ${error.message}`);
+    related[table] = data.length;
+  }
+
+  const { error: deleteError } = await supabase
+    .from('documents')
+    .delete()
+    .eq('id', document.id)
+    .eq('company_id', document.company_id);
+
+  if (deleteError) throw new Error(`Failed to delete document: ${deleteError.message}`);
+
+  let objectDeleted = false;
+  if (removeObject) {
+    try {
+      await deleteFile(document.url);
+      objectDeleted = true;
+
+      for (const previewKey of [document.thumbnail_key, ...(document.preview_keys || [])].filter(Boolean)) {
+        await deleteFile(previewKey);
+      }
+    } catch (err) {
+      console.error(`Failed to delete stored file for purged document ${document.id}:`, err);
+    }
+  }
+
+  // The file no longer counts towards the company's storage
+  if (objectDeleted) {
+    await supabase.from('uploads').update({ status: 'deleted' }).eq('file_key', document.url).eq('company_id', document.company_id);
+  }
+
+  const { error: logError } = await supabase.from('purge_log').insert([{
+    document_id: document.id,
+    company_id: document.company_id,
+    title: document.title || null,
+    file_key: document.url || null,
+    object_deleted: objectDeleted,
+    related_rows: related,
+    deleted_at: document.deleted_at,
+    purged_at: new Date().toISOString(),
+    source,
+    purged_by: purgedBy
+  }]);
+  if (logError) console.error('Failed to write purge log:', logError);
+
+  return { document_id: document.id, company_id: document.company_id, file_key: document.url, object_deleted: objectDeleted, related_rows: related };
+};
+
+// 🧹 Scheduled job: permanently delete documents that have been in the trash past retention.
+// Pass dry_run (body or query) to see what would be purged without touching anything.
+app.post('/purge-deleted-documents', authenticateAdminOrCron, async (req, res) => {
+  const dryRun = req.body?.dry_run === true || req.query.dry_run === 'true';
+  const cutoff = new Date(Date.now() - DOCUMENT_RETENTION_DAYS * 24 * 60 * 60 * 1000).toISOString();
+
+  const { data: documents, error } = await supabase
+    .from('documents')
+    .select(PURGE_DOCUMENT_FIELDS)
+    .not('deleted_at', 'is', null)
+    .lt('deleted_at', cutoff)
+    .order('deleted_at', { ascending: true })
+    .limit(PURGE_BATCH_SIZE);
+
+  if (error) return res.status(400).json(error);
+
+  if (dryRun) {
+    return res.status(200).json({
+      dry_run: true,
+      cutoff,
+      would_purge: documents.map(doc => ({ document_id: doc.id, company_id: doc.company_id, title: doc.title, file_key: doc.url, deleted_at: doc.deleted_at }))
+    });
+  }
+
+  const purged = [];
+  const failed = [];
+  for (const document of documents) {
+    try {
+      purged.push(await purgeDocument(document, { source: 'retention', purgedBy: req.user.cron ? null : req.user.userId }));
+    } catch (err) {
+      console.error(`Failed to purge document ${document.id}:`, err);
+      failed.push({ document_id: document.id, error: err.message });
+    }
+  }
+
+  for (const companyId of new Set(purged.map(doc => doc.company_id))) {
+    await recalculateStorageUsage(companyId);
+  }
+
+  // A full batch means there is probably more waiting for the next run
+  res.status(200).json({ dry_run: false, cutoff, purged, failed, more_pending: documents.length === PURGE_BATCH_SIZE });
+});
+
+app.get('/purge-log', authenticateToken, requirePlatformAdmin, async (req, res) => {
+  const { company_id, source } = req.query;
+  const page = parseInt(req.query.page) || 1;
+  const limit = Math.min(parseInt(req.query.limit) || 50, 200);
+  const offset = (page - 1) * limit;
+
+  let query = supabase
+    .from('purge_log')
+    .select('*', { count: 'exact' })
+    .order('purged_at', { ascending: false });
 
-  res.json({ message: 'Document restored successfully.', document: restoredDoc });
+  if (company_id) query = query.eq('company_id', company_id);
+  if (source) query = query.eq('source', source);
+
+  const { data, error, count } = await query.range(offset, offset + limit - 1);
+  if (error) return res.status(400).json(error);
+
+  res.json({
+    entries: data,
+    totalCount: count,
+    totalPages: Math.ceil(count / limit),
+    currentPage: page
+  });
 });
 
-// Permanently delete document (owner, manager, qa)
-app.delete('/documents/:id/permanent', authenticateToken, async (req, res) => {
+// Permanently delete document
+app.delete('/documents/:id/permanent', authenticateToken, requirePermission('documents:delete-permanent'), async (req, res) => {
   const { id } = req.params;
-  const { companyId, role } = req.user;
-  const roleLower = role.toLowerCase();
-
-  // Only owners, managers, and QA can permanently delete documents
-  if (!['owner', 'manager', 'qa'].includes(roleLower)) {
-    return res.status(403).json({ error: 'Only owners, managers, and QA can permanently delete documents.' });
-  }
+  const { companyId } = req.user;
 
   // Check if document exists, belongs to company, and is already soft-deleted
   const { data: document, error: docError } = await supabase
     .from('documents')
-    .select('id, company_id, deleted_at')
+    .select(PURGE_DOCUMENT_FIELDS)
     .eq('id', id)
     .eq('company_id', companyId)
     .single();
@@ -1720,25 +5638,35 @@ app.delete('/documents/:id/permanent', authenticateToken, async (req, res) => {
     return res.status(400).json({ error: 'Document must be soft-deleted before permanent deletion.' });
   }
 
-  // Permanently delete from database
-  const { error: deleteError } = await supabase
-    .from('documents')
-    .delete()
-    .eq('id', id)
-    .eq('company_id', companyId);
-
-  if (deleteError) return res.status(400).json(deleteError);
+  // Permanently delete the file, related rows and the document itself
+  let result;
+  try {
+    result = await purgeDocument(document, { source: 'manual', purgedBy: req.user.userId });
+  } catch (err) {
+    console.error('Permanent delete error:', err);
+    return res.status(500).json({ error: 'Failed to permanently delete document.', details: err.message });
+  }
+  await recalculateStorageUsage(companyId);
 
-  res.json({ message: 'Document permanently deleted.' });
+  res.json({ message: 'Document permanently deleted.', ...result });
 });
 
 // -------------------------
 // 📁 DOCUMENT EDIT HISTORY
 // -------------------------
 
-app.get('/document-history/:document_id', async (req, res) => {
+app.get('/document-history/:document_id', authenticateToken, async (req, res) => {
   const { document_id } = req.params;
 
+  const { data: document } = await supabase
+    .from('documents')
+    .select('id')
+    .eq('id', document_id)
+    .eq('company_id', req.user.companyId)
+    .single();
+
+  if (!document) return res.status(404).json({ error: 'Document not found' });
+
   // Fetch document edit history
   const { data: history, error: historyError } = await supabase
     .from('document_edit_history')
@@ -1851,6 +5779,7 @@ app.post('/post-assignee', authenticateToken, verifyStructure(['document_id', 'a
     .from('users')
     .select('role')
     .eq('id', assignee_id)
+    .eq('company_id', companyId)
     .single();
 
   if (assigneeError || !assignee) return res.status(404).json({ error: 'Assignee not found.' });
@@ -1888,6 +5817,7 @@ app.post('/post-assignee', authenticateToken, verifyStructure(['document_id', 'a
     .from('documents')
     .update(updateFields)
     .eq('id', document_id)
+    .eq('company_id', companyId)
     .select();
 
   if (error) return res.status(400).json(error);
@@ -1895,13 +5825,9 @@ app.post('/post-assignee', authenticateToken, verifyStructure(['document_id', 'a
 });
 
 
-app.post('/save-draft', authenticateToken, verifyStructure(['document_id']), async (req, res) => {
+app.post('/save-draft', authenticateToken, requirePermission('documents:save-review'), verifyStructure(['document_id']), async (req, res) => {
   const { document_id } = req.body;
-  const { companyId, role } = req.user;
-
-  if (role.toLowerCase() !== 'qa') {
-    return res.status(403).json({ error: 'Only QA role can save drafts.' });
-  }
+  const { companyId } = req.user;
 
   const { data, error } = await supabase
     .from('documents')
@@ -1915,15 +5841,39 @@ app.post('/save-draft', authenticateToken, verifyStructure(['document_id']), asy
 });
 
 // -------------------------
-// 🚀 PUBLISH DOCUMENT (QA only)
+// 🚀 PUBLISH DOCUMENT
 // -------------------------
-app.post('/publish', authenticateToken, verifyStructure(['document_id']), async (req, res) => {
+app.post('/publish', authenticateToken, requirePermission('documents:publish'), verifyStructure(['document_id']), async (req, res) => {
   const { document_id } = req.body;
-  const { companyId, role } = req.user;
+  const { companyId } = req.user;
+
+  // Every required property must be filled in, and every value valid, before publishing
+  const { data: document } = await supabase
+    .from('documents')
+    .select('tag_id, properties')
+    .eq('id', document_id)
+    .eq('company_id', companyId)
+    .single();
+
+  if (!document) return res.status(404).json({ error: 'Document not found' });
+
+  let properties = document.properties;
+  const versionUpdate = {};
+  const tag = document.tag_id ? await fetchDocumentTag(document.tag_id, companyId) : null;
+  if (tag) {
+    const validation = validateDocumentProperties(tag.properties, document.properties || [], { requireComplete: true });
+    if (Object.keys(validation.errors).length) {
+      return sendFieldErrors(res, 'Document properties are incomplete or invalid.', validation.errors);
+    }
+    properties = validation.properties;
+    versionUpdate.tag_schema_version = tag.schema_version || 1;
+  }
 
   const { data, error } = await supabase
     .from('documents')
     .update({
+      properties,
+      ...versionUpdate,
       progress_number: 3,
       progress: 'Complete',
       status: 'complete',
@@ -1938,13 +5888,9 @@ app.post('/publish', authenticateToken, verifyStructure(['document_id']), async
   res.status(200).json({ message: 'Document published successfully.', data });
 });
 
-app.post('/mark-incomplete', authenticateToken, verifyStructure(['document_id']), async (req, res) => {
+app.post('/mark-incomplete', authenticateToken, requirePermission('documents:mark-incomplete'), verifyStructure(['document_id']), async (req, res) => {
   const { document_id } = req.body;
-  const { companyId, role } = req.user;
-
-  if (role.toLowerCase() !== 'owner') {
-    return res.status(403).json({ error: 'Only owners can mark a document as incomplete.' });
-  }
+  const { companyId } = req.user;
 
   const { data, error } = await supabase
     .from('documents')
@@ -1968,7 +5914,7 @@ app.post('/mark-incomplete', authenticateToken, verifyStructure(['document_id'])
   res.status(200).json({ message: 'Document marked incomplete successfully.', data });
 });
 
-app.post('/reject-document', authenticateToken, verifyStructure(['document_id', 'rejection_reason']), async (req, res) => {
+app.post('/reject-document', authenticateToken, requirePermission('documents:reject'), verifyStructure(['document_id', 'rejection_reason']), async (req, res) => {
   const { document_id, rejection_reason } = req.body;
   const { companyId, userId, role } = req.user;
 
@@ -2027,7 +5973,7 @@ app.post('/reject-document', authenticateToken, verifyStructure(['document_id',
 // -------------------------
 // 💾 SAVE DRAFT DOCUMENT
 // -------------------------
-app.post('/save-draft/:id', authenticateToken, async (req, res) => {
+app.post('/save-draft/:id', authenticateToken, requirePermission('documents:submit'), async (req, res) => {
   const { id } = req.params;
   const { companyId } = req.user;
 
@@ -2045,7 +5991,7 @@ app.post('/save-draft/:id', authenticateToken, async (req, res) => {
 // -------------------------
 // 📤 SUBMIT TO QA (Change status from draft to incomplete)
 // -------------------------
-app.post('/submit-to-qa/:id', authenticateToken, async (req, res) => {
+app.post('/submit-to-qa/:id', authenticateToken, requirePermission('documents:submit'), async (req, res) => {
   const { id } = req.params;
   const { companyId } = req.user;
   const { assignee_id } = req.body;
@@ -2075,7 +6021,7 @@ app.post('/submit-to-qa/:id', authenticateToken, async (req, res) => {
 // -------------------------
 // ❌ REJECT DOCUMENT (QA only)
 // -------------------------
-app.post('/reject-document/:id', authenticateToken, verifyStructure(['rejection_reason']), async (req, res) => {
+app.post('/reject-document/:id', authenticateToken, requirePermission('documents:reject'), verifyStructure(['rejection_reason']), async (req, res) => {
   const { id } = req.params;
   const { rejection_reason } = req.body;
   const { companyId, userId } = req.user;
@@ -2106,7 +6052,7 @@ app.post('/reject-document/:id', authenticateToken, verifyStructure(['rejection_
 // -------------------------
 // 🔄 RESUBMIT DOCUMENT (After rejection)
 // -------------------------
-app.post('/resubmit-document/:id', authenticateToken, async (req, res) => {
+app.post('/resubmit-document/:id', authenticateToken, requirePermission('documents:submit'), async (req, res) => {
   const { id } = req.params;
   const { companyId } = req.user;
   const { assignee_id } = req.body;
@@ -2236,7 +6182,7 @@ app.get('/clients', authenticateToken, async (req, res) => {
     .eq('company_id', companyId);
 
   if (error) return res.status(400).json(error);
-  res.json(data);
+  res.json(omitPasswordFields(data));
 });
 
 // Get one client by ID, scoped to company
@@ -2252,35 +6198,91 @@ app.get('/clients/:id', authenticateToken, async (req, res) => {
     .single();
 
   if (error) return res.status(400).json(error);
-  res.json(data);
+  res.json(omitPasswordFields(data));
 });
 
+const EDITABLE_CLIENT_FIELDS = ['name', 'phone', 'status', 'plan_id', 'profile_picture'];
+
 // Create a new client
-app.post('/clients', authenticateToken, verifyStructure(['name', 'status', 'plan_id']), async (req, res) => {
+app.post('/clients', authenticateToken, requireAdminOrPermission('invitations:manage'), verifyStructure(['name', 'email', 'status', 'plan_id']), async (req, res) => {
   const companyId = req.user.companyId;
+
+  // Clients always get the Client role; credentials and 2FA are set by the invitee
+  const fields = { email: req.body.email };
+  EDITABLE_CLIENT_FIELDS.forEach(field => {
+    if (req.body[field] !== undefined) fields[field] = req.body[field];
+  });
+
+  // Active clients stay 'invited' until they accept and set their own password
   const payload = {
-    ...req.body,
+    ...fields,
+    status: fields.status === 'active' ? 'invited' : fields.status,
     company_id: companyId,
   };
 
   const { data, error } = await supabase.from('clients').insert([payload]).select();
   if (error) return res.status(400).json(error);
-  res.status(201).json(data);
+
+  const { invitation, emailResult } = await issueInvitation({
+    type: 'client',
+    email: payload.email,
+    name: payload.name,
+    companyId,
+    accountId: data[0].id,
+    role: 'Client',
+    invitedBy: req.user.userId
+  });
+
+  res.status(201).json(omitPasswordFields(data).map(client => ({
+    ...client,
+    invitation: formatInvitation(invitation),
+    invitation_email: emailResult
+  })));
 });
 
-app.put('/clients/:id', authenticateToken, async (req, res) => {
+app.put('/clients/:id', authenticateToken, requirePermission('users:manage'), async (req, res) => {
   const { id } = req.params;
   const companyId = req.user.companyId;
 
+  const { data: target } = await supabase
+    .from('clients')
+    .select('id, status')
+    .eq('id', id)
+    .eq('company_id', companyId)
+    .single();
+
+  if (!target) return res.status(404).json({ error: 'Client not found or access denied.' });
+
+  // Same rules as staff users: credentials and 2FA have their own flows, company_id never moves
+  const updates = {};
+  EDITABLE_CLIENT_FIELDS.forEach(field => {
+    if (req.body[field] !== undefined) updates[field] = req.body[field];
+  });
+
+  if (!Object.keys(updates).length) {
+    return res.status(400).json({ error: `Nothing to update. Editable fields: ${EDITABLE_CLIENT_FIELDS.join(', ')}.` });
+  }
+  // 'invited' belongs to the invitation flow: it's neither set nor cleared by hand
+  if (updates.status !== undefined) {
+    if (String(updates.status).toLowerCase() === 'invited' || target.status === 'invited') {
+      return res.status(400).json({ error: 'Invitation status is managed through /invitations.' });
+    }
+  }
+
   const { data, error } = await supabase
     .from('clients')
-    .update(req.body)
+    .update(updates)
     .eq('id', id)
     .eq('company_id', companyId)
     .select();
 
   if (error) return res.status(400).json(error);
-  res.json(data);
+
+  if (data.length && updates.status !== undefined && String(updates.status).toLowerCase() !== 'active') {
+    await revokeSessions('user_id', id, 'status_changed');
+  }
+
+  res.json(omitPasswordFields(data));
 });
 
 // Delete client
@@ -2288,15 +6290,17 @@ app.delete('/clients/:id', authenticateToken, async (req, res) => {
   const { id } = req.params;
   const companyId = req.user.companyId;
 
-  const { error } = await supabase
+  const { data: deleted, error } = await supabase
     .from('clients')
     .delete()
     .eq('id', id)
-    .eq('company_id', companyId);
+    .eq('company_id', companyId)
+    .select('id');
 
   console.log(error)
 
   if (error) return res.status(400).json(error);
+  if (deleted.length) await revokeSessions('user_id', id, 'account_deleted');
   res.sendStatus(200);
 });
 
@@ -2315,7 +6319,7 @@ const differenceInDays = (a, b) => {
 };
 
 
-app.post('/generate-invoices', async (req, res) => {
+app.post('/generate-invoices', authenticateAdminOrCron, async (req, res) => {
   const currentDate = new Date();
   const currentMonth = currentDate.toLocaleString('default', { month: 'long', year: 'numeric' });
 
@@ -2423,7 +6427,7 @@ app.post('/generate-invoices', async (req, res) => {
   return res.status(200).json(results);
 });
 
-app.put('/invoices/:id/other-invoices', async (req, res) => {
+app.put('/invoices/:id/other-invoices', authenticateToken, requirePlatformAdmin, async (req, res) => {
   const { id } = req.params;
   const { other_invoices = [] } = req.body;
 
@@ -2468,7 +6472,7 @@ app.put('/invoices/:id/other-invoices', async (req, res) => {
   }
 });
 
-app.post('/remind-invoices', async (req, res) => {
+app.post('/remind-invoices', authenticateAdminOrCron, async (req, res) => {
   const currentMonth = new Date().toLocaleString('default', { month: 'long', year: 'numeric' });
 
   const { data: invoices, error: invoiceError } = await supabase
@@ -2641,6 +6645,7 @@ app.put('/client-invoices/:id/other-invoices', authenticateToken, async (req, re
       .from('client_invoices')
       .select('invoice_value, other_invoices')
       .eq('id', invoiceId)
+      .eq('company_id', req.user.companyId)
       .single();
 
     if (fetchError || !existingInvoice) {
@@ -2667,7 +6672,8 @@ app.put('/client-invoices/:id/other-invoices', authenticateToken, async (req, re
         other_invoices,
         invoice_value: parseFloat(updatedInvoiceValue.toFixed(4))
       })
-      .eq('id', invoiceId);
+      .eq('id', invoiceId)
+      .eq('company_id', req.user.companyId);
 
     if (updateError) {
       return res.status(500).json({ error: 'Failed to update client invoice' });
@@ -2836,7 +6842,7 @@ app.get('/invoices', authenticateToken, async (req, res) => {
       return res.json(combined);
     }
 
-    if (roleLower === 'owner') {
+    if (roleLower === 'owner' || role === API_KEY_ROLE) {
       if (!companyId) {
         return res.status(400).json({ error: 'Missing company ID for owner' });
       }
@@ -2987,11 +6993,10 @@ app.put('/invoices/:id/submit', authenticateToken, async (req, res) => {
   const { role, companyId, userId } = req.user;
   const roleLower = role.toLowerCase();
 
-  let { data: invoice, error: fetchError } = await supabase
-    .from('invoices')
-    .select('id, invoice_submitted')
-    .eq('id', invoiceId)
-    .single();
+  let { data: invoice, error: fetchError } = await scopeToTenant(
+    supabase.from('invoices').select('id, invoice_submitted').eq('id', invoiceId),
+    req.user
+  ).single();
 
   if (invoice) {
     if (roleLower === 'admin') {
@@ -3025,11 +7030,10 @@ app.put('/invoices/:id/submit', authenticateToken, async (req, res) => {
     }
   }
 
-  const { data: customInvoice, error: customError } = await supabase
-    .from('custom_invoices')
-    .select('id, is_client, invoice_submitted, invoice_submitted_admin')
-    .eq('id', invoiceId)
-    .single();
+  const { data: customInvoice, error: customError } = await scopeToTenant(
+    supabase.from('custom_invoices').select('id, is_client, invoice_submitted, invoice_submitted_admin').eq('id', invoiceId),
+    req.user
+  ).single();
 
   if (customInvoice) {
     if (roleLower === 'client') {
@@ -3081,11 +7085,10 @@ app.put('/invoices/:id/submit', authenticateToken, async (req, res) => {
 
   // 3. Try client_invoices
   // 3. Try client_invoices
-  const { data: clientInvoice, error: clientInvoiceError } = await supabase
-    .from('client_invoices')
-    .select('id, invoice_submitted, invoice_submitted_admin')
-    .eq('id', invoiceId)
-    .single();
+  const { data: clientInvoice, error: clientInvoiceError } = await scopeToTenant(
+    supabase.from('client_invoices').select('id, invoice_submitted, invoice_submitted_admin').eq('id', invoiceId),
+    req.user
+  ).single();
 
   if (clientInvoice) {
     if (roleLower === 'client') {
@@ -3133,8 +7136,8 @@ app.put('/invoices/:id/submit', authenticateToken, async (req, res) => {
   return res.status(404).json({ error: 'Invoice not found in any table.' });
 });
 
-const sendWelcomeEmail = async (companyName, email, password, loginLink) => {
-  if (!companyName || !email || !password || !loginLink) {
+const sendInvitationEmail = async (name, email, companyName, inviteLink, expiresAt) => {
+  if (!email || !companyName || !inviteLink) {
     return { error: 'Missing required fields.' };
   }
 
@@ -3149,7 +7152,7 @@ const sendWelcomeEmail = async (companyName, email, password, loginLink) => {
     },
   });
 
-  const subject = `Welcome to Talo Innovations – ${companyName}`;
+  const subject = `You're invited to Talo Innovations – ${companyName}`;
 
   const emailBody = `
     <div style="font-family: Arial, sans-serif; max-width: 600px; margin: auto; border: 1px solid #ddd; border-radius: 10px; overflow: hidden; box-shadow: 0 2px 10px rgba(0,0,0,0.1);">
@@ -3157,18 +7160,15 @@ const sendWelcomeEmail = async (companyName, email, password, loginLink) => {
         <h1 style="color: #fff; margin: 0;">Talo Innovations</h1>
       </div>
       <div style="padding: 20px; color: #333;">
-        <h2>Welcome ${companyName}!</h2>
-        <p>Your company account has been successfully created.</p>
-        <p>Here are your login credentials:</p>
-        <ul>
-          <li><strong>Email:</strong> ${email}</li>
-          <li><strong>Password:</strong> ${password}</li>
-        </ul>
+        <h2>Welcome${name ? ` ${name}` : ''}!</h2>
+        <p>You have been invited to join <strong>${companyName}</strong> on Talo Innovations.</p>
+        <p>Click the button below to choose your password and activate your account.</p>
         <div style="text-align: center; margin: 20px 0;">
-          <a href="${loginLink}" style="background-color: #22BC66; color: white; padding: 15px 30px; text-decoration: none; border-radius: 5px; font-size: 16px;">
-            Login Now
+          <a href="${inviteLink}" style="background-color: #22BC66; color: white; padding: 15px 30px; text-decoration: none; border-radius: 5px; font-size: 16px;">
+            Accept Invitation
           </a>
         </div>
+        <p>This invitation expires on ${new Date(expiresAt).toUTCString()} and can only be used once.</p>
         <p>If you have any questions, feel free to contact our support team.</p>
         <p>Cheers,<br>The Talo Innovations Team</p>
       </div>
@@ -3184,11 +7184,11 @@ const sendWelcomeEmail = async (companyName, email, password, loginLink) => {
 
   try {
     const info = await transporter.sendMail(mailOptions);
-    console.log('Welcome email sent successfully:', info.response);
-    return { message: 'Welcome email sent successfully.' };
+    console.log('Invitation email sent successfully:', info.response);
+    return { message: 'Invitation email sent successfully.' };
   } catch (error) {
-    console.error('Error sending welcome email:', error);
-    return { error: 'Failed to send welcome email' };
+    console.error('Error sending invitation email:', error);
+    return { error: 'Failed to send invitation email' };
   }
 };
 
@@ -3270,6 +7270,7 @@ app.get('/get-shared-url/:document_id', authenticateToken, async (req, res) => {
     .from('shareddoc')
     .select('id')
     .eq('document_id', document_id)
+    .eq('company_id', companyId)
     .single();
 
   if (error || !data) {
@@ -3318,6 +7319,7 @@ app.get('/download-document/:document_id', authenticateToken, async (req, res) =
     .from('documents')
     .select('url')
     .eq('id', document_id)
+    .eq('company_id', companyId)
     .single();
 
   if (docError || !document) {
@@ -3363,7 +7365,7 @@ app.get('/get-profile', authenticateToken, async (req, res) => {
   // Try users table
   const { data: user, error: userError } = await supabase
     .from('users')
-    .select('name, email, password, phone, documents_reviewed, profile_picture')
+    .select('name, email, phone, documents_reviewed, profile_picture')
     .eq('id', userId)
     .single();
 
@@ -3375,7 +7377,7 @@ app.get('/get-profile', authenticateToken, async (req, res) => {
   // If not found, try clients table
   const { data: client, error: clientError } = await supabase
     .from('clients')
-    .select('email, password, phone, profile_picture')
+    .select('email, phone, profile_picture')
     .eq('id', userId)
     .single();
 
@@ -3395,7 +7397,7 @@ app.put('/get-profile', authenticateToken, async (req, res) => {
   // Only these fields are allowed to be updated
   const updateFields = {};
   if (name !== undefined) updateFields.name = name;
-  if (password !== undefined) updateFields.password = password;
+  if (password) updateFields.password = await hashPassword(password);
   if (phone !== undefined) updateFields.phone = phone;
   if (profile_picture !== undefined) updateFields.profile_picture = profile_picture;
 
@@ -3408,8 +7410,11 @@ app.put('/get-profile', authenticateToken, async (req, res) => {
     .single();
 
   if (updatedUser && !userUpdateError) {
+    if (updateFields.password) {
+      await revokeSessions('user_id', userId, 'password_changed', { exceptSessionId: req.user.sessionId });
+    }
     const profilePicture = await processDocUrl(updatedUser.profile_picture);
-    return res.status(200).json({ message: 'User profile updated.', profile: { ...updatedUser, profile_picture: profilePicture } });
+    return res.status(200).json({ message: 'User profile updated.', profile: { ...omitPasswordFields(updatedUser), profile_picture: profilePicture } });
   }
 
   // If not in users table, try clients
@@ -3421,8 +7426,11 @@ app.put('/get-profile', authenticateToken, async (req, res) => {
     .single();
 
   if (updatedClient && !clientUpdateError) {
+    if (updateFields.password) {
+      await revokeSessions('user_id', userId, 'password_changed', { exceptSessionId: req.user.sessionId });
+    }
     const profilePicture = await processDocUrl(updatedClient.profile_picture);
-    return res.status(200).json({ message: 'Client profile updated.', profile: { ...updatedClient, profile_picture: profilePicture } });
+    return res.status(200).json({ message: 'Client profile updated.', profile: { ...omitPasswordFields(updatedClient), profile_picture: profilePicture } });
   }
 
   return res.status(400).json({ error: 'Failed to update profile.' });
@@ -3613,6 +7621,7 @@ app.put('/disputes/:id/resolve', authenticateToken, async (req, res) => {
     .from('disputes')
     .update({ resolve: true })
     .eq('id', disputeId)
+    .eq('company_id', req.user.companyId)
     .select();
 
   if (error) return res.status(400).json(error);
@@ -4023,29 +8032,405 @@ app.get('/custom-invoices', authenticateToken, async (req, res) => {
 app.get('/custom-invoice/:id', authenticateToken, async (req, res) => {
   const { id } = req.params;
 
+  const { data, error } = await scopeToTenant(
+    supabase.from('custom_invoices').select('*').eq('id', id),
+    req.user
+  ).single();
+
+  if (error) return res.status(400).json({ error });
+  res.json(data);
+});
+
+// Storage Management APIs
+// -------------------------
+// 💾 STORAGE ACCOUNTING
+// -------------------------
+// Usage is the sum of verified object sizes in `uploads` (taken from HeadObject or the bucket
+// listing), never a number the client sends. Files whose documents are all in the trash don't
+// count (company_storage_bytes), so deleting and restoring documents moves the total.
+// companies.storage_used stays in MB for the frontend.
+const BYTES_PER_MB = 1024 * 1024;
+const STORAGE_WARNING_THRESHOLDS = (process.env.STORAGE_WARNING_THRESHOLDS || '80,90,100')
+  .split(',')
+  .map(Number)
+  .filter(n => n > 0)
+  .sort((a, b) => a - b);
+
+const bytesToMb = (bytes) => Math.round((bytes / BYTES_PER_MB) * 100) / 100;
+
+const sumCompanyUploadBytes = async (companyId) => {
+  const { data, error } = await supabase.rpc('company_storage_bytes', { p_company_id: companyId });
+  if (error) throw error;
+  return Number(data) || 0;
+};
+
+const fetchStorageQuota = async (companyId) => {
+  if (!companyId) return null;
+
+  const { data: company } = await supabase
+    .from('companies')
+    .select(`
+      id,
+      name,
+      storage_used,
+      storage_warning_level,
+      plans (
+        storage_limit_gb
+      )
+    `)
+    .eq('id', companyId)
+    .single();
+
+  if (!company) return null;
+
+  // A plan without a storage limit (or no plan) is unlimited
+  const limitGb = company.plans?.storage_limit_gb || 0;
+  return {
+    company,
+    usedBytes: Math.round((company.storage_used || 0) * BYTES_PER_MB),
+    limitBytes: limitGb ? limitGb * 1024 * BYTES_PER_MB : null
+  };
+};
+
+// Returns an error message when `bytes` more would take the company past its plan limit
+const checkStorageQuota = async (companyId, bytes) => {
+  const quota = await fetchStorageQuota(companyId);
+  if (!quota?.limitBytes || quota.usedBytes + bytes <= quota.limitBytes) return null;
+
+  return `Storage quota exceeded: ${bytesToMb(quota.usedBytes)} MB of ${bytesToMb(quota.limitBytes)} MB is used `
+    + `and this file needs ${bytesToMb(bytes)} MB. Delete files or upgrade your plan to upload more.`;
+};
+
+const sendStorageWarningEmail = async (owner, companyName, percent, usedMb, limitMb) => {
+  const transporter = nodemailer.createTransport({
+    service: "gmail",
+    auth: {
+      type: "OAuth2",
+      user: process.env.EMAIL_HOST,
+      clientId: process.env.CLIENT_ID,
+      clientSecret: process.env.CLIENT_SECRET,
+      refreshToken: process.env.OAUTH_REFRESH_TOKEN,
+    },
+  });
+
+  await transporter.sendMail({
+    from: process.env.EMAIL_HOST,
+    to: owner.email,
+    subject: `${companyName} has used ${percent}% of its storage`,
+    html: `
+      <div style="font-family: Arial;">
+        <h2>Hi ${owner.name || 'there'},</h2>
+        <p><strong>${companyName}</strong> is using <strong>${usedMb} MB</strong> of its <strong>${limitMb} MB</strong> storage allowance (${percent}%).</p>
+        <p>${percent >= 100
+          ? 'New uploads are blocked until you free up space or upgrade your plan.'
+          : 'Uploads will be blocked once the limit is reached. Consider freeing up space or upgrading your plan.'}</p>
+        <p>Thanks,<br/>Talo Innovations</p>
+      </div>
+    `
+  });
+};
+
+// Email the owners once each time usage climbs past a warning threshold
+const notifyStorageThresholds = async (quota, usedBytes) => {
+  if (!quota.limitBytes) return;
+
+  const percent = Math.floor((usedBytes / quota.limitBytes) * 100);
+  const reached = STORAGE_WARNING_THRESHOLDS.filter(threshold => percent >= threshold).pop() || 0;
+  const previous = quota.company.storage_warning_level || 0;
+  if (reached === previous) return;
+
+  // Dropping back under a threshold re-arms it without sending anything
+  await supabase.from('companies').update({ storage_warning_level: reached }).eq('id', quota.company.id);
+  if (reached < previous) return;
+
+  const { data: owners } = await supabase
+    .from('users')
+    .select('name, email')
+    .eq('company_id', quota.company.id)
+    .eq('role', 'Owner')
+    .eq('status', 'active');
+
+  for (const owner of owners || []) {
+    try {
+      await sendStorageWarningEmail(owner, quota.company.name, reached, bytesToMb(usedBytes), bytesToMb(quota.limitBytes));
+    } catch (err) {
+      console.error(`Failed to send storage warning to ${owner.email}:`, err);
+    }
+  }
+};
+
+// Recount a company's usage from its uploads and store it; returns the new total in MB
+const recalculateStorageUsage = async (companyId) => {
+  if (!companyId) return null;
+
+  try {
+    const usedBytes = await sumCompanyUploadBytes(companyId);
+    const quota = await fetchStorageQuota(companyId);
+
+    await supabase.from('companies').update({ storage_used: bytesToMb(usedBytes) }).eq('id', companyId);
+    if (quota) await notifyStorageThresholds(quota, usedBytes);
+
+    return bytesToMb(usedBytes);
+  } catch (err) {
+    console.error(`Failed to recalculate storage for company ${companyId}:`, err);
+    return null;
+  }
+};
+
+// Map untracked bucket keys to the company whose records reference them
+const findKeyOwners = async (keys) => {
+  const owners = new Map();
+  const lookups = [
+    ['documents', 'url', 'company_id'],
+    ['companies', 'logo_url', 'id'],
+    ['users', 'profile_picture', 'company_id'],
+    ['clients', 'profile_picture', 'company_id']
+  ];
+
+  for (let i = 0; i < keys.length; i += 100) {
+    const batch = keys.slice(i, i + 100);
+
+    for (const [table, column, companyColumn] of lookups) {
+      const { data } = await supabase.from(table).select(`${column}, ${companyColumn}`).in(column, batch);
+      (data || []).forEach(row => {
+        if (row[companyColumn] && !owners.has(row[column])) owners.set(row[column], row[companyColumn]);
+      });
+    }
+  }
+
+  return owners;
+};
+
+// 🧮 Scheduled job: recount every company's usage from what is actually in the bucket
+app.post('/reconcile-storage', authenticateAdminOrCron, async (req, res) => {
+  let objects;
+  try {
+    objects = await listFiles('');
+  } catch (err) {
+    console.error('Storage listing error:', err);
+    return res.status(500).json({ error: 'Failed to list stored files' });
+  }
+
+  const sizes = new Map(objects.map(object => [object.key, object]));
+  const tracked = new Set();
+  const summary = { objects: objects.length, resized: 0, missing: 0, backfilled: 0 };
+
+  // 1. Bring tracked uploads in line with the bucket
+  for (let from = 0; ; from += 1000) {
+    const { data: rows, error } = await supabase
+      .from('uploads')
+      .select('id, file_key, size, status')
+      .in('status', ['completed', 'missing'])
+      .range(from, from + 999);
+
+    if (error) return res.status(400).json(error);
+
+    for (const row of rows) {
+      tracked.add(row.file_key);
+      const object = sizes.get(row.file_key);
+
+      if (!object && row.status === 'completed') {
+        await supabase.from('uploads').update({ status: 'missing' }).eq('id', row.id);
+        summary.missing++;
+      } else if (object && (Number(row.size) !== object.size || row.status === 'missing')) {
+        await supabase.from('uploads').update({ size: object.size, status: 'completed' }).eq('id', row.id);
+        summary.resized++;
+      }
+    }
+
+    if (rows.length < 1000) break;
+  }
+
+  // 2. Backfill objects that predate upload tracking but are referenced by a company
+  const untrackedKeys = objects.map(object => object.key).filter(key => !tracked.has(key));
+  const keyOwners = await findKeyOwners(untrackedKeys);
+
+  const backfill = [...keyOwners.entries()].map(([fileKey, companyId]) => ({
+    company_id: companyId,
+    file_key: fileKey,
+    file_name: fileKey.split('/').pop(),
+    expected_size: sizes.get(fileKey).size,
+    size: sizes.get(fileKey).size,
+    status: 'completed',
+    completed_at: new Date(sizes.get(fileKey).lastModified || Date.now()).toISOString()
+  }));
+
+  for (let i = 0; i < backfill.length; i += 500) {
+    const { error } = await supabase.from('uploads').insert(backfill.slice(i, i + 500));
+    if (error) console.error('Failed to backfill uploads:', error);
+    else summary.backfilled += backfill.slice(i, i + 500).length;
+  }
+
+  // 3. Recount every company
+  const { data: companies } = await supabase.from('companies').select('id, name');
+  const usage = [];
+  for (const company of companies || []) {
+    usage.push({ company_id: company.id, company: company.name, storage_used_mb: await recalculateStorageUsage(company.id) });
+  }
+
+  res.status(200).json({ ...summary, companies: usage });
+});
+
+// 🧹 Orphaned files: objects in the bucket that no document, profile picture or logo points at
+// (abandoned /upload calls, replaced pictures). Recently written objects are left alone so an
+// upload whose document is still being created is never mistaken for an orphan.
+const ORPHAN_GRACE_HOURS = parseInt(process.env.ORPHAN_GRACE_HOURS) || 72;
+// Upload folders are client-chosen, so by default the whole bucket is scanned and grouped by folder
+const ORPHAN_SCAN_PREFIXES = (process.env.ORPHAN_SCAN_PREFIXES || '')
+  .split(',')
+  .map(prefix => prefix.trim())
+  .filter(Boolean);
+const ORPHAN_REPORT_LIMIT = 5000;
+
+// Every storage key referenced by a table column, read in pages
+const collectReferencedKeys = async () => {
+  const referenced = new Set();
+  const sources = [
+    ['documents', 'url'],
+    ['documents', 'thumbnail_key'],
+    ['documents', 'preview_keys'],
+    ['users', 'profile_picture'],
+    ['clients', 'profile_picture'],
+    ['companies', 'logo_url'],
+    ['uploads', 'file_key', query => query.eq('status', 'pending')] // in-flight uploads
+  ];
+
+  for (const [table, column, filter] of sources) {
+    for (let from = 0; ; from += 1000) {
+      let query = supabase.from(table).select(column).not(column, 'is', null);
+      if (filter) query = filter(query);
+
+      const { data, error } = await query.range(from, from + 999);
+      if (error) throw new Error(`Failed to read ${table}.${column}: ${error.message}`);
+
+      data.flatMap(row => [].concat(row[column])).forEach(key => {
+        if (key && !String(key).startsWith('http')) referenced.add(key);
+      });
+      if (data.length < 1000) break;
+    }
+  }
+
+  return referenced;
+};
+
+app.post('/collect-orphaned-files', authenticateAdminOrCron, async (req, res) => {
+  const deleteOrphans = req.body?.delete === true;
+  const requestedPrefixes = Array.isArray(req.body?.prefixes) && req.body.prefixes.length ? req.body.prefixes : ORPHAN_SCAN_PREFIXES;
+  const prefixes = requestedPrefixes.length ? requestedPrefixes.map(String) : [''];
+  const cutoff = new Date(Date.now() - ORPHAN_GRACE_HOURS * 60 * 60 * 1000);
+  const startedAt = new Date().toISOString();
+
+  let referenced;
+  try {
+    referenced = await collectReferencedKeys();
+  } catch (err) {
+    console.error('Orphan scan error:', err);
+    return res.status(500).json({ error: err.message });
+  }
+
+  const orphans = [];
+  const byPrefix = {};
+  let scanned = 0;
+
+  for (const prefix of prefixes) {
+    let objects;
+    try {
+      objects = await listFiles(prefix);
+    } catch (err) {
+      console.error(`Failed to list ${prefix || 'bucket'}:`, err);
+      return res.status(500).json({ error: `Failed to list stored files under ${prefix || 'the bucket root'}` });
+    }
+
+    objects.forEach(object => {
+      const folder = prefix || `${object.key.split('/')[0]}/`;
+      const counts = byPrefix[folder] || (byPrefix[folder] = { scanned: 0, orphans: 0 });
+      counts.scanned++;
+      scanned++;
+
+      if (referenced.has(object.key) || new Date(object.lastModified) >= cutoff) return;
+      counts.orphans++;
+      orphans.push(object);
+    });
+  }
+
+  const affectedCompanies = new Set();
+  if (deleteOrphans) {
+    for (const orphan of orphans) {
+      try {
+        await deleteFile(orphan.key);
+        orphan.deleted = true;
+
+        const { data: rows } = await supabase
+          .from('uploads')
+          .update({ status: 'deleted' })
+          .eq('file_key', orphan.key)
+          .eq('status', 'completed')
+          .select('company_id');
+        (rows || []).forEach(row => row.company_id && affectedCompanies.add(row.company_id));
+      } catch (err) {
+        orphan.deleted = false;
+        orphan.error = err.message;
+      }
+    }
+  }
+
+  for (const companyId of affectedCompanies) await recalculateStorageUsage(companyId);
+
+  const report = {
+    started_at: startedAt,
+    finished_at: new Date().toISOString(),
+    delete_requested: deleteOrphans,
+    grace_hours: ORPHAN_GRACE_HOURS,
+    prefixes: byPrefix,
+    scanned_count: scanned,
+    orphan_count: orphans.length,
+    orphan_bytes: orphans.reduce((sum, orphan) => sum + (orphan.size || 0), 0),
+    deleted_count: orphans.filter(orphan => orphan.deleted).length,
+    orphans: orphans.slice(0, ORPHAN_REPORT_LIMIT).map(orphan => ({
+      key: orphan.key,
+      size: orphan.size,
+      last_modified: orphan.lastModified,
+      deleted: orphan.deleted || false,
+      error: orphan.error
+    }))
+  };
+
+  const { data: saved, error } = await supabase.from('orphan_scans').insert([report]).select('id').single();
+  if (error) console.error('Failed to save orphan scan report:', error);
+
+  res.status(200).json({ id: saved?.id || null, ...report });
+});
+
+app.get('/orphan-scans', authenticateToken, requirePlatformAdmin, async (req, res) => {
   const { data, error } = await supabase
-    .from('custom_invoices')
+    .from('orphan_scans')
+    .select('id, started_at, finished_at, delete_requested, grace_hours, prefixes, scanned_count, orphan_count, orphan_bytes, deleted_count')
+    .order('started_at', { ascending: false })
+    .limit(parseInt(req.query.limit) || 20);
+
+  if (error) return res.status(400).json(error);
+  res.json(data);
+});
+
+app.get('/orphan-scans/:id', authenticateToken, requirePlatformAdmin, async (req, res) => {
+  const { data, error } = await supabase
+    .from('orphan_scans')
     .select('*')
-    .eq('id', id)
+    .eq('id', req.params.id)
     .single();
 
-  if (error) return res.status(400).json({ error });
+  if (error || !data) return res.status(404).json({ error: 'Scan report not found.' });
   res.json(data);
 });
 
-// Storage Management APIs
+// Kept for older clients: mb_to_add is ignored and usage is recounted from stored file sizes
 app.post('/update-storage', authenticateToken, async (req, res) => {
   const company_id = req.user.companyId;
-  const { mb_to_add } = req.body;
 
   if (!company_id) {
     return res.status(400).json({ error: 'Missing company ID in token.' });
   }
 
-  if (!mb_to_add || typeof mb_to_add !== 'number' || mb_to_add < 0) {
-    return res.status(400).json({ error: 'Invalid mb_to_add value. Must be a positive number.' });
-  }
-
   // Get current storage usage
   const { data: currentCompany, error: fetchError } = await supabase
     .from('companies')
@@ -4058,16 +8443,9 @@ app.post('/update-storage', authenticateToken, async (req, res) => {
   }
 
   const currentStorage = currentCompany.storage_used || 0;
-  const newStorage = currentStorage + mb_to_add;
-
-  // Update storage_used in companies table (add to existing)
-  const { data, error } = await supabase
-    .from('companies')
-    .update({ storage_used: newStorage })
-    .eq('id', company_id)
-    .select();
+  const newStorage = await recalculateStorageUsage(company_id);
 
-  if (error) {
+  if (newStorage === null) {
     return res.status(400).json({ error: 'Failed to update storage usage.' });
   }
 
@@ -4075,18 +8453,22 @@ app.post('/update-storage', authenticateToken, async (req, res) => {
     message: 'Storage usage updated successfully.',
     company_id,
     previous_storage: currentStorage,
-    added_storage: mb_to_add,
+    added_storage: Math.round((newStorage - currentStorage) * 100) / 100,
     new_total_storage: newStorage
   });
 });
 
-app.get('/get-storage-usage', async (req, res) => {
+app.get('/get-storage-usage', authenticateToken, async (req, res) => {
   const { companyId } = req.query;
 
   if (!companyId) {
     return res.status(400).json({ error: 'Missing companyId query parameter.' });
   }
 
+  if (!isPlatformAdmin(req.user) && req.user.companyId !== companyId) {
+    return res.status(403).json({ error: 'Access denied.' });
+  }
+
   // Get company with plan information
   const { data: company, error: companyError } = await supabase
     .from('companies')
@@ -4154,14 +8536,10 @@ app.get('/get-storage', authenticateToken, async (req, res) => {
 
 // 📊 REPORTS
 // -------------------------
-app.get('/reports/user-activity', authenticateToken, async (req, res) => {
-  const { companyId, role } = req.user;
+app.get('/reports/user-activity', authenticateToken, requirePermission('reports:user-activity'), async (req, res) => {
+  const { companyId } = req.user;
   const { startDate, endDate } = req.query;
 
-  if (role.toLowerCase() !== 'owner' && role.toLowerCase() !== 'manager') {
-    return res.status(403).json({ error: 'Unauthorized. Only owners and managers can access activity reports.' });
-  }
-
   // 👤 Fetch all users in the company
   const { data: users, error: userError } = await supabase
     .from('users')
@@ -4225,14 +8603,10 @@ app.get('/reports/user-activity', authenticateToken, async (req, res) => {
 });
 
 // Single User Details
-app.get('/users/:id', authenticateToken, async (req, res) => {
-  const { companyId, role } = req.user;
+app.get('/users/:id', authenticateToken, requirePermission('users:view-details'), async (req, res) => {
+  const { companyId } = req.user;
   const userId = req.params.id;
 
-  if (role.toLowerCase() !== 'owner' && role.toLowerCase() !== 'manager') {
-    return res.status(403).json({ error: 'Unauthorized.' });
-  }
-
   const { data: user, error } = await supabase
     .from('users')
     .select('*')
@@ -4276,7 +8650,7 @@ app.get('/users/:id', authenticateToken, async (req, res) => {
   });
 
   res.json({
-    ...user,
+    ...omitPasswordFields(user),
     metrics: {
       uploadCount: uploadCount || 0,
       publishedCount: publishedDocs.length || 0
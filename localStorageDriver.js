@@ -0,0 +1,296 @@
+import crypto from 'crypto';
+import fs from 'fs';
+import fsp from 'fs/promises';
+import path from 'path';
+import { Readable, Transform } from 'stream';
+import { pipeline } from 'stream/promises';
+
+// Storage driver that keeps objects on local disk, for on-prem installs and tests without AWS.
+// Presigned URLs point back at this API (`/storage/local/<key>`) and carry an HMAC signature
+// over the method, key, expiry and any constraints (content type, length, multipart part).
+//
+// Layout under root:  objects/<key>   meta/<key>.json   multipart/<uploadId>/{upload.json,part-00001,...}
+export const createLocalStorageDriver = ({ root, baseUrl, signingSecret }) => {
+    if (!root || !baseUrl || !signingSecret) {
+        console.error('Local storage configuration is missing. Please check your environment variables.');
+    }
+
+    const objectsDir = path.resolve(root || '.', 'objects');
+    const metaDir = path.resolve(root || '.', 'meta');
+    const multipartDir = path.resolve(root || '.', 'multipart');
+
+    // Resolve inside a base directory, refusing keys that try to climb out of it
+    const resolveInside = (base, relative) => {
+        const resolved = path.resolve(base, relative);
+        if (!resolved.startsWith(`${base}${path.sep}`)) throw new Error(`Invalid storage key: ${relative}`);
+        return resolved;
+    };
+
+    const objectPath = (key) => resolveInside(objectsDir, key);
+    const metaPath = (key) => resolveInside(metaDir, `${key}.json`);
+    const uploadDir = (uploadId) => {
+        if (!/^[0-9a-f-]{36}$/.test(uploadId)) throw new Error('Invalid upload id.');
+        return path.join(multipartDir, uploadId);
+    };
+    const partPath = (uploadId, partNumber) => path.join(uploadDir(uploadId), `part-${String(partNumber).padStart(5, '0')}`);
+
+    const sign = (method, key, params) => {
+        const canonical = [
+            method,
+            key,
+            ...Object.keys(params).sort().map(name => `${name}=${params[name]}`),
+        ].join('\n');
+
+        return crypto.createHmac('sha256', signingSecret).update(canonical).digest('hex');
+    };
+
+    const buildSignedUrl = (method, key, params, expiresIn) => {
+        const signedParams = { ...params, expires: String(Math.floor(Date.now() / 1000) + expiresIn) };
+        const query = new URLSearchParams({ ...signedParams, method, signature: sign(method, key, signedParams) });
+        const encodedKey = key.split('/').map(encodeURIComponent).join('/');
+
+        return `${baseUrl.replace(/\/+$/, '')}/storage/local/${encodedKey}?${query.toString()}`;
+    };
+
+    // Check a request against its signature; returns the signed params or throws
+    const verifySignedRequest = (method, key, query) => {
+        const { signature, method: signedMethod, ...params } = query;
+        if (!signature || signedMethod !== method) throw new Error('Invalid signature.');
+
+        const expected = Buffer.from(sign(method, key, params));
+        const presented = Buffer.from(String(signature));
+        if (expected.length !== presented.length || !crypto.timingSafeEqual(expected, presented)) {
+            throw new Error('Invalid signature.');
+        }
+        if (!(Number(params.expires) * 1000 > Date.now())) throw new Error('Signed URL has expired.');
+
+        return params;
+    };
+
+    // Stream to a temp file and rename, so readers never see a half-written object
+    const writeStream = async (target, stream, { maxBytes, expectedBytes } = {}) => {
+        await fsp.mkdir(path.dirname(target), { recursive: true });
+        const tempPath = `${target}.${crypto.randomUUID()}.tmp`;
+        const hash = crypto.createHash('md5');
+        let bytes = 0;
+
+        const meter = new Transform({
+            transform(chunk, encoding, callback) {
+                bytes += chunk.length;
+                if (maxBytes && bytes > maxBytes) return callback(new Error('Upload exceeds the signed content length.'));
+                hash.update(chunk);
+                callback(null, chunk);
+            },
+        });
+
+        try {
+            await pipeline(stream, meter, fs.createWriteStream(tempPath));
+            if (expectedBytes !== undefined && bytes !== expectedBytes) {
+                throw new Error(`Expected ${expectedBytes} bytes but received ${bytes}.`);
+            }
+            await fsp.rename(tempPath, target);
+        } catch (error) {
+            await fsp.rm(tempPath, { force: true });
+            throw error;
+        }
+
+        return { size: bytes, etag: `"${hash.digest('hex')}"` };
+    };
+
+    const writeMeta = async (key, meta) => {
+        await fsp.mkdir(path.dirname(metaPath(key)), { recursive: true });
+        await fsp.writeFile(metaPath(key), JSON.stringify(meta));
+    };
+
+    const readMeta = async (key) => {
+        try {
+            return JSON.parse(await fsp.readFile(metaPath(key), 'utf8'));
+        } catch (error) {
+            return {};
+        }
+    };
+
+    const put = async (key, body, { contentType } = {}) => {
+        const stream = Buffer.isBuffer(body) || typeof body === 'string'
+            ? Readable.from([Buffer.from(body)])
+            : body;
+
+        await writeStream(objectPath(key), stream);
+        await writeMeta(key, { contentType: contentType || 'application/octet-stream' });
+    };
+
+    const head = async (key) => {
+        try {
+            const stats = await fsp.stat(objectPath(key));
+            const meta = await readMeta(key);
+            return { size: stats.size, contentType: meta.contentType, lastModified: stats.mtime };
+        } catch (error) {
+            if (error.code === 'ENOENT') return null;
+            throw error;
+        }
+    };
+
+    const get = async (key) => {
+        const metadata = await head(key);
+        if (!metadata) {
+            const error = new Error(`Object not found: ${key}`);
+            error.name = 'NoSuchKey';
+            throw error;
+        }
+
+        return {
+            body: fs.createReadStream(objectPath(key)),
+            contentType: metadata.contentType,
+            size: metadata.size,
+        };
+    };
+
+    const remove = async (key) => {
+        await fsp.rm(objectPath(key), { force: true });
+        await fsp.rm(metaPath(key), { force: true });
+    };
+
+    const presign = async (key, { method = 'GET', expiresIn = 3600, contentType, contentLength } = {}) => {
+        if (method === 'PUT') {
+            return buildSignedUrl('PUT', key, { contentType, contentLength: String(contentLength) }, expiresIn);
+        }
+        return buildSignedUrl('GET', key, {}, expiresIn);
+    };
+
+    const list = async (prefix = '') => {
+        const objects = [];
+
+        const walk = async (dir) => {
+            let entries;
+            try {
+                entries = await fsp.readdir(dir, { withFileTypes: true });
+            } catch (error) {
+                if (error.code === 'ENOENT') return;
+                throw error;
+            }
+
+            for (const entry of entries) {
+                const fullPath = path.join(dir, entry.name);
+                if (entry.isDirectory()) {
+                    await walk(fullPath);
+                } else if (!entry.name.endsWith('.tmp')) {
+                    const key = path.relative(objectsDir, fullPath).split(path.sep).join('/');
+                    if (!key.startsWith(prefix)) continue;
+                    const stats = await fsp.stat(fullPath);
+                    objects.push({ key, size: stats.size, lastModified: stats.mtime });
+                }
+            }
+        };
+
+        await walk(objectsDir);
+        return objects;
+    };
+
+    const createMultipartUpload = async (key, contentType) => {
+        objectPath(key); // validate the key up front
+        const uploadId = crypto.randomUUID();
+
+        await fsp.mkdir(uploadDir(uploadId), { recursive: true });
+        await fsp.writeFile(
+            path.join(uploadDir(uploadId), 'upload.json'),
+            JSON.stringify({ key, contentType, initiated: new Date().toISOString() })
+        );
+
+        return uploadId;
+    };
+
+    const presignPart = async (key, uploadId, partNumber, expiresIn = 3600) =>
+        buildSignedUrl('PUT', key, { uploadId, partNumber: String(partNumber) }, expiresIn);
+
+    const readUpload = async (uploadId) =>
+        JSON.parse(await fsp.readFile(path.join(uploadDir(uploadId), 'upload.json'), 'utf8'));
+
+    const listParts = async (key, uploadId) => {
+        const upload = await readUpload(uploadId);
+        if (upload.key !== key) throw new Error('Upload does not belong to this key.');
+
+        const files = (await fsp.readdir(uploadDir(uploadId))).filter(name => /^part-\d{5}$/.test(name)).sort();
+        return Promise.all(files.map(async name => {
+            const partNumber = Number(name.slice(5));
+            const stats = await fsp.stat(partPath(uploadId, partNumber));
+            const etag = await fsp.readFile(`${partPath(uploadId, partNumber)}.etag`, 'utf8').catch(() => null);
+            return { partNumber, etag, size: stats.size };
+        }));
+    };
+
+    const completeMultipartUpload = async (key, uploadId, parts) => {
+        const upload = await readUpload(uploadId);
+        if (upload.key !== key) throw new Error('Upload does not belong to this key.');
+
+        const ordered = [...parts].sort((a, b) => a.partNumber - b.partNumber);
+        const streams = (async function* concatenate() {
+            for (const part of ordered) {
+                for await (const chunk of fs.createReadStream(partPath(uploadId, part.partNumber))) yield chunk;
+            }
+        })();
+
+        await writeStream(objectPath(key), streams);
+        await writeMeta(key, { contentType: upload.contentType || 'application/octet-stream' });
+        await fsp.rm(uploadDir(uploadId), { recursive: true, force: true });
+    };
+
+    const abortMultipartUpload = async (key, uploadId) => {
+        await fsp.rm(uploadDir(uploadId), { recursive: true, force: true });
+    };
+
+    const listMultipartUploads = async () => {
+        let uploadIds;
+        try {
+            uploadIds = await fsp.readdir(multipartDir);
+        } catch (error) {
+            if (error.code === 'ENOENT') return [];
+            throw error;
+        }
+
+        const uploads = await Promise.all(uploadIds.map(async uploadId => {
+            const upload = await readUpload(uploadId).catch(() => null);
+            return upload && { fileKey: upload.key, uploadId, initiated: new Date(upload.initiated) };
+        }));
+
+        return uploads.filter(Boolean);
+    };
+
+    // Handle a PUT to a signed URL: a whole object, or one part of a multipart upload
+    const receiveSignedUpload = async (key, params, stream, { contentType, contentLength }) => {
+        if (params.uploadId) {
+            const upload = await readUpload(params.uploadId);
+            if (upload.key !== key) throw new Error('Upload does not belong to this key.');
+
+            const target = partPath(params.uploadId, Number(params.partNumber));
+            const { etag } = await writeStream(target, stream);
+            await fsp.writeFile(`${target}.etag`, etag);
+            return { etag };
+        }
+
+        if (contentType !== params.contentType) throw new Error('Content-Type does not match the signed upload.');
+        if (contentLength !== Number(params.contentLength)) throw new Error('Content-Length does not match the signed upload.');
+
+        const expectedBytes = Number(params.contentLength);
+        const { etag } = await writeStream(objectPath(key), stream, { maxBytes: expectedBytes, expectedBytes });
+        await writeMeta(key, { contentType });
+        return { etag };
+    };
+
+    return {
+        name: 'local',
+        put,
+        get,
+        head,
+        delete: remove,
+        presign,
+        list,
+        createMultipartUpload,
+        presignPart,
+        listParts,
+        completeMultipartUpload,
+        abortMultipartUpload,
+        listMultipartUploads,
+        verifySignedRequest,
+        receiveSignedUpload,
+    };
+};
@@ -0,0 +1,122 @@
+import { execFile } from 'child_process';
+import fs from 'fs';
+import fsp from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { pipeline } from 'stream/promises';
+import { promisify } from 'util';
+
+// Local OCR with the Tesseract CLI. Each page is rasterised (poppler for PDFs, ImageMagick for
+// multi-page TIFFs) and recognised separately so text and confidence are kept per page.
+const execFileAsync = promisify(execFile);
+
+const TESSERACT_COMMAND = process.env.TESSERACT_COMMAND || 'tesseract';
+const PDFTOPPM_COMMAND = process.env.PDFTOPPM_COMMAND || 'pdftoppm';
+const IMAGEMAGICK_COMMAND = process.env.IMAGEMAGICK_COMMAND || 'magick';
+const COMMAND_TIMEOUT_MS = parseInt(process.env.OCR_TIMEOUT_MS) || 5 * 60 * 1000;
+const OCR_DPI = 300;
+
+export const OCR_DEFAULT_LANGUAGE = process.env.OCR_DEFAULT_LANGUAGE || 'eng';
+export const OCR_MAX_PAGES = parseInt(process.env.OCR_MAX_PAGES) || 50;
+
+const SOURCE_TYPES = {
+    pdf: 'pdf',
+    tif: 'tiff',
+    tiff: 'tiff',
+    jpg: 'image',
+    jpeg: 'image',
+    png: 'image',
+};
+
+const run = async (command, args) => {
+    const { stdout } = await execFileAsync(command, args, { timeout: COMMAND_TIMEOUT_MS, maxBuffer: 64 * 1024 * 1024 });
+    return stdout;
+};
+
+const fileExtension = (fileKey) => String(fileKey || '').split('.').pop().toLowerCase();
+
+export const isOcrSupported = (fileKey) => Boolean(SOURCE_TYPES[fileExtension(fileKey)]);
+
+// Tesseract language codes joined with "+", e.g. "eng" or "eng+spa"
+export const isValidOcrLanguage = (language) => /^[a-z_]{3,}(\+[a-z_]{3,})*$/i.test(String(language || ''));
+
+export const listInstalledLanguages = async () => {
+    const output = await run(TESSERACT_COMMAND, ['--list-langs']);
+    return output.split('\n').slice(1).map(line => line.trim()).filter(Boolean).sort();
+};
+
+// Rebuild text from Tesseract TSV (one row per word, grouped by block/paragraph/line) and
+// average the word confidences; returns { text, confidence }
+const parseTsv = (tsv) => {
+    const lines = new Map();
+    const confidences = [];
+
+    tsv.split('\n').slice(1).forEach(row => {
+        const [level, , block, paragraph, line, , , , , , conf, ...words] = row.split('\t');
+        const word = words.join('\t').trim();
+        if (level !== '5' || !word) return;
+
+        const lineKey = `${block}.${paragraph}.${line}`;
+        if (!lines.has(lineKey)) lines.set(lineKey, { paragraph: `${block}.${paragraph}`, words: [] });
+        lines.get(lineKey).words.push(word);
+        if (Number(conf) >= 0) confidences.push(Number(conf));
+    });
+
+    let text = '';
+    let previousParagraph = null;
+    for (const { paragraph, words } of lines.values()) {
+        if (previousParagraph !== null) text += paragraph === previousParagraph ? '\n' : '\n\n';
+        text += words.join(' ');
+        previousParagraph = paragraph;
+    }
+
+    const confidence = confidences.length
+        ? Math.round((confidences.reduce((sum, value) => sum + value, 0) / confidences.length) * 100) / 100
+        : null;
+
+    return { text, confidence };
+};
+
+const rasterisePages = async (source, sourceType, outDir) => {
+    if (sourceType === 'image') return [source];
+
+    if (sourceType === 'pdf') {
+        await run(PDFTOPPM_COMMAND, ['-png', '-r', String(OCR_DPI), '-f', '1', '-l', String(OCR_MAX_PAGES), source, path.join(outDir, 'page')]);
+    } else {
+        await run(IMAGEMAGICK_COMMAND, [`${source}[0-${OCR_MAX_PAGES - 1}]`, '-scene', '1', path.join(outDir, 'page-%03d.png')]);
+    }
+
+    return (await fsp.readdir(outDir))
+        .filter(name => /^page-\d+\.png$/.test(name))
+        .sort((a, b) => parseInt(a.slice(5)) - parseInt(b.slice(5)))
+        .map(name => path.join(outDir, name));
+};
+
+// OCR a stored file given its body stream.
+// Returns [{ pageNumber, text, confidence }] for up to OCR_MAX_PAGES pages.
+export const recognizeDocument = async (fileKey, body, { language = OCR_DEFAULT_LANGUAGE } = {}) => {
+    const sourceType = SOURCE_TYPES[fileExtension(fileKey)];
+    if (!sourceType) throw new Error(`OCR is not supported for ${fileKey}.`);
+    if (!isValidOcrLanguage(language)) throw new Error(`Invalid OCR language: ${language}`);
+
+    const workDir = await fsp.mkdtemp(path.join(os.tmpdir(), 'ocr-'));
+    try {
+        const source = path.join(workDir, `source.${fileExtension(fileKey)}`);
+        const outDir = path.join(workDir, 'pages');
+        await fsp.mkdir(outDir);
+        await pipeline(body, fs.createWriteStream(source));
+
+        const pageImages = await rasterisePages(source, sourceType, outDir);
+        if (!pageImages.length) throw new Error('No pages could be rendered for OCR.');
+
+        const pages = [];
+        for (const [index, image] of pageImages.entries()) {
+            const tsv = await run(TESSERACT_COMMAND, [image, 'stdout', '-l', language, 'tsv']);
+            pages.push({ pageNumber: index + 1, ...parseTsv(tsv) });
+        }
+
+        return pages;
+    } finally {
+        await fsp.rm(workDir, { recursive: true, force: true });
+    }
+};
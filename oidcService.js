@@ -0,0 +1,152 @@
+import crypto from 'crypto';
+import jwt from 'jsonwebtoken';
+
+// OpenID Connect relying-party helpers: discovery, PKCE, code exchange and ID token validation.
+const METADATA_TTL_MS = 60 * 60 * 1000;
+const ID_TOKEN_ALGORITHMS = ['RS256', 'RS384', 'RS512', 'PS256', 'PS384', 'PS512', 'ES256', 'ES384', 'ES512'];
+const LOCAL_HOSTS = ['localhost', '127.0.0.1', '::1', '[::1]'];
+
+const metadataCache = new Map();
+const jwksCache = new Map();
+
+const encryptionKey = () => crypto
+    .createHash('sha256')
+    .update(process.env.SSO_ENCRYPTION_KEY || process.env.JWT_SECRET || '')
+    .digest();
+
+const fetchJson = async (url, options) => {
+    const response = await fetch(url, options);
+    const body = await response.json().catch(() => null);
+
+    if (!response.ok || !body) {
+        const reason = body?.error_description || body?.error || response.statusText;
+        throw new Error(`OIDC request to ${url} failed (${response.status}): ${reason}`);
+    }
+
+    return body;
+};
+
+// Issuers must use https; plain http is only accepted for a local (mock) issuer
+export const validateIssuerUrl = (issuer) => {
+    let url;
+    try {
+        url = new URL(issuer);
+    } catch (err) {
+        return 'issuer must be a valid URL.';
+    }
+
+    if (url.protocol === 'https:') return null;
+    if (url.protocol === 'http:' && LOCAL_HOSTS.includes(url.hostname)) return null;
+    return 'issuer must use https.';
+};
+
+export const discoverIssuer = async (issuer) => {
+    const normalized = issuer.replace(/\/+$/, '');
+    const cached = metadataCache.get(normalized);
+    if (cached && cached.expiresAt > Date.now()) return cached.metadata;
+
+    const metadata = await fetchJson(`${normalized}/.well-known/openid-configuration`);
+    if (metadata.issuer?.replace(/\/+$/, '') !== normalized) {
+        throw new Error(`Issuer mismatch: discovery document is for ${metadata.issuer}.`);
+    }
+    if (!metadata.authorization_endpoint || !metadata.token_endpoint || !metadata.jwks_uri) {
+        throw new Error('Discovery document is missing authorization, token or JWKS endpoints.');
+    }
+
+    metadataCache.set(normalized, { metadata, expiresAt: Date.now() + METADATA_TTL_MS });
+    return metadata;
+};
+
+const fetchSigningKey = async (jwksUri, kid, { refresh = false } = {}) => {
+    let keys = !refresh && jwksCache.get(jwksUri);
+    if (!keys || keys.expiresAt <= Date.now()) {
+        const { keys: jwks = [] } = await fetchJson(jwksUri);
+        keys = { jwks, expiresAt: Date.now() + METADATA_TTL_MS };
+        jwksCache.set(jwksUri, keys);
+    }
+
+    const jwk = keys.jwks.find(key => (!kid || key.kid === kid) && (!key.use || key.use === 'sig'));
+    if (jwk) return crypto.createPublicKey({ key: jwk, format: 'jwk' });
+
+    // The provider may have rotated its keys since we cached them
+    return refresh ? null : fetchSigningKey(jwksUri, kid, { refresh: true });
+};
+
+export const createPkcePair = () => {
+    const verifier = crypto.randomBytes(32).toString('base64url');
+    const challenge = crypto.createHash('sha256').update(verifier).digest('base64url');
+    return { verifier, challenge };
+};
+
+export const buildAuthorizationUrl = (metadata, { clientId, redirectUri, scopes, state, nonce, codeChallenge }) => {
+    const url = new URL(metadata.authorization_endpoint);
+    url.search = new URLSearchParams({
+        response_type: 'code',
+        client_id: clientId,
+        redirect_uri: redirectUri,
+        scope: scopes,
+        state,
+        nonce,
+        code_challenge: codeChallenge,
+        code_challenge_method: 'S256',
+    }).toString();
+
+    return url.toString();
+};
+
+export const exchangeAuthorizationCode = (metadata, { clientId, clientSecret, code, redirectUri, codeVerifier }) =>
+    fetchJson(metadata.token_endpoint, {
+        method: 'POST',
+        headers: {
+            'Content-Type': 'application/x-www-form-urlencoded',
+            Authorization: `Basic ${Buffer.from(`${encodeURIComponent(clientId)}:${encodeURIComponent(clientSecret)}`).toString('base64')}`,
+        },
+        body: new URLSearchParams({
+            grant_type: 'authorization_code',
+            code,
+            redirect_uri: redirectUri,
+            code_verifier: codeVerifier,
+        }),
+    });
+
+// Verify signature, issuer, audience, expiry and nonce; returns the ID token claims
+export const verifyIdToken = async (metadata, idToken, { clientId, nonce }) => {
+    const decoded = jwt.decode(idToken, { complete: true });
+    if (!decoded) throw new Error('ID token is not a valid JWT.');
+
+    const key = await fetchSigningKey(metadata.jwks_uri, decoded.header.kid);
+    if (!key) throw new Error('No matching signing key for the ID token.');
+
+    const claims = jwt.verify(idToken, key, {
+        algorithms: ID_TOKEN_ALGORITHMS,
+        issuer: metadata.issuer,
+        audience: clientId,
+        clockTolerance: 60,
+    });
+
+    if (claims.nonce !== nonce) throw new Error('ID token nonce does not match the login request.');
+    return claims;
+};
+
+// Read a claim by dotted path (e.g. "realm_access.roles"); arrays are returned as-is
+export const readClaim = (claims, path) => String(path || '')
+    .split('.')
+    .filter(Boolean)
+    .reduce((value, segment) => (value == null ? undefined : value[segment]), claims);
+
+// Client secrets are stored encrypted (AES-256-GCM) as iv.tag.ciphertext
+export const encryptClientSecret = (secret) => {
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv('aes-256-gcm', encryptionKey(), iv);
+    const encrypted = Buffer.concat([cipher.update(secret, 'utf8'), cipher.final()]);
+
+    return [iv, cipher.getAuthTag(), encrypted].map(part => part.toString('base64')).join('.');
+};
+
+export const decryptClientSecret = (payload) => {
+    const [iv, tag, encrypted] = String(payload || '').split('.').map(part => Buffer.from(part, 'base64'));
+    const decipher = crypto.createDecipheriv('aes-256-gcm', encryptionKey(), iv);
+    decipher.setAuthTag(tag);
+
+    return Buffer.concat([decipher.update(encrypted), decipher.final()]).toString('utf8');
+};
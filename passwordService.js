@@ -0,0 +1,92 @@
+import crypto from 'crypto';
+import { promisify } from 'util';
+
+const scrypt = promisify(crypto.scrypt);
+
+// scrypt parameters for newly hashed passwords. Stored hashes carry their own
+// parameters, so raising these later only affects rehashing on next login.
+const HASH_SCHEME = 'scrypt';
+const COST = 32768;
+const BLOCK_SIZE = 8;
+const PARALLELIZATION = 1;
+const KEY_LENGTH = 64;
+const SALT_LENGTH = 16;
+const MAX_MEMORY = 64 * 1024 * 1024;
+
+// Columns that hold password material and must never leave the API
+const PASSWORD_FIELDS = ['password', 'password_hash'];
+
+export const isPasswordHash = (stored) =>
+    typeof stored === 'string' && stored.startsWith(`${HASH_SCHEME}$`);
+
+export const hashPassword = async (password) => {
+    if (typeof password !== 'string' || !password) {
+        throw new Error('Password must be a non-empty string.');
+    }
+
+    const salt = crypto.randomBytes(SALT_LENGTH);
+    const key = await scrypt(password, salt, KEY_LENGTH, {
+        N: COST,
+        r: BLOCK_SIZE,
+        p: PARALLELIZATION,
+        maxmem: MAX_MEMORY,
+    });
+
+    // Format: scrypt$N$r$p$salt$hash
+    return [
+        HASH_SCHEME,
+        COST,
+        BLOCK_SIZE,
+        PARALLELIZATION,
+        salt.toString('base64'),
+        key.toString('base64'),
+    ].join('$');
+};
+
+const safeEqual = (a, b) => {
+    // Compare digests so differing lengths don't short-circuit the comparison
+    const digestA = crypto.createHash('sha256').update(a).digest();
+    const digestB = crypto.createHash('sha256').update(b).digest();
+    return crypto.timingSafeEqual(digestA, digestB);
+};
+
+export const verifyPassword = async (password, stored) => {
+    if (typeof password !== 'string' || !password || typeof stored !== 'string' || !stored) {
+        return false;
+    }
+
+    // Legacy rows still hold the plaintext password
+    if (!isPasswordHash(stored)) return safeEqual(password, stored);
+
+    const [, cost, blockSize, parallelization, salt, hash] = stored.split('$');
+    if (!salt || !hash) return false;
+
+    const expected = Buffer.from(hash, 'base64');
+    const key = await scrypt(password, Buffer.from(salt, 'base64'), expected.length, {
+        N: Number(cost),
+        r: Number(blockSize),
+        p: Number(parallelization),
+        maxmem: MAX_MEMORY,
+    });
+
+    return crypto.timingSafeEqual(key, expected);
+};
+
+export const needsRehash = (stored) => {
+    if (!isPasswordHash(stored)) return true;
+
+    const [, cost, blockSize, parallelization] = stored.split('$');
+    return Number(cost) !== COST
+        || Number(blockSize) !== BLOCK_SIZE
+        || Number(parallelization) !== PARALLELIZATION;
+};
+
+// Remove password columns from a row (or array of rows) before it is returned
+export const omitPasswordFields = (rows) => {
+    if (Array.isArray(rows)) return rows.map(omitPasswordFields);
+    if (!rows || typeof rows !== 'object') return rows;
+
+    const sanitized = { ...rows };
+    PASSWORD_FIELDS.forEach(field => delete sanitized[field]);
+    return sanitized;
+};
@@ -0,0 +1,231 @@
+// Central permission matrix: action -> roles allowed by default.
+// Companies can replace the role list for any action via companies.permission_overrides,
+// e.g. { "documents:publish": ["owner", "qa"] }.
+
+export const ROLES = ['owner', 'manager', 'qa', 'indexer', 'scanner', 'client'];
+
+export const PERMISSIONS = {
+    'documents:list': {
+        roles: ['owner', 'manager', 'qa', 'indexer', 'scanner', 'client'],
+        description: 'view documents',
+    },
+    'documents:edit': {
+        roles: ['owner', 'manager', 'qa', 'indexer', 'scanner'],
+        description: 'edit documents',
+    },
+    'documents:submit': {
+        roles: ['owner', 'manager', 'indexer', 'scanner'],
+        description: 'save drafts and submit documents for review',
+    },
+    'documents:reject': {
+        roles: ['owner', 'manager', 'qa'],
+        description: 'reject documents',
+    },
+    'documents:view-deleted': {
+        roles: ['owner', 'manager', 'qa'],
+        description: 'view deleted documents',
+    },
+    'documents:delete': {
+        roles: ['owner', 'manager', 'qa'],
+        description: 'delete documents',
+    },
+    'documents:restore': {
+        roles: ['owner', 'manager', 'qa'],
+        description: 'restore documents',
+    },
+    'documents:delete-permanent': {
+        roles: ['owner', 'manager', 'qa'],
+        description: 'permanently delete documents',
+    },
+    'documents:publish': {
+        roles: ['owner', 'manager', 'qa'],
+        // Staff users flagged with allow_to_publish may publish regardless of role
+        userFlag: 'allow_to_publish',
+        description: 'publish documents',
+    },
+    'documents:save-review': {
+        roles: ['qa'],
+        description: 'save review drafts',
+    },
+    'documents:mark-incomplete': {
+        roles: ['owner'],
+        description: 'mark documents as incomplete',
+    },
+    'documents:run-ocr': {
+        roles: ['owner'],
+        description: 're-run OCR on documents',
+    },
+    'document-tags:migrate': {
+        roles: ['owner'],
+        description: 'migrate documents to a new tag schema',
+    },
+    'saved-searches:pin': {
+        roles: ['owner'],
+        description: 'pin saved searches for roles',
+    },
+    'reports:user-activity': {
+        roles: ['owner', 'manager'],
+        description: 'view activity reports',
+    },
+    'users:manage': {
+        roles: ['owner', 'manager'],
+        description: 'manage users',
+    },
+    'invitations:manage': {
+        roles: ['owner', 'manager'],
+        description: 'manage invitations',
+    },
+    'users:view-details': {
+        roles: ['owner', 'manager'],
+        description: 'view user details',
+    },
+    'company:manage': {
+        roles: ['owner'],
+        description: 'manage company settings',
+    },
+    'security:manage-two-factor-policy': {
+        roles: ['owner'],
+        description: 'manage the two-factor policy',
+    },
+    'permissions:manage': {
+        roles: ['owner'],
+        description: 'manage permissions',
+    },
+    'api-keys:manage': {
+        roles: ['owner'],
+        description: 'manage API keys',
+    },
+    'sso:manage': {
+        roles: ['owner'],
+        description: 'manage single sign-on',
+    },
+    'audit-log:view': {
+        roles: ['owner'],
+        description: 'view the audit log',
+    },
+};
+
+// API keys don't have a role; each scope grants a fixed set of routes (`METHOD /express/path`).
+// Routes not listed under any of a key's scopes are rejected, so new endpoints are closed by default.
+export const API_KEY_SCOPES = {
+    'documents:read': {
+        description: 'List and read documents, tags and download links',
+        routes: [
+            'GET /documents',
+            'GET /documents/search',
+            'GET /documents/:id',
+            'GET /documents/:id/ocr',
+            'GET /document-tags',
+            'GET /get-document-tags',
+            'GET /get-shared-url/:document_id',
+            'GET /download-document/:document_id',
+        ],
+    },
+    'documents:write': {
+        description: 'Upload files and create or update documents',
+        routes: [
+            'POST /upload',
+            'POST /uploads/presign',
+            'POST /uploads/:id/complete',
+            'POST /uploads/multipart',
+            'POST /uploads/:id/parts',
+            'GET /uploads/:id/parts',
+            'DELETE /uploads/:id',
+            'POST /documents',
+            'PUT /documents/:id',
+        ],
+    },
+    'invoices:read': {
+        description: 'Read company invoices',
+        routes: [
+            'GET /invoices',
+        ],
+    },
+};
+
+export const isApiKeyRouteAllowed = (scopes, method, routePath) => {
+    const route = `${method.toUpperCase()} ${routePath}`;
+    return (scopes || []).some(scope => API_KEY_SCOPES[scope]?.routes.includes(route));
+};
+
+// Routes an admin may not call while impersonating someone: irreversible deletes, billing
+// submissions and anything that changes the impersonated account's credentials or security.
+export const IMPERSONATION_BLOCKED_ROUTES = [
+    'DELETE /documents/:id/permanent',
+    'DELETE /users/:id',
+    'DELETE /clients/:id',
+    'DELETE /notaries/:id',
+    'DELETE /document-tags/:id',
+    'DELETE /delete-document-tag/:id',
+    'DELETE /delete-folder/:id',
+    'POST /document-tags/:id/migrate',
+    'PUT /invoices/:id/submit',
+    'POST /submit-all-companies',
+    'POST /custom-invoice',
+    'PUT /custom-invoice/:id',
+    'PUT /get-profile',
+    'POST /logout-all',
+    'POST /two-factor/setup',
+    'POST /two-factor/enable',
+    'POST /two-factor/disable',
+    'POST /two-factor/recovery-codes',
+    'PUT /two-factor/policy',
+    'PUT /permissions/overrides',
+    'POST /api-keys',
+    'POST /api-keys/:id/rotate',
+    'DELETE /api-keys/:id',
+    'PUT /sso/config',
+    'DELETE /sso/config',
+    'POST /sso/link',
+];
+
+export const isBlockedDuringImpersonation = (method, routePath) =>
+    IMPERSONATION_BLOCKED_ROUTES.includes(`${method.toUpperCase()} ${routePath}`);
+
+// Validate a scopes payload; returns a list of problems (empty when valid)
+export const validateApiKeyScopes = (scopes) => {
+    if (!Array.isArray(scopes) || !scopes.length) {
+        return ['scopes must be a non-empty array.'];
+    }
+
+    const unknownScopes = scopes.filter(scope => !API_KEY_SCOPES[scope]);
+    return unknownScopes.length ? [`Unknown scopes: ${unknownScopes.join(', ')}`] : [];
+};
+
+// Merge company overrides over the defaults, ignoring unknown actions and roles
+export const resolvePermissionMatrix = (overrides = {}) => {
+    const matrix = {};
+
+    Object.entries(PERMISSIONS).forEach(([action, definition]) => {
+        const override = overrides?.[action];
+        matrix[action] = Array.isArray(override)
+            ? override.map(role => String(role).toLowerCase()).filter(role => ROLES.includes(role))
+            : [...definition.roles];
+    });
+
+    return matrix;
+};
+
+export const isRoleAllowed = (matrix, role, action) =>
+    Boolean(matrix[action]?.includes(String(role || '').toLowerCase()));
+
+// Validate an overrides payload; returns a list of problems (empty when valid)
+export const validatePermissionOverrides = (overrides) => {
+    if (!overrides || typeof overrides !== 'object' || Array.isArray(overrides)) {
+        return ['overrides must be an object mapping actions to role arrays.'];
+    }
+
+    const errors = [];
+    Object.entries(overrides).forEach(([action, roles]) => {
+        if (!PERMISSIONS[action]) {
+            errors.push(`Unknown action: ${action}`);
+        } else if (!Array.isArray(roles)) {
+            errors.push(`Roles for ${action} must be an array.`);
+        } else {
+            const unknownRoles = roles.filter(role => !ROLES.includes(String(role).toLowerCase()));
+            if (unknownRoles.length) errors.push(`Unknown roles for ${action}: ${unknownRoles.join(', ')}`);
+        }
+    });
+
+    return errors;
+};
@@ -0,0 +1,116 @@
+import { execFile } from 'child_process';
+import fs from 'fs';
+import fsp from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { pipeline } from 'stream/promises';
+import { promisify } from 'util';
+
+// Renders a first-page thumbnail and a few page images for stored scans.
+// PDFs go through poppler (pdfinfo / pdftoppm); TIFFs and photos through ImageMagick.
+const execFileAsync = promisify(execFile);
+
+const PDFTOPPM_COMMAND = process.env.PDFTOPPM_COMMAND || 'pdftoppm';
+const PDFINFO_COMMAND = process.env.PDFINFO_COMMAND || 'pdfinfo';
+const IMAGEMAGICK_COMMAND = process.env.IMAGEMAGICK_COMMAND || 'magick';
+const COMMAND_TIMEOUT_MS = parseInt(process.env.PREVIEW_TIMEOUT_MS) || 60000;
+
+export const PREVIEW_PREFIX = 'previews/';
+export const PREVIEW_THUMBNAIL_WIDTH = 320;
+export const PREVIEW_PAGE_WIDTH = 1024;
+export const PREVIEW_MAX_PAGES = parseInt(process.env.PREVIEW_MAX_PAGES) || 5;
+
+const RENDERERS = {
+    pdf: 'pdf',
+    tif: 'image',
+    tiff: 'image',
+    jpg: 'image',
+    jpeg: 'image',
+    png: 'image',
+};
+
+const run = async (command, args) => {
+    const { stdout } = await execFileAsync(command, args, { timeout: COMMAND_TIMEOUT_MS, maxBuffer: 1024 * 1024 });
+    return stdout;
+};
+
+const fileExtension = (fileKey) => String(fileKey || '').split('.').pop().toLowerCase();
+
+export const isPreviewable = (fileKey) => Boolean(RENDERERS[fileExtension(fileKey)]);
+
+// Derived objects live next to each other under previews/<source key without extension>/
+export const previewKeysFor = (fileKey, pageCount) => {
+    const base = `${PREVIEW_PREFIX}${fileKey.replace(/\.[^./]+$/, '')}`;
+    return {
+        thumbnail: `${base}/thumbnail.png`,
+        pages: Array.from({ length: pageCount }, (_, index) => `${base}/page-${String(index + 1).padStart(3, '0')}.png`),
+    };
+};
+
+const renderPdf = async (source, outDir, maxPages) => {
+    const info = await run(PDFINFO_COMMAND, [source]);
+    const pageCount = parseInt(info.match(/^Pages:\s+(\d+)/m)?.[1]) || 0;
+    if (!pageCount) throw new Error('Could not read the PDF page count.');
+
+    await run(PDFTOPPM_COMMAND, [
+        '-png', '-singlefile', '-f', '1', '-l', '1',
+        '-scale-to-x', String(PREVIEW_THUMBNAIL_WIDTH), '-scale-to-y', '-1',
+        source, path.join(outDir, 'thumbnail'),
+    ]);
+    await run(PDFTOPPM_COMMAND, [
+        '-png', '-f', '1', '-l', String(Math.min(pageCount, maxPages)),
+        '-scale-to-x', String(PREVIEW_PAGE_WIDTH), '-scale-to-y', '-1',
+        source, path.join(outDir, 'page'),
+    ]);
+
+    return pageCount;
+};
+
+const renderImage = async (source, outDir, maxPages) => {
+    // %n is the frame count, printed once per frame; multi-page TIFFs have one frame per page
+    const identify = await run(IMAGEMAGICK_COMMAND, ['identify', '-format', '%n\n', source]);
+    const pageCount = parseInt(identify.split('\n')[0]) || 1;
+    const lastPage = Math.min(pageCount, maxPages) - 1;
+
+    await run(IMAGEMAGICK_COMMAND, [
+        `${source}[0]`, '-auto-orient', '-thumbnail', `${PREVIEW_THUMBNAIL_WIDTH}x`, path.join(outDir, 'thumbnail.png'),
+    ]);
+    await run(IMAGEMAGICK_COMMAND, [
+        `${source}[0-${lastPage}]`, '-auto-orient', '-thumbnail', `${PREVIEW_PAGE_WIDTH}x>`, '-scene', '1',
+        path.join(outDir, 'page-%03d.png'),
+    ]);
+
+    return pageCount;
+};
+
+// Render previews for a stored file given its body stream.
+// Returns { pageCount, thumbnail: Buffer, pages: [Buffer] }; page images are capped at maxPages.
+export const renderPreviews = async (fileKey, body, { maxPages = PREVIEW_MAX_PAGES } = {}) => {
+    const renderer = RENDERERS[fileExtension(fileKey)];
+    if (!renderer) throw new Error(`No preview renderer for ${fileKey}.`);
+
+    const workDir = await fsp.mkdtemp(path.join(os.tmpdir(), 'preview-'));
+    try {
+        const source = path.join(workDir, `source.${fileExtension(fileKey)}`);
+        const outDir = path.join(workDir, 'out');
+        await fsp.mkdir(outDir);
+        await pipeline(body, fs.createWriteStream(source));
+
+        const pageCount = renderer === 'pdf'
+            ? await renderPdf(source, outDir, maxPages)
+            : await renderImage(source, outDir, maxPages);
+
+        // pdftoppm pads page numbers to the width of the page count, so sort numerically
+        const pageFiles = (await fsp.readdir(outDir))
+            .filter(name => /^page-\d+\.png$/.test(name))
+            .sort((a, b) => parseInt(a.slice(5)) - parseInt(b.slice(5)));
+
+        return {
+            pageCount,
+            thumbnail: await fsp.readFile(path.join(outDir, 'thumbnail.png')),
+            pages: await Promise.all(pageFiles.map(name => fsp.readFile(path.join(outDir, name)))),
+        };
+    } finally {
+        await fsp.rm(workDir, { recursive: true, force: true });
+    }
+};
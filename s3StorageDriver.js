@@ -0,0 +1,230 @@
+import {
+    S3Client,
+    PutObjectCommand,
+    GetObjectCommand,
+    HeadObjectCommand,
+    DeleteObjectCommand,
+    ListObjectsV2Command,
+    CreateMultipartUploadCommand,
+    UploadPartCommand,
+    ListPartsCommand,
+    CompleteMultipartUploadCommand,
+    AbortMultipartUploadCommand,
+    ListMultipartUploadsCommand,
+} from '@aws-sdk/client-s3';
+import { getSignedUrl } from '@aws-sdk/s3-request-presigner';
+
+// Storage driver for AWS S3 and S3-compatible services (MinIO, Ceph, R2...).
+// S3-compatible endpoints usually need path-style addressing (`endpoint/bucket/key`).
+export const createS3StorageDriver = ({ region, accessKeyId, secretAccessKey, bucket, endpoint, forcePathStyle = false }) => {
+    if (!region || !accessKeyId || !secretAccessKey || !bucket) {
+        console.error('AWS configuration is missing. Please check your environment variables.');
+    }
+
+    const s3Client = new S3Client({
+        region,
+        endpoint: endpoint || undefined,
+        forcePathStyle,
+        credentials: {
+            accessKeyId,
+            secretAccessKey,
+        },
+        // Presigned PUTs can't carry a checksum of a body the server never sees
+        requestChecksumCalculation: 'WHEN_REQUIRED',
+    });
+
+    const put = async (key, body, { contentType } = {}) => {
+        await s3Client.send(new PutObjectCommand({
+            Bucket: bucket,
+            Key: key,
+            Body: body,
+            ContentType: contentType,
+        }));
+    };
+
+    const get = async (key) => {
+        const response = await s3Client.send(new GetObjectCommand({
+            Bucket: bucket,
+            Key: key,
+        }));
+
+        return {
+            body: response.Body,
+            contentType: response.ContentType,
+            size: response.ContentLength,
+        };
+    };
+
+    // Size and content type of a stored object, or null when it doesn't exist
+    const head = async (key) => {
+        try {
+            const response = await s3Client.send(new HeadObjectCommand({
+                Bucket: bucket,
+                Key: key,
+            }));
+
+            return {
+                size: response.ContentLength,
+                contentType: response.ContentType,
+                lastModified: response.LastModified,
+            };
+        } catch (error) {
+            if (error.name === 'NotFound' || error.$metadata?.httpStatusCode === 404) return null;
+            throw error;
+        }
+    };
+
+    const remove = async (key) => {
+        await s3Client.send(new DeleteObjectCommand({
+            Bucket: bucket,
+            Key: key,
+        }));
+    };
+
+    // GET URLs for downloads; PUT URLs sign Content-Type and Content-Length so S3 rejects
+    // an upload that doesn't match what was declared
+    const presign = (key, { method = 'GET', expiresIn = 3600, contentType, contentLength } = {}) => {
+        if (method === 'PUT') {
+            const command = new PutObjectCommand({
+                Bucket: bucket,
+                Key: key,
+                ContentType: contentType,
+                ContentLength: contentLength,
+            });
+
+            return getSignedUrl(s3Client, command, {
+                expiresIn,
+                signableHeaders: new Set(['content-type', 'content-length']),
+            });
+        }
+
+        return getSignedUrl(s3Client, new GetObjectCommand({ Bucket: bucket, Key: key }), { expiresIn });
+    };
+
+    const list = async (prefix = '') => {
+        const objects = [];
+        let continuationToken;
+
+        do {
+            const response = await s3Client.send(new ListObjectsV2Command({
+                Bucket: bucket,
+                Prefix: prefix || undefined,
+                ContinuationToken: continuationToken,
+            }));
+
+            (response.Contents || []).forEach(object => objects.push({
+                key: object.Key,
+                size: object.Size,
+                lastModified: object.LastModified,
+            }));
+            continuationToken = response.IsTruncated ? response.NextContinuationToken : undefined;
+        } while (continuationToken);
+
+        return objects;
+    };
+
+    // Multipart uploads for large scans: the browser PUTs each part to its own presigned URL
+    const createMultipartUpload = async (key, contentType) => {
+        const response = await s3Client.send(new CreateMultipartUploadCommand({
+            Bucket: bucket,
+            Key: key,
+            ContentType: contentType,
+        }));
+
+        return response.UploadId;
+    };
+
+    const presignPart = (key, uploadId, partNumber, expiresIn = 3600) => {
+        const command = new UploadPartCommand({
+            Bucket: bucket,
+            Key: key,
+            UploadId: uploadId,
+            PartNumber: partNumber,
+        });
+
+        return getSignedUrl(s3Client, command, { expiresIn });
+    };
+
+    // Parts S3 already has, so an interrupted upload can resume where it stopped
+    const listParts = async (key, uploadId) => {
+        const parts = [];
+        let marker;
+
+        do {
+            const response = await s3Client.send(new ListPartsCommand({
+                Bucket: bucket,
+                Key: key,
+                UploadId: uploadId,
+                PartNumberMarker: marker,
+            }));
+
+            (response.Parts || []).forEach(part => parts.push({
+                partNumber: part.PartNumber,
+                etag: part.ETag,
+                size: part.Size,
+            }));
+            marker = response.IsTruncated ? response.NextPartNumberMarker : undefined;
+        } while (marker);
+
+        return parts;
+    };
+
+    const completeMultipartUpload = (key, uploadId, parts) => s3Client.send(new CompleteMultipartUploadCommand({
+        Bucket: bucket,
+        Key: key,
+        UploadId: uploadId,
+        MultipartUpload: {
+            Parts: parts
+                .map(part => ({ PartNumber: part.partNumber, ETag: part.etag }))
+                .sort((a, b) => a.PartNumber - b.PartNumber),
+        },
+    }));
+
+    const abortMultipartUpload = (key, uploadId) => s3Client.send(new AbortMultipartUploadCommand({
+        Bucket: bucket,
+        Key: key,
+        UploadId: uploadId,
+    }));
+
+    // Every multipart upload S3 still holds open, with when it was started
+    const listMultipartUploads = async () => {
+        const uploads = [];
+        let keyMarker;
+        let uploadIdMarker;
+
+        do {
+            const response = await s3Client.send(new ListMultipartUploadsCommand({
+                Bucket: bucket,
+                KeyMarker: keyMarker,
+                UploadIdMarker: uploadIdMarker,
+            }));
+
+            (response.Uploads || []).forEach(upload => uploads.push({
+                fileKey: upload.Key,
+                uploadId: upload.UploadId,
+                initiated: upload.Initiated,
+            }));
+
+            keyMarker = response.IsTruncated ? response.NextKeyMarker : undefined;
+            uploadIdMarker = response.IsTruncated ? response.NextUploadIdMarker : undefined;
+        } while (keyMarker);
+
+        return uploads;
+    };
+
+    return {
+        name: endpoint ? 's3-compatible' : 's3',
+        put,
+        get,
+        head,
+        delete: remove,
+        presign,
+        list,
+        createMultipartUpload,
+        presignPart,
+        listParts,
+        completeMultipartUpload,
+        abortMultipartUpload,
+        listMultipartUploads,
+    };
+};
@@ -0,0 +1,71 @@
+// Full-text search helpers: turn what a user types into a safe Postgres tsquery and render
+// highlighted snippets. The search itself runs in the search_documents() SQL function.
+
+// Search runs on the language-neutral 'simple' configuration because archives hold documents
+// in several languages (see companies.ocr_language); prefix queries make up for the lack of stemming.
+export const SEARCH_CONFIG = 'simple';
+
+const MAX_QUERY_LENGTH = 256;
+const MAX_QUERY_TERMS = 32;
+
+// Markers search_documents() wraps around matches; they can't occur in stored text
+const HIGHLIGHT_START = '\u0001';
+const HIGHLIGHT_STOP = '\u0002';
+
+// Only letters and digits reach the tsquery; everything else separates words
+const toLexemes = (text) => String(text).toLowerCase().match(/[\p{L}\p{N}]+/gu) || [];
+
+const phrase = (lexemes) => (lexemes.length > 1 ? `(${lexemes.join(' <-> ')})` : lexemes[0]);
+
+// Parse a search box query into a to_tsquery() string, or null when nothing searchable is left.
+//   deed smith        both words            "john smith"   exact phrase
+//   reg*              prefix                -draft         exclude
+//   deed OR will      either
+export const parseSearchQuery = (input) => {
+    const source = String(input || '').slice(0, MAX_QUERY_LENGTH);
+    const tokens = source.match(/-?"[^"]*"?|\S+/g) || [];
+    const clauses = [];
+    let pendingOr = false;
+
+    for (const token of tokens.slice(0, MAX_QUERY_TERMS)) {
+        if (token === 'OR') {
+            pendingOr = clauses.length > 0;
+            continue;
+        }
+
+        const negated = token.length > 1 && token.startsWith('-');
+        const body = negated ? token.slice(1) : token;
+        const quoted = body.startsWith('"');
+        const prefix = !quoted && body.endsWith('*');
+        const lexemes = toLexemes(quoted ? body.replace(/"/g, '') : body);
+        if (!lexemes.length) continue;
+
+        if (prefix) lexemes[lexemes.length - 1] += ':*';
+        const term = negated ? `!${phrase(lexemes)}` : phrase(lexemes);
+
+        if (pendingOr) {
+            clauses[clauses.length - 1] = `${clauses[clauses.length - 1]} | ${term}`;
+        } else {
+            clauses.push(term);
+        }
+        pendingOr = false;
+    }
+
+    if (!clauses.length) return null;
+    return clauses.map(clause => (clause.includes(' | ') ? `(${clause})` : clause)).join(' & ');
+};
+
+export const escapeHtml = (text) => String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+
+// Escape a ts_headline() result and turn the match markers into <mark> tags
+export const formatHighlight = (text) => {
+    if (!text) return null;
+    return escapeHtml(text)
+        .split(HIGHLIGHT_START).join('<mark>')
+        .split(HIGHLIGHT_STOP).join('</mark>');
+};
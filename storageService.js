@@ -0,0 +1,97 @@
+import { v4 as uuidv4 } from 'uuid';
+import dotenv from 'dotenv';
+import { createS3StorageDriver } from './s3StorageDriver.js';
+import { createLocalStorageDriver } from './localStorageDriver.js';
+
+dotenv.config();
+
+// Every driver implements the same interface:
+//   put(key, body, { contentType })      get(key) -> { body, contentType, size }
+//   head(key) -> { size, contentType, lastModified } | null
+//   delete(key)                          list(prefix) -> [{ key, size, lastModified }]
+//   presign(key, { method: 'GET' | 'PUT', expiresIn, contentType, contentLength })
+// plus the multipart calls used for resumable uploads.
+//
+// STORAGE_DRIVER picks the backend per deployment: s3 (default), s3-compatible or local.
+const createStorageDriver = () => {
+    const driver = (process.env.STORAGE_DRIVER || 's3').toLowerCase();
+
+    if (driver === 'local') {
+        return createLocalStorageDriver({
+            root: process.env.LOCAL_STORAGE_ROOT || './storage',
+            baseUrl: process.env.LOCAL_STORAGE_BASE_URL,
+            signingSecret: process.env.STORAGE_SIGNING_SECRET || process.env.JWT_SECRET,
+        });
+    }
+
+    if (driver === 's3-compatible') {
+        return createS3StorageDriver({
+            region: process.env.S3_REGION || process.env.AWS_REGION || 'us-east-1',
+            accessKeyId: process.env.S3_ACCESS_KEY_ID || process.env.AWS_ACCESS_KEY_ID,
+            secretAccessKey: process.env.S3_SECRET_ACCESS_KEY || process.env.AWS_SECRET_ACCESS_KEY,
+            bucket: process.env.S3_BUCKET || process.env.AWS_BUCKET,
+            endpoint: process.env.S3_ENDPOINT,
+            forcePathStyle: process.env.S3_FORCE_PATH_STYLE !== 'false',
+        });
+    }
+
+    return createS3StorageDriver({
+        region: process.env.AWS_REGION,
+        accessKeyId: process.env.AWS_ACCESS_KEY_ID,
+        secretAccessKey: process.env.AWS_SECRET_ACCESS_KEY,
+        bucket: process.env.AWS_BUCKET,
+    });
+};
+
+export const storage = createStorageDriver();
+
+// Object keys are `<folder>/<uuid>.<ext>`; the original name is never used as the key
+export const buildFileKey = (originalName, folder = 'uploads') => {
+    const fileExtension = String(originalName || '').split('.').pop().toLowerCase().replace(/[^a-z0-9]/g, '') || 'bin';
+    return `${folder}/${uuidv4()}.${fileExtension}`;
+};
+
+export const uploadFile = async (file, folder = 'uploads') => {
+    const fileName = buildFileKey(file.originalname, folder);
+    await storage.put(fileName, file.buffer, { contentType: file.mimetype });
+
+    // Return the file key (path in storage)
+    return fileName;
+};
+
+// Write an object under a caller-chosen key (derived files such as previews)
+export const putFile = (fileKey, body, contentType) => storage.put(fileKey, body, { contentType });
+
+export const getPresignedUrl = async (fileKey, expiresIn = 3600) => {
+    if (!fileKey) return null;
+
+    // If it's already a full URL (legacy Cloudinary), return as is
+    if (fileKey.startsWith('http')) return fileKey;
+
+    return storage.presign(fileKey, { method: 'GET', expiresIn });
+};
+
+export const getPresignedUploadUrl = (fileKey, { contentType, contentLength, expiresIn = 900 }) =>
+    storage.presign(fileKey, { method: 'PUT', contentType, contentLength, expiresIn });
+
+export const getFile = (fileKey) => storage.get(fileKey);
+
+export const getFileMetadata = (fileKey) => storage.head(fileKey);
+
+export const deleteFile = (fileKey) => storage.delete(fileKey);
+
+export const listFiles = (prefix) => storage.list(prefix);
+
+export const createMultipartUpload = (fileKey, contentType) => storage.createMultipartUpload(fileKey, contentType);
+
+export const getPresignedPartUrl = (fileKey, uploadId, partNumber, expiresIn = 3600) =>
+    storage.presignPart(fileKey, uploadId, partNumber, expiresIn);
+
+export const listUploadedParts = (fileKey, uploadId) => storage.listParts(fileKey, uploadId);
+
+export const completeMultipartUpload = (fileKey, uploadId, parts) =>
+    storage.completeMultipartUpload(fileKey, uploadId, parts);
+
+export const abortMultipartUpload = (fileKey, uploadId) => storage.abortMultipartUpload(fileKey, uploadId);
+
+export const listIncompleteMultipartUploads = () => storage.listMultipartUploads();
@@ -0,0 +1,22 @@
+-- Server-side sessions behind short-lived access tokens (see createSession / authenticateToken).
+-- Refresh tokens are `<session id>.<secret>`; only a SHA-256 hash of the secret is stored.
+-- user_id is a users or clients id depending on account_type.
+
+create table if not exists user_sessions (
+  id uuid primary key default gen_random_uuid(),
+  user_id uuid not null,
+  account_type text not null check (account_type in ('user', 'client')),
+  company_id uuid references companies(id) on delete cascade,
+  refresh_token_hash text not null,
+  expires_at timestamptz not null,
+  last_used_at timestamptz,
+  revoked_at timestamptz,
+  revoked_reason text,
+  user_agent text,
+  ip_address text,
+  created_at timestamptz not null default now()
+);
+
+create unique index if not exists user_sessions_refresh_token_hash_idx on user_sessions (refresh_token_hash);
+create index if not exists user_sessions_user_id_idx on user_sessions (user_id) where revoked_at is null;
+create index if not exists user_sessions_company_id_idx on user_sessions (company_id) where revoked_at is null;
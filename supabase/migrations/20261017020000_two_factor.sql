@@ -0,0 +1,21 @@
+-- Optional TOTP two-factor authentication for staff users and clients.
+-- Secrets are AES-256-GCM encrypted by totpService.js; recovery codes are stored hashed.
+-- two_factor_last_step is the last accepted TOTP time step, so a code can't be replayed.
+
+alter table users
+  add column if not exists two_factor_enabled boolean not null default false,
+  add column if not exists two_factor_secret text,
+  add column if not exists two_factor_pending_secret text,
+  add column if not exists two_factor_recovery_codes text[] not null default '{}',
+  add column if not exists two_factor_last_step bigint;
+
+alter table clients
+  add column if not exists two_factor_enabled boolean not null default false,
+  add column if not exists two_factor_secret text,
+  add column if not exists two_factor_pending_secret text,
+  add column if not exists two_factor_recovery_codes text[] not null default '{}',
+  add column if not exists two_factor_last_step bigint;
+
+-- Roles (lower case) that must enroll before they can log in
+alter table companies
+  add column if not exists two_factor_required_roles text[] not null default '{}';
@@ -0,0 +1,5 @@
+-- Per-company replacements for the default role lists in permissions.js,
+-- e.g. { "documents:publish": ["owner", "qa"] }. Written only through PUT /permissions/overrides.
+
+alter table companies
+  add column if not exists permission_overrides jsonb not null default '{}'::jsonb;
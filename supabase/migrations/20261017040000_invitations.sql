@@ -0,0 +1,27 @@
+-- Single-use invitations for company owners, staff users and clients.
+-- The invited account row exists from the start with status 'invited' and no password;
+-- account_id is a users or clients id depending on invite_type.
+
+create table if not exists invitations (
+  id uuid primary key default gen_random_uuid(),
+  invite_type text not null check (invite_type in ('company_owner', 'user', 'client')),
+  email text not null,
+  name text,
+  company_id uuid not null references companies(id) on delete cascade,
+  account_id uuid not null,
+  role text,
+  invited_by uuid,
+  token_hash text,
+  expires_at timestamptz not null,
+  last_sent_at timestamptz,
+  accepted_at timestamptz,
+  revoked_at timestamptz,
+  created_at timestamptz not null default now()
+);
+
+create unique index if not exists invitations_token_hash_idx on invitations (token_hash);
+create index if not exists invitations_company_id_idx on invitations (company_id, created_at desc);
+
+-- Invited accounts have no password until the invitation is accepted
+alter table users alter column password drop not null;
+alter table clients alter column password drop not null;
@@ -0,0 +1,20 @@
+-- Failed login, 2FA and reset-code attempts, counted per account and per IP address
+-- (see throttleAttempts). A row is locked while locked_until is in the future.
+
+create table if not exists auth_attempts (
+  id uuid primary key default gen_random_uuid(),
+  action text not null,
+  scope text not null check (scope in ('account', 'ip')),
+  identifier text not null,
+  failed_count integer not null default 0,
+  locked_until timestamptz,
+  last_failed_at timestamptz not null default now(),
+  unique (action, scope, identifier)
+);
+
+create index if not exists auth_attempts_identifier_idx on auth_attempts (identifier);
+create index if not exists auth_attempts_last_failed_at_idx on auth_attempts (last_failed_at desc);
+
+-- Wrong guesses against the latest reset code; the code expires after RESET_CODE_MAX_ATTEMPTS
+alter table password_resets
+  add column if not exists attempts integer not null default 0;
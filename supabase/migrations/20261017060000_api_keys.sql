@@ -0,0 +1,20 @@
+-- Company-scoped API keys (`ak_...`). Only a SHA-256 hash of the key is stored; key_prefix
+-- is kept so owners can tell keys apart. Scopes map to route allowlists in permissions.js.
+
+create table if not exists api_keys (
+  id uuid primary key default gen_random_uuid(),
+  company_id uuid not null references companies(id) on delete cascade,
+  name text not null,
+  scopes text[] not null default '{}',
+  key_hash text not null unique,
+  key_prefix text not null,
+  created_by uuid,
+  created_at timestamptz not null default now(),
+  expires_at timestamptz,
+  last_used_at timestamptz,
+  rotated_at timestamptz,
+  revoked_at timestamptz,
+  revoked_by uuid
+);
+
+create index if not exists api_keys_company_id_idx on api_keys (company_id, created_at desc);
@@ -0,0 +1,43 @@
+-- Per-company OpenID Connect single sign-on.
+-- client_secret_encrypted is AES-256-GCM ciphertext from oidcService.js (encryptClientSecret).
+
+create table if not exists company_sso_configs (
+  id uuid primary key default gen_random_uuid(),
+  company_id uuid not null unique references companies(id) on delete cascade,
+  issuer text not null,
+  client_id text not null,
+  client_secret_encrypted text not null,
+  scopes text not null default 'openid email profile',
+  role_claim text,
+  role_mapping jsonb not null default '{}'::jsonb,
+  default_role text,
+  allow_jit_provisioning boolean not null default false,
+  enforced boolean not null default false,
+  enabled boolean not null default true,
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now()
+);
+
+-- One row per login attempt: the hashed state from /sso/:companyId/login, then the hashed
+-- one-time code handed to the frontend by /sso/callback and consumed by /sso/exchange.
+create table if not exists sso_login_states (
+  id uuid primary key default gen_random_uuid(),
+  state_hash text not null unique,
+  company_id uuid not null references companies(id) on delete cascade,
+  nonce text not null,
+  code_verifier text not null,
+  expires_at timestamptz not null,
+  callback_at timestamptz,
+  user_id uuid,
+  login_code_hash text unique,
+  consumed_at timestamptz,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists sso_login_states_expires_at_idx on sso_login_states (expires_at);
+
+-- The IdP subject a staff user is linked to, unique within a company
+alter table users
+  add column if not exists sso_subject text;
+
+create unique index if not exists users_company_sso_subject_idx on users (company_id, sso_subject) where sso_subject is not null;
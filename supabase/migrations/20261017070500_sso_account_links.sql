@@ -0,0 +1,2 @@
+-- Login states started by POST /sso/link carry the signed-in account the identity is linked to
+alter table sso_login_states add column if not exists link_user_id uuid;
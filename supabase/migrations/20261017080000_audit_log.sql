@@ -0,0 +1,46 @@
+-- Append-only trail of every write request (see recordAuditTrail).
+-- actor_id is a users or clients id; company_id has no foreign key so entries outlive the company.
+
+create table if not exists audit_log (
+  id bigint generated always as identity primary key,
+  actor_id uuid,
+  actor_role text,
+  actor_name text,
+  api_key_id uuid,
+  company_id uuid,
+  action text not null,
+  entity_type text,
+  entity_id text,
+  changes jsonb,
+  status_code integer,
+  ip_address text,
+  user_agent text,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists audit_log_company_created_at_idx on audit_log (company_id, created_at desc);
+create index if not exists audit_log_created_at_idx on audit_log (created_at desc);
+create index if not exists audit_log_actor_id_idx on audit_log (actor_id, created_at desc);
+create index if not exists audit_log_entity_idx on audit_log (entity_type, entity_id, created_at desc);
+
+-- Entries can be added but never changed or removed, whichever role connects
+create or replace function audit_log_reject_change()
+returns trigger
+language plpgsql
+as $$
+begin
+  raise exception 'audit_log is append-only';
+end;
+$$;
+
+drop trigger if exists audit_log_append_only on audit_log;
+create trigger audit_log_append_only
+  before update or delete on audit_log
+  for each row execute function audit_log_reject_change();
+
+drop trigger if exists audit_log_no_truncate on audit_log;
+create trigger audit_log_no_truncate
+  before truncate on audit_log
+  for each statement execute function audit_log_reject_change();
+
+revoke update, delete, truncate on audit_log from anon, authenticated;
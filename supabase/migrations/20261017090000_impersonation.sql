@@ -0,0 +1,32 @@
+-- Audited admin impersonation sessions (see POST /impersonate).
+-- account_id is a users or clients id depending on account_type.
+
+create table if not exists impersonation_log (
+  id uuid primary key default gen_random_uuid(),
+  admin_id uuid not null,
+  admin_name text,
+  account_id uuid not null,
+  account_type text not null check (account_type in ('user', 'client')),
+  account_name text,
+  company_id uuid,
+  session_id uuid references user_sessions(id) on delete set null,
+  reason text not null,
+  started_at timestamptz not null default now(),
+  expires_at timestamptz not null,
+  ended_at timestamptz,
+  end_reason text,
+  ip_address text,
+  user_agent text
+);
+
+create index if not exists impersonation_log_started_at_idx on impersonation_log (started_at desc);
+create index if not exists impersonation_log_account_id_idx on impersonation_log (account_id, started_at desc);
+
+-- Impersonation sessions belong to the target account but record the admin behind them
+alter table user_sessions
+  add column if not exists impersonator_id uuid;
+
+alter table audit_log
+  add column if not exists impersonator_id uuid;
+
+create index if not exists audit_log_impersonator_id_idx on audit_log (impersonator_id, created_at desc) where impersonator_id is not null;
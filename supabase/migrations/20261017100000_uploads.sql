@@ -0,0 +1,22 @@
+-- Every stored object a company uploads, from presign to completion (see /uploads/presign).
+-- POST /documents only accepts file keys of completed uploads in the caller's company.
+
+create table if not exists uploads (
+  id uuid primary key default gen_random_uuid(),
+  company_id uuid not null references companies(id) on delete cascade,
+  uploaded_by uuid,
+  file_key text not null,
+  file_name text,
+  content_type text,
+  expected_size bigint,
+  size bigint,
+  status text not null default 'pending',
+  failure_reason text,
+  expires_at timestamptz,
+  completed_at timestamptz,
+  created_at timestamptz not null default now(),
+  constraint uploads_status_check check (status in ('pending', 'completed', 'rejected'))
+);
+
+create index if not exists uploads_file_key_idx on uploads (file_key);
+create index if not exists uploads_company_status_idx on uploads (company_id, status);
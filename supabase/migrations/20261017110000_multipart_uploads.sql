@@ -0,0 +1,13 @@
+-- Resumable multipart uploads: the storage driver's upload id and the agreed part layout.
+-- Abandoned uploads are aborted or expired by POST /cleanup-stale-uploads.
+
+alter table uploads
+  add column if not exists s3_upload_id text,
+  add column if not exists part_size bigint,
+  add column if not exists part_count integer;
+
+alter table uploads drop constraint if exists uploads_status_check;
+alter table uploads add constraint uploads_status_check
+  check (status in ('pending', 'completed', 'rejected', 'aborted', 'expired'));
+
+create index if not exists uploads_pending_created_at_idx on uploads (created_at) where status = 'pending';
@@ -0,0 +1,11 @@
+-- Storage usage is recounted from uploads.size (see recalculateStorageUsage).
+-- storage_warning_level is the highest STORAGE_WARNING_THRESHOLDS percentage already emailed,
+-- so each threshold is only reported once.
+
+alter table companies
+  add column if not exists storage_warning_level integer not null default 0;
+
+-- deleted: the object was purged; missing: tracked but not found by /reconcile-storage
+alter table uploads drop constraint if exists uploads_status_check;
+alter table uploads add constraint uploads_status_check
+  check (status in ('pending', 'completed', 'rejected', 'aborted', 'expired', 'deleted', 'missing'));
@@ -0,0 +1,20 @@
+-- Bytes a company is charged for: completed uploads, except files whose documents are all in
+-- the trash. Soft-deleting a document frees its space and restoring it counts it again; files
+-- no document points at (logos, profile pictures, uploads not yet filed) always count.
+
+create or replace function company_storage_bytes(p_company_id uploads.company_id%type)
+returns bigint
+language sql
+stable
+as $$
+  select coalesce(sum(u.size), 0)::bigint
+  from uploads u
+  where u.company_id = p_company_id
+    and u.status = 'completed'
+    and (
+      not exists (select 1 from documents d where d.url = u.file_key)
+      or exists (select 1 from documents d where d.url = u.file_key and d.deleted_at is null)
+    );
+$$;
+
+create index if not exists documents_url_idx on documents (url);
@@ -0,0 +1,22 @@
+-- One row per permanently deleted document (see purgeDocument). document_id and company_id
+-- have no foreign keys: the document is gone by the time the row is written.
+
+create table if not exists purge_log (
+  id uuid primary key default gen_random_uuid(),
+  document_id uuid not null,
+  company_id uuid,
+  title text,
+  file_key text,
+  object_deleted boolean not null default false,
+  related_rows jsonb,
+  deleted_at timestamptz,
+  purged_at timestamptz not null default now(),
+  source text not null check (source in ('retention', 'manual')),
+  purged_by uuid
+);
+
+create index if not exists purge_log_purged_at_idx on purge_log (purged_at desc);
+create index if not exists purge_log_company_id_idx on purge_log (company_id, purged_at desc);
+
+-- The retention job picks trashed documents by deleted_at
+create index if not exists documents_deleted_at_idx on documents (deleted_at) where deleted_at is not null;
@@ -0,0 +1,18 @@
+-- Reports from POST /collect-orphaned-files. prefixes holds per-prefix counts; orphans is
+-- capped at ORPHAN_REPORT_LIMIT entries of { key, size, last_modified, deleted, error }.
+
+create table if not exists orphan_scans (
+  id uuid primary key default gen_random_uuid(),
+  started_at timestamptz not null,
+  finished_at timestamptz,
+  delete_requested boolean not null default false,
+  grace_hours integer not null,
+  prefixes jsonb,
+  scanned_count integer not null default 0,
+  orphan_count integer not null default 0,
+  orphan_bytes bigint not null default 0,
+  deleted_count integer not null default 0,
+  orphans jsonb not null default '[]'::jsonb
+);
+
+create index if not exists orphan_scans_started_at_idx on orphan_scans (started_at desc);
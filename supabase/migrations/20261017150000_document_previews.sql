@@ -0,0 +1,17 @@
+-- Rendered thumbnails and page images (see generateDocumentPreviews). Keys point at objects
+-- under previews/ in the document's storage bucket.
+
+alter table documents
+  add column if not exists preview_status text,
+  add column if not exists thumbnail_key text,
+  add column if not exists preview_keys jsonb,
+  add column if not exists page_count integer,
+  add column if not exists preview_error text,
+  add column if not exists previews_generated_at timestamptz;
+
+alter table documents drop constraint if exists documents_preview_status_check;
+alter table documents add constraint documents_preview_status_check
+  check (preview_status in ('pending', 'processing', 'ready', 'failed', 'unsupported'));
+
+-- POST /generate-previews backfills documents without previews
+create index if not exists documents_preview_status_idx on documents (preview_status) where deleted_at is null;
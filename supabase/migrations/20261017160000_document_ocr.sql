@@ -0,0 +1,31 @@
+-- Server-side OCR (see runDocumentOcr). The joined page text also replaces
+-- documents.document_text; document_ocr_pages keeps the per-page text and confidence.
+
+alter table documents
+  add column if not exists ocr_status text,
+  add column if not exists ocr_language text,
+  add column if not exists ocr_confidence numeric(5, 2),
+  add column if not exists ocr_error text,
+  add column if not exists ocr_completed_at timestamptz;
+
+alter table documents drop constraint if exists documents_ocr_status_check;
+alter table documents add constraint documents_ocr_status_check
+  check (ocr_status in ('pending', 'processing', 'completed', 'failed', 'unsupported'));
+
+create index if not exists documents_ocr_status_idx on documents (ocr_status) where deleted_at is null;
+
+-- Tesseract language codes joined with '+', e.g. 'eng' or 'eng+spa'; null means OCR_DEFAULT_LANGUAGE
+alter table companies
+  add column if not exists ocr_language text;
+
+create table if not exists document_ocr_pages (
+  id uuid primary key default gen_random_uuid(),
+  document_id uuid not null references documents(id) on delete cascade,
+  company_id uuid not null references companies(id) on delete cascade,
+  page_number integer not null,
+  text text not null default '',
+  confidence numeric(5, 2),
+  language text,
+  created_at timestamptz not null default now(),
+  unique (document_id, page_number)
+);
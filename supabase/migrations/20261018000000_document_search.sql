@@ -0,0 +1,70 @@
+-- Ranked full-text search over documents (used by GET /documents/search and /documents?searchTerm=).
+-- The 'simple' configuration matches SEARCH_CONFIG in searchService.js.
+
+alter table documents
+  add column if not exists search_vector tsvector
+  generated always as (
+    setweight(to_tsvector('simple', coalesce(title, '')), 'A') ||
+    setweight(to_tsvector('simple', coalesce(tag_name, '')), 'B') ||
+    setweight(jsonb_to_tsvector('simple', coalesce(jsonb_path_query_array(properties, '$[*].value'), '[]'::jsonb), '["string", "numeric"]'), 'B') ||
+    setweight(to_tsvector('simple', coalesce(document_text, '')), 'C')
+  ) stored;
+
+create index if not exists documents_search_vector_idx on documents using gin (search_vector);
+
+-- p_query must already be a valid to_tsquery() string (see parseSearchQuery in searchService.js).
+-- Role scoping mirrors GET /documents. Matches in the highlights are wrapped in chr(1) / chr(2).
+create or replace function search_documents(
+  p_company_id documents.company_id%type,
+  p_role text,
+  p_user_id documents.added_by%type,
+  p_query text,
+  p_limit integer default 20,
+  p_offset integer default 0
+)
+returns table (
+  id documents.id%type,
+  rank real,
+  title_highlight text,
+  snippet text,
+  total_count bigint
+)
+language sql
+stable
+as $$
+  with query as (
+    select to_tsquery('simple', p_query) as q
+  ),
+  matches as (
+    select d.id, d.title, d.document_text, ts_rank_cd(d.search_vector, query.q) as rank
+    from documents d, query
+    where d.company_id = p_company_id
+      and d.deleted_at is null
+      and d.search_vector @@ query.q
+      and case lower(p_role)
+        when 'scanner' then d.added_by = p_user_id
+        when 'client' then d.added_by = p_user_id
+        when 'indexer' then d.indexer_passed_id = p_user_id
+        when 'qa' then d.qa_passed_id = p_user_id or (d.qa_passed_id is null and d.progress_number = 2)
+        else true
+      end
+  ),
+  page as (
+    select matches.*, count(*) over () as total_count
+    from matches
+    order by matches.rank desc, matches.id
+    limit p_limit offset p_offset
+  )
+  select
+    page.id,
+    page.rank,
+    ts_headline('simple', coalesce(page.title, ''), query.q,
+      'HighlightAll=true, StartSel="' || chr(1) || '", StopSel="' || chr(2) || '"'),
+    case when page.document_text is null then null else
+      ts_headline('simple', page.document_text, query.q,
+        'MaxFragments=2, MaxWords=30, MinWords=10, FragmentDelimiter=" … ", StartSel="' || chr(1) || '", StopSel="' || chr(2) || '"')
+    end,
+    page.total_count
+  from page, query
+  order by page.rank desc, page.id;
+$$;
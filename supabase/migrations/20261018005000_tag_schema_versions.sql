@@ -0,0 +1,34 @@
+-- Versioned tag schemas (see recordTagVersion and POST /document-tags/:id/migrate).
+-- Tags created before versioning start at version 1, and so do their documents.
+
+alter table document_tags
+  add column if not exists schema_version integer not null default 1;
+
+alter table documents
+  add column if not exists tag_schema_version integer;
+
+update documents d
+set tag_schema_version = 1
+where d.tag_schema_version is null and d.tag_id is not null;
+
+create index if not exists documents_tag_schema_version_idx on documents (tag_id, tag_schema_version);
+
+-- A snapshot of the tag's properties each time they change, with the operations that led there
+create table if not exists document_tag_versions (
+  id uuid primary key default gen_random_uuid(),
+  tag_id uuid not null references document_tags(id) on delete cascade,
+  company_id uuid not null references companies(id) on delete cascade,
+  version integer not null,
+  title text,
+  properties jsonb not null default '[]'::jsonb,
+  changes jsonb,
+  created_by uuid,
+  created_at timestamptz not null default now(),
+  unique (tag_id, version)
+);
+
+insert into document_tag_versions (tag_id, company_id, version, title, properties, changes)
+select t.id, t.company_id, 1, t.title, coalesce(t.properties, '[]'::jsonb), null
+from document_tags t
+where t.company_id is not null
+on conflict (tag_id, version) do nothing;
@@ -0,0 +1,48 @@
+-- Resumable tag schema migrations (see POST /document-tags/:id/migrate). The API converts
+-- documents in batches in id order; cursor is the last document id handled, so a migration
+-- cut short by a timeout or a failed write picks up where it stopped.
+
+create table if not exists document_tag_migrations (
+  id uuid primary key default gen_random_uuid(),
+  tag_id uuid not null references document_tags(id) on delete cascade,
+  company_id uuid not null references companies(id) on delete cascade,
+  from_version integer not null,
+  to_version integer not null,
+  operations jsonb not null,
+  on_failure text not null check (on_failure in ('skip', 'clear')),
+  status text not null default 'running' check (status in ('running', 'completed')),
+  cursor text,
+  total_documents integer not null default 0,
+  processed_count integer not null default 0,
+  migrated_count integer not null default 0,
+  failed_count integer not null default 0,
+  failures jsonb not null default '[]'::jsonb,
+  locked_until timestamptz,
+  started_by uuid,
+  started_at timestamptz not null default now(),
+  updated_at timestamptz not null default now(),
+  completed_at timestamptz
+);
+
+-- At most one unfinished migration per tag
+create unique index if not exists document_tag_migrations_running_idx on document_tag_migrations (tag_id) where status = 'running';
+
+-- Write one batch of converted documents in a single statement. Documents already on
+-- p_to_version (re-indexed against the new schema meanwhile) are left alone.
+-- p_updates: [{ id, properties }]. Returns the number of documents written.
+create or replace function apply_tag_migration_batch(p_tag_id documents.tag_id%type, p_to_version integer, p_updates jsonb)
+returns integer
+language sql
+as $$
+  with updated as (
+    update documents d
+    set properties = u.properties,
+        tag_schema_version = p_to_version
+    from jsonb_to_recordset(p_updates) as u(id text, properties jsonb)
+    where d.id::text = u.id
+      and d.tag_id = p_tag_id
+      and (d.tag_schema_version is null or d.tag_schema_version < p_to_version)
+    returning d.id
+  )
+  select count(*)::integer from updated;
+$$;
@@ -0,0 +1,17 @@
+-- Documents per schema version of a tag, counted in the database so the version history
+-- isn't limited by the API row cap. Returns { "<version>": count, "unversioned": count }.
+
+create or replace function document_tag_version_counts(p_tag_id documents.tag_id%type, p_company_id documents.company_id%type)
+returns jsonb
+language sql
+stable
+as $$
+  select coalesce(jsonb_object_agg(version, total), '{}'::jsonb)
+  from (
+    select coalesce(tag_schema_version::text, 'unversioned') as version, count(*) as total
+    from documents
+    where tag_id = p_tag_id
+      and company_id = p_company_id
+    group by 1
+  ) counts;
+$$;
@@ -0,0 +1,66 @@
+-- Property predicates for GET /documents?tagId=&propertyFilters=.
+-- Filters are validated and normalised by parsePropertyFilters (tagSchemaService.js):
+--   { name, type, op: 'eq' | 'contains' | 'in' | 'range', value | values | from / to }
+-- Values that don't parse as the property's type (legacy free text) never match.
+
+create or replace function property_value_matches(p_value text, p_filter jsonb)
+returns boolean
+language sql
+immutable
+as $$
+  select case
+    when p_value is null or p_value = '' then false
+
+    when p_filter->>'type' = 'number' then
+      case when p_value !~ '^-?\d+(\.\d+)?([eE][-+]?\d+)?$' then false
+      else case p_filter->>'op'
+        when 'eq' then p_value::numeric = (p_filter->>'value')::numeric
+        when 'range' then (p_filter->>'from' is null or p_value::numeric >= (p_filter->>'from')::numeric)
+                      and (p_filter->>'to' is null or p_value::numeric <= (p_filter->>'to')::numeric)
+        when 'in' then p_value::numeric in (select v::numeric from jsonb_array_elements_text(p_filter->'values') v)
+        else false
+      end end
+
+    -- Dates are stored as YYYY-MM-DD, so text comparison orders them correctly
+    when p_filter->>'type' = 'date' then
+      case when p_value !~ '^\d{4}-\d{2}-\d{2}' then false
+      else case p_filter->>'op'
+        when 'eq' then left(p_value, 10) = p_filter->>'value'
+        when 'range' then (p_filter->>'from' is null or left(p_value, 10) >= p_filter->>'from')
+                      and (p_filter->>'to' is null or left(p_value, 10) <= p_filter->>'to')
+        when 'in' then left(p_value, 10) in (select v from jsonb_array_elements_text(p_filter->'values') v)
+        else false
+      end end
+
+    when p_filter->>'type' = 'boolean' then lower(p_value) = p_filter->>'value'
+
+    else case p_filter->>'op'
+      when 'eq' then lower(p_value) = lower(p_filter->>'value')
+      when 'contains' then strpos(lower(p_value), lower(p_filter->>'value')) > 0
+      when 'in' then lower(p_value) in (select lower(v) from jsonb_array_elements_text(p_filter->'values') v)
+      else false
+    end
+  end;
+$$;
+
+-- Documents under a tag whose properties satisfy every filter. Returns documents rows so
+-- PostgREST can apply the usual company/role filters, ordering, pagination and embeds on top.
+create or replace function documents_matching_properties(p_tag_id documents.tag_id%type, p_filters jsonb)
+returns setof documents
+language sql
+stable
+as $$
+  select d.*
+  from documents d
+  where d.tag_id = p_tag_id
+    and not exists (
+      select 1
+      from jsonb_array_elements(p_filters) f
+      where not exists (
+        select 1
+        from jsonb_array_elements(case when jsonb_typeof(d.properties) = 'array' then d.properties else '[]'::jsonb end) p
+        where p->>'name' = f->>'name'
+          and property_value_matches(p->>'value', f)
+      )
+    );
+$$;
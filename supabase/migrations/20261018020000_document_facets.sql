@@ -0,0 +1,161 @@
+-- Facet and per-tag counts for GET /documents?facets=true, /document-tags and /get-document-tags.
+-- Counting runs here with GROUP BY instead of paging documents into the API.
+
+-- Same rules as the status filter in applyDocumentListFilters (index.js), including how nulls
+-- drop out, so a facet count always equals what selecting that status returns.
+create or replace function document_matches_status(d documents, p_status text)
+returns boolean
+language sql
+stable
+as $$
+  select case lower(p_status)
+    when 'draft' then d.status ilike 'draft' or d.progress_number = 0
+    when 'complete' then d.status ilike 'complete' or (d.progress_number = 3 and d.is_published = true)
+    when 'incomplete' then d.status not ilike 'draft' and d.progress_number <> 0 and d.status not ilike 'complete'
+      and (d.is_published = false or d.progress_number < 3)
+    when 'rejected' then d.status ilike 'rejected'
+    else true
+  end;
+$$;
+
+-- True when a document's properties satisfy every filter (see property_value_matches)
+create or replace function document_properties_match(p_properties jsonb, p_filters jsonb)
+returns boolean
+language sql
+immutable
+as $$
+  select not exists (
+    select 1
+    from jsonb_array_elements(coalesce(p_filters, '[]'::jsonb)) f
+    where not exists (
+      select 1
+      from jsonb_array_elements(case when jsonb_typeof(p_properties) = 'array' then p_properties else '[]'::jsonb end) p
+      where p->>'name' = f->>'name'
+        and property_value_matches(p->>'value', f)
+    )
+  );
+$$;
+
+-- p_filters mirrors the GET /documents filters, already validated by the API:
+--   { tag_id, notary_id, start_date, end_date, ts_query, status, properties: [...] }
+-- ts_query is a parseSearchQuery() result. Role scoping mirrors applyDocumentListFilters.
+-- Returns { tags, folders, notaries, uploaders, months: [{ value, count }], statuses: { status: count },
+--           properties: [{ tag_id, name, values: [{ value, count }] }] } with ids as text.
+create or replace function document_facet_counts(
+  p_company_id documents.company_id%type,
+  p_role text,
+  p_user_id documents.added_by%type,
+  p_filters jsonb default '{}'::jsonb,
+  p_top_values integer default 10
+)
+returns jsonb
+language sql
+stable
+as $$
+  with matching as (
+    select
+      d.tag_id, d.notary_id, d.added_by, d.created_at, d.properties,
+      document_matches_status(d, 'draft') as is_draft,
+      document_matches_status(d, 'incomplete') as is_incomplete,
+      document_matches_status(d, 'complete') as is_complete,
+      document_matches_status(d, 'rejected') as is_rejected
+    from documents d
+    where d.company_id = p_company_id
+      and d.deleted_at is null
+      and case lower(p_role)
+        when 'scanner' then d.added_by = p_user_id
+        when 'client' then d.added_by = p_user_id
+        when 'indexer' then d.indexer_passed_id = p_user_id
+        when 'qa' then d.qa_passed_id = p_user_id or (d.qa_passed_id is null and d.progress_number = 2)
+        else true
+      end
+      and (p_filters->>'tag_id' is null or d.tag_id::text = p_filters->>'tag_id')
+      and (p_filters->>'notary_id' is null or d.notary_id::text = p_filters->>'notary_id')
+      and (p_filters->>'start_date' is null or d.created_at >= (p_filters->>'start_date')::timestamptz)
+      and (p_filters->>'end_date' is null or d.created_at <= (p_filters->>'end_date')::timestamptz)
+      and (p_filters->>'ts_query' is null or d.search_vector @@ to_tsquery('simple', p_filters->>'ts_query'))
+      and (p_filters->>'status' is null or document_matches_status(d, p_filters->>'status'))
+      and document_properties_match(d.properties, p_filters->'properties')
+  ),
+  facet_counts as (
+    select 'tags' as facet, m.tag_id::text as value, count(*) as count from matching m group by m.tag_id
+    union all
+    select 'folders', t.folder_id::text, count(*) from matching m left join document_tags t on t.id = m.tag_id group by t.folder_id
+    union all
+    select 'notaries', m.notary_id::text, count(*) from matching m group by m.notary_id
+    union all
+    select 'uploaders', m.added_by::text, count(*) from matching m group by m.added_by
+    union all
+    select 'months', to_char(m.created_at at time zone 'UTC', 'YYYY-MM'), count(*) from matching m group by 2
+  ),
+  property_values as (
+    select t.id::text as tag_id, def->>'name' as name, p->>'value' as value, count(*) as count
+    from matching m
+    join document_tags t on t.id = m.tag_id
+    cross join lateral jsonb_array_elements(case when jsonb_typeof(t.properties) = 'array' then t.properties else '[]'::jsonb end) def
+    cross join lateral jsonb_array_elements(case when jsonb_typeof(m.properties) = 'array' then m.properties else '[]'::jsonb end) p
+    where def->>'type' = 'enum'
+      and p->>'name' = def->>'name'
+      and coalesce(p->>'value', '') <> ''
+    group by t.id, def->>'name', p->>'value'
+  ),
+  top_property_values as (
+    select property_values.*, row_number() over (partition by tag_id, name order by count desc, value) as position
+    from property_values
+  )
+  select
+    jsonb_build_object('tags', '[]'::jsonb, 'folders', '[]'::jsonb, 'notaries', '[]'::jsonb, 'uploaders', '[]'::jsonb, 'months', '[]'::jsonb)
+    || coalesce((
+      select jsonb_object_agg(facet, entries)
+      from (
+        select facet, jsonb_agg(jsonb_build_object('value', value, 'count', count) order by count desc, value) as entries
+        from facet_counts
+        group by facet
+      ) grouped
+    ), '{}'::jsonb)
+    || jsonb_build_object(
+      'statuses', (
+        select jsonb_build_object(
+          'draft', count(*) filter (where m.is_draft),
+          'incomplete', count(*) filter (where m.is_incomplete),
+          'complete', count(*) filter (where m.is_complete),
+          'rejected', count(*) filter (where m.is_rejected)
+        )
+        from matching m
+      ),
+      'properties', coalesce((
+        select jsonb_agg(jsonb_build_object('tag_id', tag_id, 'name', name, 'values', entries))
+        from (
+          select tag_id, name, jsonb_agg(jsonb_build_object('value', value, 'count', count) order by count desc, value) as entries
+          from top_property_values
+          where position <= p_top_values
+          group by tag_id, name
+        ) grouped
+      ), '[]'::jsonb)
+    );
+$$;
+
+-- Published / unpublished documents per tag, skipping the trash: { "<tag id>": { complete_documents, incomplete_documents } }
+create or replace function document_tag_counts(p_company_id documents.company_id%type)
+returns jsonb
+language sql
+stable
+as $$
+  select coalesce(jsonb_object_agg(counts.tag_id, jsonb_build_object(
+    'complete_documents', counts.complete_documents,
+    'incomplete_documents', counts.incomplete_documents
+  )), '{}'::jsonb)
+  from (
+    select
+      d.tag_id::text as tag_id,
+      count(*) filter (where d.is_published = true) as complete_documents,
+      count(*) filter (where d.is_published = false) as incomplete_documents
+    from documents d
+    where d.company_id = p_company_id
+      and d.deleted_at is null
+      and d.tag_id is not null
+    group by d.tag_id
+  ) counts;
+$$;
+
+create index if not exists documents_company_tag_idx on documents (company_id, tag_id) where deleted_at is null;
@@ -0,0 +1,23 @@
+-- Named /documents filters (see the SAVED SEARCHES routes). filters holds the raw filter
+-- object validated by validateSavedSearchFilters; created_by is a users or clients id and
+-- created_by_role the role the digest runs with.
+
+create table if not exists saved_searches (
+  id uuid primary key default gen_random_uuid(),
+  company_id uuid not null references companies(id) on delete cascade,
+  created_by uuid not null,
+  created_by_role text not null,
+  name text not null check (char_length(name) between 1 and 100),
+  filters jsonb not null default '{}'::jsonb,
+  shared boolean not null default false,
+  pinned_roles text[] not null default '{}',
+  digest_enabled boolean not null default false,
+  digest_last_sent_at timestamptz,
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now(),
+  -- A search pinned for roles must be visible to them
+  constraint saved_searches_pinned_shared_check check (shared or cardinality(pinned_roles) = 0)
+);
+
+create index if not exists saved_searches_company_id_idx on saved_searches (company_id, created_by);
+create index if not exists saved_searches_digest_idx on saved_searches (digest_enabled) where digest_enabled;
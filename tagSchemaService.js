@@ -0,0 +1,461 @@
+import vm from 'vm';
+
+// Typed tag property schemas. document_tags.properties is an array of definitions:
+//   { name, type, required, default, constraints }
+// and each document stores the same array with a `value` filled in. Definitions saved before
+// types existed have no `type`; they are treated as optional text.
+
+export const PROPERTY_TYPES = ['text', 'number', 'date', 'enum', 'boolean', 'email', 'regex-pattern'];
+
+// Constraints each type understands; anything else is rejected when the schema is saved
+const TYPE_CONSTRAINTS = {
+    text: ['minLength', 'maxLength'],
+    number: ['min', 'max', 'integer'],
+    date: ['min', 'max'],
+    enum: ['options'],
+    boolean: [],
+    email: [],
+    'regex-pattern': ['pattern', 'flags', 'example'],
+};
+
+const MAX_PATTERN_LENGTH = 200;
+const MAX_PATTERN_VALUE_LENGTH = 256;
+const MAX_TEXT_LENGTH = 10000;
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+// Saved patterns come from users and can backtrack exponentially, e.g. (a|aa)*. Matching runs
+// in a vm context under a hard time limit so V8 aborts a runaway match instead of stalling the
+// event loop.
+const PATTERN_TIMEOUT_MS = 25;
+const patternContext = vm.createContext({});
+const patternScript = new vm.Script("new RegExp('^(?:' + pattern + ')$', flags).test(text)");
+
+// true/false, or null when the match ran out of time
+const matchesPattern = (pattern, flags, text) => {
+    Object.assign(patternContext, { pattern, flags, text });
+    try {
+        return patternScript.runInContext(patternContext, { timeout: PATTERN_TIMEOUT_MS });
+    } catch (err) {
+        if (err.code === 'ERR_SCRIPT_EXECUTION_TIMEOUT') return null;
+        throw err;
+    }
+};
+
+const isEmpty = (value) => value === undefined || value === null || (typeof value === 'string' && value.trim() === '');
+
+const normalizeDate = (value) => {
+    const text = String(value).trim();
+    const datePart = DATE_PATTERN.test(text) ? text : text.slice(0, 10);
+    const parsed = new Date(`${datePart}T00:00:00Z`);
+
+    if (!DATE_PATTERN.test(datePart) || Number.isNaN(parsed.getTime())) return null;
+    return parsed.toISOString().slice(0, 10) === datePart ? datePart : null;
+};
+
+// Coerce a submitted value to the property's type; returns { value } or { error }
+export const coercePropertyValue = (definition, rawValue) => {
+    const constraints = definition.constraints || {};
+    const value = typeof rawValue === 'string' ? rawValue.trim() : rawValue;
+
+    switch (definition.type) {
+        case 'number': {
+            const number = typeof value === 'number' ? value : Number(String(value).replace(/,/g, ''));
+            if (!Number.isFinite(number)) return { error: 'must be a number.' };
+            if (constraints.integer && !Number.isInteger(number)) return { error: 'must be a whole number.' };
+            if (constraints.min !== undefined && number < constraints.min) return { error: `must be at least ${constraints.min}.` };
+            if (constraints.max !== undefined && number > constraints.max) return { error: `must be at most ${constraints.max}.` };
+            return { value: number };
+        }
+        case 'date': {
+            const date = normalizeDate(value);
+            if (!date) return { error: 'must be a date (YYYY-MM-DD).' };
+            if (constraints.min && date < constraints.min) return { error: `must be on or after ${constraints.min}.` };
+            if (constraints.max && date > constraints.max) return { error: `must be on or before ${constraints.max}.` };
+            return { value: date };
+        }
+        case 'enum': {
+            const option = (constraints.options || []).find(candidate => candidate === String(value));
+            if (option === undefined) return { error: `must be one of: ${(constraints.options || []).join(', ')}.` };
+            return { value: option };
+        }
+        case 'boolean': {
+            if (typeof value === 'boolean') return { value };
+            const normalized = String(value).toLowerCase();
+            if (['true', 'yes', '1'].includes(normalized)) return { value: true };
+            if (['false', 'no', '0'].includes(normalized)) return { value: false };
+            return { error: 'must be true or false.' };
+        }
+        case 'email': {
+            const email = String(value).toLowerCase();
+            if (!EMAIL_PATTERN.test(email)) return { error: 'must be a valid email address.' };
+            return { value: email };
+        }
+        case 'regex-pattern': {
+            const text = String(value);
+            if (text.length > MAX_PATTERN_VALUE_LENGTH) return { error: `must be at most ${MAX_PATTERN_VALUE_LENGTH} characters.` };
+            const matched = matchesPattern(constraints.pattern, constraints.flags || '', text);
+            if (matched === null) return { error: 'could not be checked against the required format. Ask an owner to simplify the pattern.' };
+            if (!matched) {
+                return { error: `does not match the required format${constraints.example ? ` (e.g. ${constraints.example})` : ''}.` };
+            }
+            return { value: text };
+        }
+        default: {
+            const text = typeof value === 'object' ? JSON.stringify(value) : String(value);
+            const maxLength = Math.min(constraints.maxLength ?? MAX_TEXT_LENGTH, MAX_TEXT_LENGTH);
+            if (constraints.minLength !== undefined && text.length < constraints.minLength) {
+                return { error: `must be at least ${constraints.minLength} characters.` };
+            }
+            if (text.length > maxLength) return { error: `must be at most ${maxLength} characters.` };
+            return { value: text };
+        }
+    }
+};
+
+const validateConstraints = (type, rawConstraints, addError, path) => {
+    const constraints = rawConstraints ?? {};
+    if (typeof constraints !== 'object' || Array.isArray(constraints)) {
+        addError(path, 'must be an object.');
+        return {};
+    }
+
+    const allowed = TYPE_CONSTRAINTS[type];
+    Object.keys(constraints).forEach(key => {
+        if (!allowed.includes(key)) addError(`${path}.${key}`, `is not supported for ${type} properties.`);
+    });
+
+    if (type === 'text') {
+        ['minLength', 'maxLength'].forEach(key => {
+            if (constraints[key] !== undefined && !(Number.isInteger(constraints[key]) && constraints[key] >= 0)) {
+                addError(`${path}.${key}`, 'must be a non-negative whole number.');
+            }
+        });
+    }
+    if (type === 'number') {
+        ['min', 'max'].forEach(key => {
+            if (constraints[key] !== undefined && !Number.isFinite(constraints[key])) addError(`${path}.${key}`, 'must be a number.');
+        });
+        if (constraints.integer !== undefined && typeof constraints.integer !== 'boolean') {
+            addError(`${path}.integer`, 'must be true or false.');
+        }
+    }
+    if (type === 'date') {
+        ['min', 'max'].forEach(key => {
+            if (constraints[key] !== undefined && !normalizeDate(constraints[key])) addError(`${path}.${key}`, 'must be a date (YYYY-MM-DD).');
+        });
+    }
+    if (['text', 'number', 'date'].includes(type)) {
+        const [minKey, maxKey] = type === 'text' ? ['minLength', 'maxLength'] : ['min', 'max'];
+        if (constraints[minKey] !== undefined && constraints[maxKey] !== undefined && constraints[minKey] > constraints[maxKey]) {
+            addError(`${path}.${minKey}`, `must not be greater than ${maxKey}.`);
+        }
+    }
+    if (type === 'enum') {
+        const { options } = constraints;
+        if (!Array.isArray(options) || !options.length || options.some(option => typeof option !== 'string' || !option.trim())) {
+            addError(`${path}.options`, 'must be a non-empty array of strings.');
+        } else if (new Set(options).size !== options.length) {
+            addError(`${path}.options`, 'must not contain duplicates.');
+        }
+    }
+    if (type === 'regex-pattern') {
+        if (typeof constraints.pattern !== 'string' || !constraints.pattern || constraints.pattern.length > MAX_PATTERN_LENGTH) {
+            addError(`${path}.pattern`, `must be a regular expression of at most ${MAX_PATTERN_LENGTH} characters.`);
+        } else {
+            try {
+                new RegExp(constraints.pattern, constraints.flags || '');
+            } catch (err) {
+                addError(`${path}.pattern`, 'is not a valid regular expression.');
+            }
+        }
+        if (constraints.flags !== undefined && !/^[imsu]*$/.test(String(constraints.flags))) {
+            addError(`${path}.flags`, 'may only contain i, m, s and u.');
+        }
+    }
+
+    return { ...constraints };
+};
+
+// Validate and normalise a tag's property definitions.
+// Returns { properties, errors } where errors maps a field path (e.g. "properties[1].type") to a message.
+export const validateTagProperties = (properties) => {
+    const errors = {};
+    const addError = (path, message) => {
+        if (!errors[path]) errors[path] = message;
+    };
+
+    if (!Array.isArray(properties)) {
+        return { properties: [], errors: { properties: 'must be an array of property definitions.' } };
+    }
+
+    const seenNames = new Set();
+    const normalized = properties.map((property, index) => {
+        const path = `properties[${index}]`;
+        if (!property || typeof property !== 'object' || Array.isArray(property)) {
+            addError(path, 'must be an object.');
+            return property;
+        }
+
+        const { value: _value, ...definition } = property;
+        const name = typeof definition.name === 'string' ? definition.name.trim() : '';
+        const type = definition.type === undefined ? 'text' : definition.type;
+
+        if (!name) addError(`${path}.name`, 'is required.');
+        else if (seenNames.has(name.toLowerCase())) addError(`${path}.name`, `duplicates another property (${name}).`);
+        seenNames.add(name.toLowerCase());
+
+        if (!PROPERTY_TYPES.includes(type)) {
+            addError(`${path}.type`, `must be one of: ${PROPERTY_TYPES.join(', ')}.`);
+            return { ...definition, name };
+        }
+        if (definition.required !== undefined && typeof definition.required !== 'boolean') {
+            addError(`${path}.required`, 'must be true or false.');
+        }
+
+        const result = {
+            ...definition,
+            name,
+            type,
+            required: definition.required === true,
+            constraints: validateConstraints(type, definition.constraints, addError, `${path}.constraints`),
+        };
+
+        if (isEmpty(definition.default)) {
+            delete result.default;
+        } else if (!Object.keys(errors).some(key => key === path || key.startsWith(`${path}.`))) {
+            const coerced = coercePropertyValue(result, definition.default);
+            if (coerced.error) addError(`${path}.default`, coerced.error);
+            else result.default = coerced.value;
+        }
+
+        return result;
+    });
+
+    return { properties: normalized, errors };
+};
+
+// Fill legacy (untyped) definitions in so documents can be checked against any tag
+const normalizeDefinitions = (schema) => (Array.isArray(schema) ? schema : [])
+    .filter(definition => definition && typeof definition.name === 'string')
+    .map(definition => ({ ...definition, type: definition.type || 'text', required: definition.required === true, constraints: definition.constraints || {} }));
+
+// Initial property array for a new document: every definition with its default (or '') as value
+export const buildDocumentProperties = (schema) => normalizeDefinitions(schema).map(definition => ({
+    ...definition,
+    value: definition.default ?? '',
+}));
+
+// Check submitted document properties ([{ name, value }, ...]) against a tag schema.
+// Empty values are allowed while indexing; pass requireComplete to enforce required properties.
+// Returns { properties, errors } where errors maps property name to a message.
+export const validateDocumentProperties = (schema, submitted, { requireComplete = false } = {}) => {
+    const definitions = normalizeDefinitions(schema);
+    const errors = {};
+
+    if (!Array.isArray(submitted)) {
+        return { properties: [], errors: { properties: 'must be an array of { name, value } objects.' } };
+    }
+
+    const submittedValues = new Map();
+    submitted.forEach((property, index) => {
+        const name = typeof property?.name === 'string' ? property.name.trim() : '';
+        if (!name) errors[`properties[${index}]`] = 'must have a name.';
+        else if (!definitions.some(definition => definition.name === name)) errors[name] = 'is not a property of this tag.';
+        else submittedValues.set(name, property.value);
+    });
+
+    const properties = definitions.map(definition => {
+        const rawValue = submittedValues.get(definition.name);
+
+        if (isEmpty(rawValue)) {
+            if (requireComplete && definition.required) errors[definition.name] = 'is required.';
+            return { ...definition, value: '' };
+        }
+
+        const coerced = coercePropertyValue(definition, rawValue);
+        if (coerced.error) {
+            errors[definition.name] = coerced.error;
+            return { ...definition, value: rawValue };
+        }
+        return { ...definition, value: coerced.value };
+    });
+
+    return { properties, errors };
+};
+
+// Schema migrations: an ordered list of operations applied to a tag and all of its documents.
+//   { op: 'add', property: { name, type, ... } }
+//   { op: 'rename', from, to }
+//   { op: 'remove', name }                       (also drops stale values no longer in the schema)
+//   { op: 'change-type', name, type, constraints?, default? }
+export const MIGRATION_OPERATIONS = ['add', 'rename', 'remove', 'change-type'];
+
+// Apply operations to a tag's property definitions.
+// Returns { properties, errors } with errors keyed by "operations[i]" or a schema field path.
+export const applySchemaOperations = (properties, operations) => {
+    if (!Array.isArray(operations) || !operations.length) {
+        return { properties: [], errors: { operations: 'must be a non-empty array.' } };
+    }
+
+    const errors = {};
+    let schema = normalizeDefinitions(properties);
+    const has = (name) => schema.some(definition => definition.name === name);
+
+    operations.forEach((operation, index) => {
+        const path = `operations[${index}]`;
+        const { op } = operation || {};
+
+        if (!MIGRATION_OPERATIONS.includes(op)) {
+            errors[path] = `op must be one of: ${MIGRATION_OPERATIONS.join(', ')}.`;
+        } else if (op === 'add') {
+            const name = operation.property?.name?.trim?.();
+            if (!name) errors[path] = 'property with a name is required.';
+            else if (has(name)) errors[path] = `property ${name} already exists.`;
+            else schema = [...schema, { ...operation.property, name }];
+        } else if (op === 'rename') {
+            const to = String(operation.to || '').trim();
+            if (!has(operation.from)) errors[path] = `property ${operation.from} does not exist.`;
+            else if (!to) errors[path] = 'to is required.';
+            else if (has(to)) errors[path] = `property ${to} already exists.`;
+            else schema = schema.map(definition => (definition.name === operation.from ? { ...definition, name: to } : definition));
+        } else if (op === 'remove') {
+            if (!operation.name) errors[path] = 'name is required.';
+            else schema = schema.filter(definition => definition.name !== operation.name);
+        } else if (op === 'change-type') {
+            if (!has(operation.name)) {
+                errors[path] = `property ${operation.name} does not exist.`;
+            } else {
+                schema = schema.map(definition => {
+                    if (definition.name !== operation.name) return definition;
+                    const { default: _default, ...rest } = definition;
+                    const changed = { ...rest, type: operation.type, constraints: operation.constraints || {} };
+                    return operation.default === undefined ? changed : { ...changed, default: operation.default };
+                });
+            }
+        }
+    });
+
+    if (Object.keys(errors).length) return { properties: schema, errors };
+
+    const validated = validateTagProperties(schema);
+    return { properties: validated.properties, errors: validated.errors };
+};
+
+// Carry a document's values through the same operations and check them against the new schema.
+// Values that can't be converted are reported in failures; with onFailure 'clear' they are
+// blanked (or dropped, for stale properties) instead of blocking the document.
+// Returns { properties, failures: [{ property, value, message }] }.
+export const migrateDocumentProperties = (documentProperties, operations, schema, { onFailure = 'skip' } = {}) => {
+    const values = new Map((Array.isArray(documentProperties) ? documentProperties : [])
+        .filter(property => property && typeof property.name === 'string')
+        .map(property => [property.name, property.value]));
+
+    operations.forEach(operation => {
+        if (operation.op === 'rename' && values.has(operation.from)) {
+            values.set(operation.to.trim(), values.get(operation.from));
+            values.delete(operation.from);
+        } else if (operation.op === 'remove') {
+            values.delete(operation.name);
+        } else if (operation.op === 'add') {
+            // Existing documents start with the new property's default
+            const added = schema.find(definition => definition.name === operation.property.name.trim());
+            if (added?.default !== undefined && !values.has(added.name)) values.set(added.name, added.default);
+        }
+    });
+
+    const toSubmitted = () => [...values.entries()].map(([name, value]) => ({ name, value }));
+    let result = validateDocumentProperties(schema, toSubmitted());
+    const failures = Object.entries(result.errors).map(([property, message]) => ({ property, value: values.get(property) ?? null, message }));
+
+    if (failures.length && onFailure === 'clear') {
+        failures.forEach(({ property }) => {
+            if (schema.some(definition => definition.name === property)) values.set(property, '');
+            else values.delete(property);
+        });
+        result = validateDocumentProperties(schema, toSubmitted());
+    }
+
+    return { properties: result.properties, failures };
+};
+
+// Property predicates for listing documents, e.g.
+//   [{ name: 'Deed Number', op: 'eq', value: '1234' },
+//    { name: 'Registration Date', op: 'range', from: '2024-01-01', to: '2024-06-30' },
+//    { name: 'Kind', op: 'in', values: ['Sale', 'Gift'] }]
+// Which operators apply depends on the property's type in the tag schema.
+export const FILTER_OPERATORS = {
+    text: ['eq', 'contains', 'in'],
+    email: ['eq', 'contains', 'in'],
+    'regex-pattern': ['eq', 'contains', 'in'],
+    enum: ['eq', 'in'],
+    number: ['eq', 'range', 'in'],
+    date: ['eq', 'range', 'in'],
+    boolean: ['eq'],
+};
+
+const MAX_FILTERS = 10;
+const MAX_FILTER_VALUES = 50;
+
+// Validate predicates against a tag schema and normalise their values to the property types.
+// Returns { filters: [{ name, type, op, value | values | from/to }], errors } for documents_matching_properties().
+export const parsePropertyFilters = (schema, rawFilters) => {
+    const definitions = normalizeDefinitions(schema);
+    const errors = {};
+    const filters = [];
+
+    if (!Array.isArray(rawFilters)) return { filters, errors: { propertyFilters: 'must be an array of filters.' } };
+    if (rawFilters.length > MAX_FILTERS) return { filters, errors: { propertyFilters: `at most ${MAX_FILTERS} filters are allowed.` } };
+
+    rawFilters.forEach((raw, index) => {
+        const path = `propertyFilters[${index}]`;
+        const definition = definitions.find(candidate => candidate.name === raw?.name);
+        if (!definition) {
+            errors[path] = `${raw?.name ?? 'name'} is not a property of this tag.`;
+            return;
+        }
+
+        const allowed = FILTER_OPERATORS[definition.type] || FILTER_OPERATORS.text;
+        if (!allowed.includes(raw.op)) {
+            errors[path] = `op for ${definition.type} properties must be one of: ${allowed.join(', ')}.`;
+            return;
+        }
+
+        // Only the type matters for comparison; constraints such as min/max shouldn't reject a filter,
+        // and regex-pattern values compare as plain text
+        const comparable = {
+            ...definition,
+            type: definition.type === 'regex-pattern' ? 'text' : definition.type,
+            constraints: definition.type === 'enum' ? definition.constraints : {},
+        };
+        const coerce = (value, field) => {
+            if (raw.op === 'contains') return String(value ?? '').trim() || null;
+            const coerced = isEmpty(value) ? { error: 'is required.' } : coercePropertyValue(comparable, value);
+            if (coerced.error) errors[`${path}.${field}`] = coerced.error;
+            return coerced.value;
+        };
+
+        const filter = { name: definition.name, type: definition.type, op: raw.op };
+        if (raw.op === 'range') {
+            if (isEmpty(raw.from) && isEmpty(raw.to)) {
+                errors[path] = 'range needs from, to or both.';
+                return;
+            }
+            if (!isEmpty(raw.from)) filter.from = coerce(raw.from, 'from');
+            if (!isEmpty(raw.to)) filter.to = coerce(raw.to, 'to');
+        } else if (raw.op === 'in') {
+            if (!Array.isArray(raw.values) || !raw.values.length || raw.values.length > MAX_FILTER_VALUES) {
+                errors[`${path}.values`] = `must be an array of 1 to ${MAX_FILTER_VALUES} values.`;
+                return;
+            }
+            filter.values = raw.values.map((value, valueIndex) => coerce(value, `values[${valueIndex}]`));
+        } else {
+            filter.value = coerce(raw.value, 'value');
+            if (filter.value === null) errors[`${path}.value`] = 'is required.';
+        }
+
+        filters.push(filter);
+    });
+
+    return { filters, errors };
+};
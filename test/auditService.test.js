@@ -0,0 +1,54 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { matchAuditTarget, redactRecord, diffRecords, extractResponseRecord, toCsv } from '../auditService.js';
+
+test('matchAuditTarget reads the id from the path or the body', () => {
+    assert.deepEqual(matchAuditTarget('/documents/42'), { entity: 'documents', id: '42' });
+    assert.deepEqual(matchAuditTarget('/users/a%20b/'), { entity: 'users', id: 'a b' });
+    assert.deepEqual(matchAuditTarget('/publish', { document_id: 7 }), { entity: 'documents', id: '7' });
+    assert.deepEqual(matchAuditTarget('/publish', {}), { entity: 'documents', id: null });
+    assert.deepEqual(matchAuditTarget('/documents/'), { entity: 'documents', id: null });
+    assert.equal(matchAuditTarget('/somewhere-else'), null);
+});
+
+test('redactRecord masks secrets without touching the original', () => {
+    const row = { id: 1, password: 'pw', two_factor_secret: 's', name: 'Jo' };
+
+    assert.deepEqual(redactRecord(row), { id: 1, password: '[redacted]', two_factor_secret: '[redacted]', name: 'Jo' });
+    assert.equal(row.password, 'pw');
+    assert.equal(redactRecord(null), null);
+});
+
+test('diffRecords lists changed fields and keeps secrets redacted', () => {
+    const before = { id: 1, name: 'Old', password: 'a', tags: ['x'], note: null };
+    const after = { id: 1, name: 'New', password: 'b', tags: ['x'], extra: 3 };
+
+    assert.deepEqual(diffRecords(before, after), {
+        name: { before: 'Old', after: 'New' },
+        password: { before: '[redacted]', after: '[redacted]' },
+        extra: { before: null, after: 3 }
+    });
+    assert.deepEqual(diffRecords(null, { id: 2 }), { id: { before: null, after: 2 } });
+    assert.deepEqual(diffRecords(before, before), {});
+});
+
+test('extractResponseRecord finds the created row in common response shapes', () => {
+    assert.deepEqual(extractResponseRecord({ id: 1 }), { id: 1 });
+    assert.deepEqual(extractResponseRecord([{ id: 2 }]), { id: 2 });
+    assert.deepEqual(extractResponseRecord({ message: 'ok', data: [{ id: 3 }] }), { id: 3 });
+    assert.equal(extractResponseRecord({ message: 'ok' }), null);
+    assert.equal(extractResponseRecord(null), null);
+});
+
+test('toCsv quotes separators and neutralises formulas', () => {
+    const csv = toCsv([
+        { a: 'plain', b: 'has,comma', c: '=SUM(A1)' },
+        { a: 'say "hi"', b: null, c: { k: 1 } }
+    ], ['a', 'b', 'c']);
+
+    assert.equal(csv, [
+        'a,b,c',
+        `plain,"has,comma",'=SUM(A1)`,
+        `"say ""hi""",,"{""k"":1}"`
+    ].join('\r\n'));
+});
@@ -0,0 +1,45 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { hashPassword, verifyPassword, isPasswordHash, needsRehash, omitPasswordFields } from '../passwordService.js';
+
+test('hashPassword produces a salted scrypt hash that verifies', async () => {
+    const hash = await hashPassword('correct horse');
+    const again = await hashPassword('correct horse');
+
+    assert.ok(isPasswordHash(hash));
+    assert.equal(hash.split('$').length, 6);
+    assert.notEqual(hash, again);
+    assert.equal(await verifyPassword('correct horse', hash), true);
+    assert.equal(await verifyPassword('wrong horse', hash), false);
+});
+
+test('hashPassword rejects empty and non-string passwords', async () => {
+    await assert.rejects(hashPassword(''));
+    await assert.rejects(hashPassword(undefined));
+});
+
+test('verifyPassword still accepts legacy plaintext rows', async () => {
+    assert.equal(await verifyPassword('secret', 'secret'), true);
+    assert.equal(await verifyPassword('secret', 'secret2'), false);
+    assert.equal(await verifyPassword('', ''), false);
+    assert.equal(await verifyPassword('secret', null), false);
+});
+
+test('needsRehash flags plaintext and hashes with old parameters', async () => {
+    const hash = await hashPassword('pw');
+    const weaker = hash.replace(/^scrypt\$\d+\$/, 'scrypt$16384$');
+
+    assert.equal(needsRehash(hash), false);
+    assert.equal(needsRehash('plaintext'), true);
+    assert.equal(needsRehash(weaker), true);
+    assert.equal(await verifyPassword('pw', weaker), false);
+});
+
+test('omitPasswordFields strips password columns from rows and arrays', () => {
+    const row = { id: 1, email: 'a@b.c', password: 'x', password_hash: 'y' };
+
+    assert.deepEqual(omitPasswordFields(row), { id: 1, email: 'a@b.c' });
+    assert.deepEqual(omitPasswordFields([row]), [{ id: 1, email: 'a@b.c' }]);
+    assert.equal(omitPasswordFields(null), null);
+    assert.equal(row.password, 'x');
+});
@@ -0,0 +1,96 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    ROLES,
+    PERMISSIONS,
+    resolvePermissionMatrix,
+    isRoleAllowed,
+    validatePermissionOverrides,
+    API_KEY_SCOPES,
+    isApiKeyRouteAllowed,
+    validateApiKeyScopes,
+    isBlockedDuringImpersonation
+} from '../permissions.js';
+
+test('every default role list only names known roles', () => {
+    Object.entries(PERMISSIONS).forEach(([action, definition]) => {
+        assert.ok(definition.roles.every(role => ROLES.includes(role)), action);
+        assert.ok(definition.description, action);
+    });
+});
+
+test('clients cannot edit, submit or reject documents by default', () => {
+    const matrix = resolvePermissionMatrix();
+
+    assert.equal(isRoleAllowed(matrix, 'Client', 'documents:list'), true);
+    ['documents:edit', 'documents:submit', 'documents:reject', 'documents:publish', 'users:manage'].forEach(action => {
+        assert.equal(isRoleAllowed(matrix, 'Client', action), false, action);
+    });
+    assert.equal(isRoleAllowed(matrix, 'QA', 'documents:reject'), true);
+    assert.equal(isRoleAllowed(matrix, 'Scanner', 'documents:reject'), false);
+});
+
+test('overrides replace the role list and drop unknown roles and actions', () => {
+    const matrix = resolvePermissionMatrix({
+        'documents:publish': ['Owner', 'indexer', 'janitor'],
+        'documents:fly': ['owner']
+    });
+
+    assert.deepEqual(matrix['documents:publish'], ['owner', 'indexer']);
+    assert.equal(matrix['documents:fly'], undefined);
+    assert.deepEqual(matrix['documents:delete'], PERMISSIONS['documents:delete'].roles);
+    assert.equal(isRoleAllowed(matrix, 'QA', 'documents:publish'), false);
+});
+
+test('resolvePermissionMatrix does not share arrays with the defaults', () => {
+    const matrix = resolvePermissionMatrix();
+    matrix['documents:delete'].push('client');
+
+    assert.equal(PERMISSIONS['documents:delete'].roles.includes('client'), false);
+});
+
+test('isRoleAllowed is false for unknown actions and missing roles', () => {
+    const matrix = resolvePermissionMatrix();
+
+    assert.equal(isRoleAllowed(matrix, 'owner', 'nope'), false);
+    assert.equal(isRoleAllowed(matrix, undefined, 'documents:list'), false);
+});
+
+test('validatePermissionOverrides reports each problem', () => {
+    assert.deepEqual(validatePermissionOverrides({ 'documents:publish': ['owner'] }), []);
+    assert.equal(validatePermissionOverrides(null).length, 1);
+    assert.equal(validatePermissionOverrides([]).length, 1);
+    assert.deepEqual(validatePermissionOverrides({
+        'documents:fly': ['owner'],
+        'documents:publish': 'owner',
+        'documents:delete': ['owner', 'janitor']
+    }), [
+        'Unknown action: documents:fly',
+        'Roles for documents:publish must be an array.',
+        'Unknown roles for documents:delete: janitor'
+    ]);
+});
+
+test('API keys only reach routes listed under their scopes', () => {
+    assert.equal(isApiKeyRouteAllowed(['documents:read'], 'get', '/documents/:id'), true);
+    assert.equal(isApiKeyRouteAllowed(['documents:read'], 'PUT', '/documents/:id'), false);
+    assert.equal(isApiKeyRouteAllowed(['documents:read', 'documents:write'], 'PUT', '/documents/:id'), true);
+    assert.equal(isApiKeyRouteAllowed(['documents:write'], 'DELETE', '/documents/:id'), false);
+    assert.equal(isApiKeyRouteAllowed([], 'GET', '/documents'), false);
+    assert.equal(isApiKeyRouteAllowed(undefined, 'GET', '/documents'), false);
+});
+
+test('validateApiKeyScopes requires known scopes', () => {
+    assert.deepEqual(validateApiKeyScopes(Object.keys(API_KEY_SCOPES)), []);
+    assert.deepEqual(validateApiKeyScopes([]), ['scopes must be a non-empty array.']);
+    assert.deepEqual(validateApiKeyScopes('documents:read'), ['scopes must be a non-empty array.']);
+    assert.deepEqual(validateApiKeyScopes(['documents:read', 'admin']), ['Unknown scopes: admin']);
+});
+
+test('impersonators are kept away from credential and destructive routes', () => {
+    assert.equal(isBlockedDuringImpersonation('post', '/two-factor/disable'), true);
+    assert.equal(isBlockedDuringImpersonation('DELETE', '/documents/:id/permanent'), true);
+    assert.equal(isBlockedDuringImpersonation('POST', '/logout-all'), true);
+    assert.equal(isBlockedDuringImpersonation('GET', '/documents'), false);
+    assert.equal(isBlockedDuringImpersonation('DELETE', '/documents/:id'), false);
+});
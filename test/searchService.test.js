@@ -0,0 +1,35 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseSearchQuery, escapeHtml, formatHighlight } from '../searchService.js';
+
+test('parseSearchQuery turns the search box syntax into a tsquery', () => {
+    assert.equal(parseSearchQuery('deed smith'), 'deed & smith');
+    assert.equal(parseSearchQuery('"John Smith" reg*'), '(john <-> smith) & reg:*');
+    assert.equal(parseSearchQuery('deed -draft'), 'deed & !draft');
+    assert.equal(parseSearchQuery('-"old copy"'), '!(old <-> copy)');
+    assert.equal(parseSearchQuery('deed OR will smith'), '(deed | will) & smith');
+});
+
+test('parseSearchQuery keeps only letters and digits', () => {
+    assert.equal(parseSearchQuery("a&b | c:* ) ' !x"), '(a <-> b) & c:* & x');
+    assert.equal(parseSearchQuery('Ñandú 2024'), 'ñandú & 2024');
+    assert.equal(parseSearchQuery('OR deed'), 'deed');
+    assert.equal(parseSearchQuery('&& ||'), null);
+    assert.equal(parseSearchQuery(''), null);
+    assert.equal(parseSearchQuery(undefined), null);
+});
+
+test('parseSearchQuery caps the number of terms', () => {
+    const query = parseSearchQuery(Array.from({ length: 40 }, (_, i) => `w${i}`).join(' '));
+    assert.equal(query.split(' & ').length, 32);
+});
+
+test('formatHighlight escapes HTML and marks matches', () => {
+    assert.equal(formatHighlight(`'&' \u0001<deed>\u0002 b`), '&#39;&amp;&#39; <mark>&lt;deed&gt;</mark> b');
+    assert.equal(formatHighlight(null), null);
+});
+
+test('escapeHtml escapes markup and accepts non-string values', () => {
+    assert.equal(escapeHtml(`<a href="x">'&'</a>`), '&lt;a href=&quot;x&quot;&gt;&#39;&amp;&#39;&lt;/a&gt;');
+    assert.equal(escapeHtml(42), '42');
+});
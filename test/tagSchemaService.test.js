@@ -0,0 +1,233 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    coercePropertyValue,
+    validateTagProperties,
+    buildDocumentProperties,
+    validateDocumentProperties,
+    applySchemaOperations,
+    migrateDocumentProperties,
+    parsePropertyFilters
+} from '../tagSchemaService.js';
+
+const pattern = (value) => ({ name: 'Code', type: 'regex-pattern', constraints: { pattern: value } });
+
+test('coercePropertyValue converts values to the property type', () => {
+    assert.deepEqual(coercePropertyValue({ type: 'number' }, '1,250.5'), { value: 1250.5 });
+    assert.ok(coercePropertyValue({ type: 'number', constraints: { integer: true } }, '2.5').error);
+    assert.ok(coercePropertyValue({ type: 'number', constraints: { max: 10 } }, 11).error);
+    assert.deepEqual(coercePropertyValue({ type: 'date' }, '2024-02-29T10:00:00Z'), { value: '2024-02-29' });
+    assert.ok(coercePropertyValue({ type: 'date' }, '2023-02-29').error);
+    assert.deepEqual(coercePropertyValue({ type: 'enum', constraints: { options: ['Sale', 'Gift'] } }, 'Gift'), { value: 'Gift' });
+    assert.ok(coercePropertyValue({ type: 'enum', constraints: { options: ['Sale'] } }, 'sale').error);
+    assert.deepEqual(coercePropertyValue({ type: 'boolean' }, 'Yes'), { value: true });
+    assert.deepEqual(coercePropertyValue({ type: 'email' }, ' Jo@Example.com '), { value: 'jo@example.com' });
+    assert.deepEqual(coercePropertyValue({ type: 'text' }, 42), { value: '42' });
+    assert.ok(coercePropertyValue({ type: 'text', constraints: { maxLength: 3 } }, 'long').error);
+});
+
+test('regex-pattern values must match the whole pattern', () => {
+    const definition = pattern('[A-Z]{2}-\\d{4}');
+
+    assert.deepEqual(coercePropertyValue(definition, 'AB-1234'), { value: 'AB-1234' });
+    assert.ok(coercePropertyValue(definition, 'xAB-1234').error);
+    assert.ok(coercePropertyValue(definition, 'AB-12345').error);
+    assert.ok(coercePropertyValue({ ...definition, constraints: { ...definition.constraints, flags: 'i' } }, 'ab-1234').value);
+});
+
+// Both patterns backtrack for seconds on these inputs without a time limit
+for (const [name, source, input, valid] of [
+    ['overlapping alternation', '(a|aa)*', `${'a'.repeat(40)}b`, 'aaa'],
+    ['adjacent quantifiers', '\\d*\\d*\\d*\\d*\\d*\\d*', `${'1'.repeat(90)}x`, '123']
+]) {
+    test(`regex-pattern matching is cut short for ${name}`, () => {
+        const { errors } = validateTagProperties([pattern(source)]);
+        assert.deepEqual(errors, {});
+
+        const started = Date.now();
+        const result = coercePropertyValue(pattern(source), input);
+
+        assert.ok(result.error);
+        assert.ok(Date.now() - started < 500, `took ${Date.now() - started} ms`);
+        assert.deepEqual(coercePropertyValue(pattern(source), valid), { value: valid });
+    });
+}
+
+test('validateTagProperties normalises definitions and reports field paths', () => {
+    const { properties, errors } = validateTagProperties([
+        { name: ' Deed Number ', type: 'number', required: true, default: '7', value: 'ignored' },
+        { name: 'Notes' }
+    ]);
+
+    assert.deepEqual(errors, {});
+    assert.deepEqual(properties[0], { name: 'Deed Number', type: 'number', required: true, constraints: {}, default: 7 });
+    assert.equal(properties[1].type, 'text');
+
+    assert.deepEqual(validateTagProperties([
+        { name: 'A', type: 'colour' },
+        { name: 'a' },
+        { name: 'B', type: 'enum', constraints: { options: [] } },
+        { name: 'C', type: 'regex-pattern', constraints: { pattern: '(' } },
+        { name: 'D', type: 'number', constraints: { length: 1 } },
+        { name: 'E', type: 'number', default: 'x' }
+    ]).errors, {
+        'properties[0].type': 'must be one of: text, number, date, enum, boolean, email, regex-pattern.',
+        'properties[1].name': 'duplicates another property (a).',
+        'properties[2].constraints.options': 'must be a non-empty array of strings.',
+        'properties[3].constraints.pattern': 'is not a valid regular expression.',
+        'properties[4].constraints.length': 'is not supported for number properties.',
+        'properties[5].default': 'must be a number.'
+    });
+});
+
+test('buildDocumentProperties starts every property at its default', () => {
+    assert.deepEqual(buildDocumentProperties([{ name: 'Kind', type: 'text', default: 'Sale' }, { name: 'Year' }, null]), [
+        { name: 'Kind', type: 'text', required: false, constraints: {}, default: 'Sale', value: 'Sale' },
+        { name: 'Year', type: 'text', required: false, constraints: {}, value: '' }
+    ]);
+});
+
+test('validateDocumentProperties checks values against the schema', () => {
+    const schema = [{ name: 'Year', type: 'number', required: true }, { name: 'Kind', type: 'text' }];
+
+    const ok = validateDocumentProperties(schema, [{ name: 'Year', value: '2024' }]);
+    assert.deepEqual(ok.errors, {});
+    assert.deepEqual(ok.properties.map(p => p.value), [2024, '']);
+
+    assert.deepEqual(validateDocumentProperties(schema, [{ name: 'Year', value: 'soon' }, { name: 'Color', value: 'red' }]).errors, {
+        Color: 'is not a property of this tag.',
+        Year: 'must be a number.'
+    });
+    assert.deepEqual(validateDocumentProperties(schema, [], { requireComplete: true }).errors, { Year: 'is required.' });
+    assert.ok(validateDocumentProperties(schema, 'Year=1').errors.properties);
+});
+
+const valuesOf = (properties) => Object.fromEntries(properties.map(property => [property.name, property.value]));
+
+test('applySchemaOperations applies operations in order and validates the result', () => {
+    const { properties, errors } = applySchemaOperations([{ name: 'Year' }, { name: 'Old' }], [
+        { op: 'rename', from: 'Year', to: 'Registration Year' },
+        { op: 'change-type', name: 'Registration Year', type: 'number', constraints: { integer: true } },
+        { op: 'remove', name: 'Old' },
+        { op: 'add', property: { name: 'Kind', type: 'enum', constraints: { options: ['Sale', 'Gift'] }, default: 'Sale' } }
+    ]);
+
+    assert.deepEqual(errors, {});
+    assert.deepEqual(properties.map(p => [p.name, p.type]), [['Registration Year', 'number'], ['Kind', 'enum']]);
+});
+
+test('applySchemaOperations reports each invalid operation', () => {
+    assert.deepEqual(applySchemaOperations([], []).errors, { operations: 'must be a non-empty array.' });
+    assert.deepEqual(applySchemaOperations([{ name: 'A' }, { name: 'B' }], [
+        { op: 'merge' },
+        { op: 'rename', from: 'A', to: 'B' },
+        { op: 'change-type', name: 'C', type: 'number' },
+        { op: 'add', property: { name: 'A' } }
+    ]).errors, {
+        'operations[0]': 'op must be one of: add, rename, remove, change-type.',
+        'operations[1]': 'property B already exists.',
+        'operations[2]': 'property C does not exist.',
+        'operations[3]': 'property A already exists.'
+    });
+    assert.ok(applySchemaOperations([{ name: 'A' }], [{ op: 'change-type', name: 'A', type: 'colour' }]).errors['properties[0].type']);
+});
+
+test('migrateDocumentProperties carries values through the operations', () => {
+    const operations = [
+        { op: 'rename', from: 'Year', to: 'Registration Year' },
+        { op: 'change-type', name: 'Registration Year', type: 'number' },
+        { op: 'add', property: { name: 'Kind', type: 'text', default: 'Sale' } }
+    ];
+    const { properties: schema } = applySchemaOperations([{ name: 'Year' }], operations);
+
+    const migrated = migrateDocumentProperties([{ name: 'Year', value: '2024' }], operations, schema);
+    assert.deepEqual(migrated.failures, []);
+    assert.deepEqual(valuesOf(migrated.properties), { 'Registration Year': 2024, Kind: 'Sale' });
+});
+
+test('migrateDocumentProperties reports unconvertible values and clears them on request', () => {
+    const operations = [{ op: 'change-type', name: 'Year', type: 'number' }];
+    const { properties: schema } = applySchemaOperations([{ name: 'Year' }], operations);
+    const document = [{ name: 'Year', value: 'unknown' }, { name: 'Stale', value: 'x' }];
+
+    const skipped = migrateDocumentProperties(document, operations, schema);
+    assert.deepEqual(skipped.failures, [
+        { property: 'Stale', value: 'x', message: 'is not a property of this tag.' },
+        { property: 'Year', value: 'unknown', message: 'must be a number.' }
+    ]);
+
+    const cleared = migrateDocumentProperties(document, operations, schema, { onFailure: 'clear' });
+    assert.equal(cleared.failures.length, 2);
+    assert.deepEqual(valuesOf(cleared.properties), { Year: '' });
+});
+
+test('replaying every step since a document\'s version matches migrating one version at a time', () => {
+    const v2 = [{ op: 'rename', from: 'Year', to: 'Registration Year' }];
+    const v3 = [{ op: 'change-type', name: 'Registration Year', type: 'number' }];
+    const { properties: schemaV2 } = applySchemaOperations([{ name: 'Year' }], v2);
+    const { properties: schemaV3 } = applySchemaOperations(schemaV2, v3);
+    const document = [{ name: 'Year', value: '1999' }];
+
+    const stepwise = migrateDocumentProperties(migrateDocumentProperties(document, v2, schemaV2).properties, v3, schemaV3);
+    const replayed = migrateDocumentProperties(document, [...v2, ...v3], schemaV3);
+
+    assert.deepEqual(valuesOf(replayed.properties), { 'Registration Year': 1999 });
+    assert.deepEqual(valuesOf(replayed.properties), valuesOf(stepwise.properties));
+
+    // Applying only the latest step to a document two versions behind loses its value
+    assert.deepEqual(valuesOf(migrateDocumentProperties(document, v3, schemaV3).properties), { 'Registration Year': '' });
+});
+
+const filterSchema = [
+    { name: 'Deed Number', type: 'regex-pattern', constraints: { pattern: '[A-Z]{2}-\\d{4}' } },
+    { name: 'Amount', type: 'number', constraints: { min: 100 } },
+    { name: 'Signed', type: 'date' },
+    { name: 'Kind', type: 'enum', constraints: { options: ['Sale', 'Gift'] } }
+];
+
+test('parsePropertyFilters treats regex-pattern properties as text', () => {
+    const { filters, errors } = parsePropertyFilters(filterSchema, [
+        { name: 'Deed Number', op: 'eq', value: 'AB-1234' },
+        { name: 'Deed Number', op: 'in', values: ['AB-1234', 'partial'] },
+        { name: 'Deed Number', op: 'contains', value: ' 12 ' }
+    ]);
+
+    assert.deepEqual(errors, {});
+    assert.deepEqual(filters, [
+        { name: 'Deed Number', type: 'regex-pattern', op: 'eq', value: 'AB-1234' },
+        { name: 'Deed Number', type: 'regex-pattern', op: 'in', values: ['AB-1234', 'partial'] },
+        { name: 'Deed Number', type: 'regex-pattern', op: 'contains', value: '12' }
+    ]);
+});
+
+test('parsePropertyFilters coerces values by type but ignores range constraints', () => {
+    const { filters, errors } = parsePropertyFilters(filterSchema, [
+        { name: 'Amount', op: 'range', from: '5', to: '1,000' },
+        { name: 'Signed', op: 'eq', value: '2024-03-01' },
+        { name: 'Kind', op: 'in', values: ['Gift'] }
+    ]);
+
+    assert.deepEqual(errors, {});
+    assert.deepEqual(filters[0], { name: 'Amount', type: 'number', op: 'range', from: 5, to: 1000 });
+    assert.equal(filters[1].value, '2024-03-01');
+    assert.deepEqual(filters[2].values, ['Gift']);
+});
+
+test('parsePropertyFilters reports unknown properties, operators and bad values', () => {
+    assert.deepEqual(parsePropertyFilters(filterSchema, [
+        { name: 'Colour', op: 'eq', value: 'red' },
+        { name: 'Kind', op: 'contains', value: 'Sa' },
+        { name: 'Amount', op: 'eq', value: 'lots' },
+        { name: 'Kind', op: 'eq', value: 'Loan' },
+        { name: 'Signed', op: 'range' },
+        { name: 'Kind', op: 'in', values: [] }
+    ]).errors, {
+        'propertyFilters[0]': 'Colour is not a property of this tag.',
+        'propertyFilters[1]': 'op for enum properties must be one of: eq, in.',
+        'propertyFilters[2].value': 'must be a number.',
+        'propertyFilters[3].value': 'must be one of: Sale, Gift.',
+        'propertyFilters[4]': 'range needs from, to or both.',
+        'propertyFilters[5].values': 'must be an array of 1 to 50 values.'
+    });
+    assert.deepEqual(parsePropertyFilters(filterSchema, {}).errors, { propertyFilters: 'must be an array of filters.' });
+});
@@ -0,0 +1,76 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    generateTotpSecret,
+    buildOtpauthUri,
+    verifyTotp,
+    generateRecoveryCodes,
+    hashRecoveryCode,
+    encryptTotpSecret,
+    decryptTotpSecret
+} from '../totpService.js';
+
+// RFC 6238 appendix B secret ("12345678901234567890") in base32
+const RFC_SECRET = 'GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ';
+
+test('verifyTotp matches the RFC 6238 SHA-1 vectors and returns the time step', () => {
+    assert.equal(verifyTotp(RFC_SECRET, '287082', { now: 59 * 1000, window: 0 }), 1);
+    assert.equal(verifyTotp(RFC_SECRET, '081804', { now: 1111111109 * 1000, window: 0 }), 37037036);
+    assert.equal(verifyTotp(RFC_SECRET, '005924', { now: 1234567890 * 1000, window: 0 }), 41152263);
+});
+
+test('verifyTotp accepts adjacent steps only inside the window', () => {
+    const now = 1111111109 * 1000 + 30 * 1000;
+
+    assert.equal(verifyTotp(RFC_SECRET, '081804', { now }), 37037036);
+    assert.equal(verifyTotp(RFC_SECRET, '081804', { now, window: 0 }), null);
+});
+
+test('verifyTotp rejects malformed codes', () => {
+    assert.equal(verifyTotp(RFC_SECRET, '', { now: 59 * 1000 }), null);
+    assert.equal(verifyTotp(RFC_SECRET, '28708', { now: 59 * 1000 }), null);
+    assert.equal(verifyTotp(RFC_SECRET, '2870820', { now: 59 * 1000 }), null);
+    assert.equal(verifyTotp(RFC_SECRET, 'abcdef', { now: 59 * 1000 }), null);
+    assert.equal(verifyTotp(RFC_SECRET, '287 082', { now: 59 * 1000, window: 0 }), 1);
+});
+
+test('generated secrets are 20 random bytes in base32', () => {
+    const secret = generateTotpSecret();
+
+    assert.match(secret, /^[A-Z2-7]{32}$/);
+    assert.notEqual(secret, generateTotpSecret());
+});
+
+test('buildOtpauthUri encodes the label and parameters', () => {
+    const uri = new URL(buildOtpauthUri(RFC_SECRET, 'jo@example.com', 'Archive Co'));
+
+    assert.equal(uri.protocol, 'otpauth:');
+    assert.equal(uri.host, 'totp');
+    assert.equal(decodeURIComponent(uri.pathname), '/Archive Co:jo@example.com');
+    assert.equal(uri.searchParams.get('secret'), RFC_SECRET);
+    assert.equal(uri.searchParams.get('digits'), '6');
+    assert.equal(uri.searchParams.get('period'), '30');
+});
+
+test('recovery codes are unique and hash case-insensitively', () => {
+    const codes = generateRecoveryCodes();
+
+    assert.equal(codes.length, 10);
+    assert.equal(new Set(codes).size, 10);
+    codes.forEach(code => assert.match(code, /^[0-9a-f]{5}-[0-9a-f]{5}$/));
+    assert.equal(hashRecoveryCode(` ${codes[0].toUpperCase()} `), hashRecoveryCode(codes[0]));
+    assert.notEqual(hashRecoveryCode(codes[0]), hashRecoveryCode(codes[1]));
+});
+
+test('TOTP secrets round-trip through encryption and detect tampering', () => {
+    process.env.TWO_FACTOR_ENCRYPTION_KEY = 'test-key';
+    const encrypted = encryptTotpSecret(RFC_SECRET);
+
+    assert.notEqual(encrypted, encryptTotpSecret(RFC_SECRET));
+    assert.equal(decryptTotpSecret(encrypted), RFC_SECRET);
+
+    const [iv, tag, data] = encrypted.split('.');
+    const flipped = Buffer.from(data, 'base64');
+    flipped[0] ^= 1;
+    assert.throws(() => decryptTotpSecret([iv, tag, flipped.toString('base64')].join('.')));
+});